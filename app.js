@@ -3,11 +3,34 @@
  * Handles UI rendering and user interactions
  */
 
+// How often an open page asks the server whether the static data was rebuilt
+const DATA_VERSION_POLL_INTERVAL = 5 * 60 * 1000;
+
+// How each season data source is labelled in the UI
+const SEASON_SOURCE_LABELS = {
+    espn: 'ESPN',
+    sleeper: 'Imported from Sleeper',
+    yahoo: 'Imported from Yahoo',
+    manual: 'Entered from league records'
+};
+
 class FantasyApp {
     constructor() {
         this.currentSection = 'dashboard';
         this.isLoading = false;
+        this.loadController = null; // Aborts the season load in progress (see cancelLoading)
         this.dataLoaded = false;
+        this.leagueConfig = null; // { slug, name, leagueId, startYear, endYear } from league.config.json
+        this.leagues = []; // Every league hosted by the server, for the league switcher
+        this.manifest = null; // Static data manifest, when data came from prebuild
+        this.dataVersionTimer = null; // Polls for rebuilt static data (see startDataVersionPolling)
+        this.liveSource = null; // EventSource for /api/live (see startLiveScores)
+        this.liveWeek = null; // Latest live snapshot: { year, matchupPeriodId, matchups: [...] }
+        this.ownerRegistryFile = null; // The league's owners.json, before any edits made in this browser
+        this.h2hView = 'owner'; // 'owner' or 'slot' (ESPN team slots)
+
+        // Each league at /league/:slug/ keeps its own browser cache
+        statsEngine.setStorageNamespace(espnAPI.leagueSlug);
 
         // Team Name Voting
         this.currentMatchup = [];
@@ -23,6 +46,8 @@ class FantasyApp {
     init() {
         this.setupNavigation();
         this.setupSettingsForm();
+        this.setupOwnerRegistryEditor();
+        this.setupStatsSettings();
         this.setupH2HControls();
         this.setupSeasonSelector();
         this.initVoting();
@@ -35,32 +60,39 @@ class FantasyApp {
      * Automatically load data - tries static JSON first, then cache, then live API
      */
     async autoLoadData() {
-        // STEP 1: Try to load from pre-built static JSON file first
+        await this.loadLeagueConfig();
+        await this.loadOwnerRegistry();
+        await this.loadLeagueRules();
+
+        // STEP 1: Try to load from pre-built static files (manifest + one file per season)
         try {
-            const response = await fetch('/data/league-data.json');
+            const response = await fetch(`${espnAPI.getDataBase()}/manifest.json`, { cache: 'no-cache' });
             if (response.ok) {
-                const staticData = await response.json();
-                // Check if static data is valid (has actual season data, not just errors)
-                if (staticData.meta && staticData.meta.successCount > 0) {
+                const manifest = await response.json();
+                // Sites hosted without server.js get the league from the manifest prebuild wrote
+                if (!this.leagueConfig && manifest.meta) {
+                    this.setLeagueConfig(manifest.meta);
+                }
+                // Check if static data is valid (has actual season files, not just errors)
+                const hasSeasons = Object.values(manifest.seasons || {}).some(entry => entry.file);
+                if (hasSeasons) {
                     console.log('Loading from static pre-built data...');
-                    await statsEngine.loadAllSeasons(staticData.seasons);
-                    this.dataLoaded = true;
-                    this.renderAllSections();
-                    this.renderLandingPage();
+                    await this.applyStaticData(manifest);
                     this.showSection('home');
                     document.querySelector('[data-section="home"]').classList.add('active');
-                    this.updateDataStatus(`Data loaded from static file (built ${new Date(staticData.meta.generatedAt).toLocaleDateString()})`);
+                    this.updateDataStatus(`Data loaded from static file (built ${new Date(manifest.meta.generatedAt).toLocaleDateString()})`);
+                    this.startDataVersionPolling();
                     return;
                 }
             }
         } catch (e) {
-            console.log('No valid static data file, checking localStorage cache...');
+            console.log('No valid static data file, checking the browser cache...', e);
         }
 
-        // STEP 2: Try to load from browser cache (localStorage)
-        if (statsEngine.loadFromStorage()) {
+        // STEP 2: Try to load from browser cache (IndexedDB)
+        if (await statsEngine.loadFromStorage()) {
             // Check if cache is fresh enough (less than 7 days old for mobile reliability)
-            const lastFetch = localStorage.getItem('espn_last_fetch');
+            const lastFetch = localStorage.getItem(espnAPI.storageKey('espn_last_fetch'));
             const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
             const cacheValid = lastFetch && parseInt(lastFetch) > sevenDaysAgo;
 
@@ -71,6 +103,7 @@ class FantasyApp {
                 this.showSection('home');
                 document.querySelector('[data-section="home"]').classList.add('active');
                 this.updateDataStatus('Data loaded from cache (refreshes weekly)');
+                await this.loadMissingSeasons();
                 return;
             }
         }
@@ -79,6 +112,346 @@ class FantasyApp {
         await this.loadLeagueData();
     }
 
+    /**
+     * Fetch the league's seasons the cache doesn't have (failed or never loaded)
+     * and add them to the stats, so one bad load doesn't stick until the weekly refresh
+     */
+    async loadMissingSeasons() {
+        if (!this.leagueConfig) return;
+
+        const { leagueId, startYear, endYear } = this.leagueConfig;
+        const missing = [];
+        for (let year = startYear; year <= endYear; year++) {
+            const data = statsEngine.allSeasonData[year];
+            if (!data || data.error) missing.push(year);
+        }
+        if (missing.length === 0) return;
+
+        espnAPI.configure(leagueId);
+        const rawData = { ...statsEngine.allSeasonData };
+        for (const year of missing) {
+            try {
+                rawData[year] = await espnAPI.getFullSeasonData(year);
+            } catch (error) {
+                console.warn(`Year ${year} still failing:`, error.message);
+                rawData[year] = { error: error.message, attempts: error.attempts || 1 };
+            }
+        }
+        await this.mergeImportedSeasons(rawData);
+
+        const loadedYears = missing.filter(year => !rawData[year].error);
+        if (loadedYears.length === 0) return;
+
+        console.log(`Loaded seasons missing from the cache: ${loadedYears.join(', ')}`);
+        await statsEngine.loadAllSeasons(rawData);
+        await statsEngine.saveToStorage({}, loadedYears.map(String));
+        this.renderAllSections();
+        this.renderLandingPage();
+    }
+
+    /**
+     * Load the league definitions (league.config.json) from the server
+     * The league shown is picked by the /league/:slug/ URL, or the default league at /
+     */
+    async loadLeagueConfig() {
+        try {
+            const response = await fetch('/api/config');
+            if (response.ok) {
+                const config = await response.json();
+                const slug = espnAPI.leagueSlug || config.defaultLeague;
+                const league = config.leagues.find(l => l.slug === slug);
+
+                this.leagues = config.leagues;
+                this.renderLeagueSwitcher(slug);
+                if (league) {
+                    this.setLeagueConfig(league);
+                }
+            }
+        } catch (e) {
+            console.warn('League config not available from server:', e);
+        }
+        return this.leagueConfig;
+    }
+
+    /**
+     * Store the league config and show it in the settings form
+     */
+    setLeagueConfig({ slug, name, leagueId, startYear, endYear, views, legacyViews, weeklyViews }) {
+        this.leagueConfig = { slug, name, leagueId, startYear, endYear };
+        espnAPI.setViews({ views, legacyViews, weeklyViews });
+
+        if (name) {
+            document.querySelector('.logo h1 span').textContent = name;
+            document.querySelector('.logo .subtitle').textContent = `Est. ${startYear}`;
+        }
+
+        document.getElementById('league-id').value = leagueId;
+        document.getElementById('start-year').value = startYear;
+        document.getElementById('current-year').value = endYear;
+    }
+
+    /**
+     * Fill the sidebar league switcher - hidden when the server hosts a single league
+     * Switching loads the other league's page, so no state leaks between leagues
+     */
+    renderLeagueSwitcher(currentSlug) {
+        const switcher = document.getElementById('league-switcher');
+        if (!switcher) return;
+
+        if (this.leagues.length < 2) {
+            switcher.classList.add('hidden');
+            return;
+        }
+
+        switcher.innerHTML = this.leagues.map(league =>
+            `<option value="${this.escapeHtml(league.slug)}" ${league.slug === currentSlug ? 'selected' : ''}>${this.escapeHtml(league.name)}</option>`
+        ).join('');
+        switcher.classList.remove('hidden');
+
+        switcher.onchange = () => {
+            window.location.href = `/league/${encodeURIComponent(switcher.value)}/`;
+        };
+    }
+
+    /**
+     * Load the seasons listed in the static manifest
+     * Seasons already cached in the browser with the same fetch time are reused,
+     * so only new or updated season files are downloaded
+     * Returns { seasons, fetchedYears }
+     */
+    async loadStaticSeasons(manifest) {
+        const cached = await statsEngine.getCachedSeasons();
+        const seasons = {};
+        const toFetch = [];
+
+        for (const [year, entry] of Object.entries(manifest.seasons)) {
+            if (!entry.file) continue;
+
+            if (cached.seasons[year] && cached.versions[year] === entry.fetchedAt) {
+                seasons[year] = cached.seasons[year];
+            } else {
+                toFetch.push({ year, entry });
+            }
+        }
+
+        console.log(`Static data: ${Object.keys(seasons).length} seasons cached, fetching ${toFetch.length}`);
+
+        const fetched = await Promise.all(toFetch.map(async ({ year, entry }) => {
+            const response = await fetch(`${espnAPI.getDataBase()}/${entry.file}`);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${entry.file}: ${response.status}`);
+            }
+            return { year, data: await response.json() };
+        }));
+
+        fetched.forEach(({ year, data }) => {
+            seasons[year] = data;
+        });
+
+        return { seasons, fetchedYears: toFetch.map(({ year }) => year) };
+    }
+
+    /**
+     * Add imported seasons (Sleeper, Yahoo, manual entry) from the static data
+     * to seasons fetched live from ESPN, for years ESPN had nothing for
+     * Missing static data just means there is nothing to merge
+     */
+    async mergeImportedSeasons(rawData) {
+        try {
+            const response = await fetch(`${espnAPI.getDataBase()}/manifest.json`, { cache: 'no-cache' });
+            if (!response.ok) return;
+            const manifest = await response.json();
+
+            const imported = Object.entries(manifest.seasons || {}).filter(([year, entry]) =>
+                entry.file && entry.source && entry.source !== 'espn' && (!rawData[year] || rawData[year].error));
+
+            await Promise.all(imported.map(async ([year, entry]) => {
+                const seasonResponse = await fetch(`${espnAPI.getDataBase()}/${entry.file}`);
+                if (!seasonResponse.ok) {
+                    throw new Error(`Failed to load ${entry.file}: ${seasonResponse.status}`);
+                }
+                rawData[year] = await seasonResponse.json();
+                console.log(`Year ${year} merged from ${entry.source} import`);
+            }));
+        } catch (e) {
+            console.warn('Could not merge imported seasons:', e);
+        }
+    }
+
+    /**
+     * Load the seasons a static manifest lists and render every section from them
+     */
+    async applyStaticData(manifest) {
+        this.manifest = manifest;
+        const { seasons, fetchedYears } = await this.loadStaticSeasons(manifest);
+        await statsEngine.loadAllSeasons(seasons);
+        // Only seasons whose files changed need writing back to the cache
+        await statsEngine.saveToStorage(this.getSeasonVersions(manifest), fetchedYears);
+        this.dataLoaded = true;
+        this.renderAllSections();
+        this.renderLandingPage();
+    }
+
+    /**
+     * Poll server.js for a new build of the static data (see refresh-scheduler.js)
+     * Hosts without server.js have no version endpoint, so polling stops there
+     */
+    startDataVersionPolling() {
+        if (this.dataVersionTimer || !this.leagueConfig?.slug) return;
+        this.dataVersionTimer = setInterval(() => this.checkDataVersion(), DATA_VERSION_POLL_INTERVAL);
+    }
+
+    /**
+     * Reload the static data if the server has built a newer version
+     */
+    async checkDataVersion() {
+        // Hidden tabs catch up on their next check after they're shown
+        if (document.hidden || this.isLoading) return;
+
+        try {
+            const response = await fetch(`/api/data-version/${this.leagueConfig.slug}`, { cache: 'no-cache' });
+            if (response.status === 404) {
+                clearInterval(this.dataVersionTimer);
+                this.dataVersionTimer = null;
+                return;
+            }
+            if (!response.ok) return;
+
+            const { version } = await response.json();
+            if (version && version !== this.manifest?.meta?.version) {
+                await this.reloadStaticData();
+            }
+        } catch (e) {
+            console.warn('Data version check failed:', e);
+        }
+    }
+
+    /**
+     * Swap in a newer build of the static data, keeping the page the visitor is on
+     * Seasons that didn't change come from the browser cache
+     */
+    async reloadStaticData() {
+        const response = await fetch(`${espnAPI.getDataBase()}/manifest.json`, { cache: 'no-cache' });
+        if (!response.ok) return;
+        const manifest = await response.json();
+
+        const seasonSelect = document.getElementById('season-select');
+        const selectedSeason = parseInt(seasonSelect.value);
+
+        this.isLoading = true;
+        try {
+            await this.applyStaticData(manifest);
+        } finally {
+            this.isLoading = false;
+        }
+
+        if (selectedSeason && statsEngine.getAllSeasons().includes(selectedSeason)) {
+            seasonSelect.value = selectedSeason;
+            this.renderSeasonDetails(selectedSeason);
+        }
+        console.log(`Static data updated to version ${manifest.meta.version}`);
+        this.updateDataStatus(`Data updated ${new Date(manifest.meta.generatedAt).toLocaleString()}`);
+    }
+
+    /**
+     * Load a season's per-week lineups into the stats engine
+     * Uses the pre-built weeks file when there is one, otherwise fetches every
+     * scoring period from the API. Returns false if the season has no box scores.
+     */
+    async loadBoxScores(year) {
+        if (statsEngine.hasBoxScores(year)) return true;
+
+        const entry = this.manifest?.seasons?.[year];
+        if (entry?.weeksFile) {
+            const response = await fetch(`${espnAPI.getDataBase()}/${entry.weeksFile}`);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${entry.weeksFile}: ${response.status}`);
+            }
+            statsEngine.setBoxScores(year, (await response.json()).scoringPeriods);
+            return true;
+        }
+
+        const seasonData = statsEngine.getSeasonRawData(year);
+        if (!this.leagueConfig || espnAPI.getScoringPeriods(year, seasonData).length === 0) {
+            return false;
+        }
+
+        espnAPI.configure(this.leagueConfig.leagueId);
+        const weeks = await espnAPI.getSeasonBoxScores(year, seasonData);
+        const loaded = Object.fromEntries(Object.entries(weeks).filter(([, week]) => !week.error));
+        statsEngine.setBoxScores(year, loaded);
+        return true;
+    }
+
+    /**
+     * Render the lineups for one matchup (below its row in Weekly Results)
+     */
+    async renderBoxScore(container, year, matchup) {
+        container.innerHTML = '<p class="no-data">Loading box score...</p>';
+
+        try {
+            if (!await this.loadBoxScores(year)) {
+                container.innerHTML = '<p class="no-data">Box scores are not available for this season</p>';
+                return;
+            }
+        } catch (error) {
+            console.error(`Failed to load ${year} box scores:`, error);
+            container.innerHTML = `<p class="no-data">Failed to load box scores: ${this.escapeHtml(error.message)}</p>`;
+            delete container.dataset.loaded; // Try again on the next click
+            return;
+        }
+
+        const boxScores = statsEngine.getMatchupBoxScores(year, matchup.matchupPeriodId, matchup.homeTeamId);
+        if (boxScores.length === 0) {
+            container.innerHTML = '<p class="no-data">No box score for this matchup</p>';
+            return;
+        }
+
+        const names = {
+            [matchup.homeTeamId]: matchup.homeTeamName,
+            [matchup.awayTeamId]: matchup.awayTeamName
+        };
+        const renderPlayers = (players, cssClass) => players.map(p => `
+            <tr class="${cssClass}">
+                <td class="slot">${p.slot}</td>
+                <td>${this.escapeHtml(p.name)} <span class="position">${this.escapeHtml(p.position)}</span></td>
+                <td class="points">${p.points.toFixed(1)}</td>
+            </tr>
+        `).join('');
+        const renderSide = (side) => side ? `
+            <div class="box-score-team">
+                <h4>${this.escapeHtml(names[side.teamId] || `Team ${side.teamId}`)} <span class="points">${side.points.toFixed(1)}</span></h4>
+                <table class="box-score-table">
+                    <tbody>
+                        ${renderPlayers(side.starters, 'starter')}
+                        ${renderPlayers(side.bench, 'bench')}
+                    </tbody>
+                </table>
+            </div>
+        ` : '';
+
+        container.innerHTML = boxScores.map(box => `
+            ${boxScores.length > 1 ? `<p class="box-score-week">NFL Week ${box.scoringPeriodId}</p>` : ''}
+            <div class="box-score-teams">
+                ${renderSide(box.home)}
+                ${renderSide(box.away)}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Map of year -> fetchedAt for the seasons in a manifest
+     */
+    getSeasonVersions(manifest) {
+        const versions = {};
+        for (const [year, entry] of Object.entries(manifest.seasons)) {
+            if (entry.file) {
+                versions[year] = entry.fetchedAt;
+            }
+        }
+        return versions;
+    }
+
     /**
      * Setup navigation click handlers
      */
@@ -118,85 +491,53 @@ class FantasyApp {
     setupSettingsForm() {
         const form = document.getElementById('league-config-form');
         const clearBtn = document.getElementById('clear-cache');
+        const cancelBtn = document.getElementById('cancel-loading');
+
+        cancelBtn.addEventListener('click', () => this.cancelLoading());
+        // Leaving the page stops any requests still running
+        window.addEventListener('pagehide', () => this.cancelLoading());
 
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
             await this.loadLeagueData();
         });
 
-        clearBtn.addEventListener('click', () => {
-            statsEngine.clearStorage();
+        clearBtn.addEventListener('click', async () => {
+            await statsEngine.clearStorage();
             espnAPI.clearCache();
-            localStorage.removeItem('espn_league_config');
+            localStorage.removeItem(espnAPI.storageKey('espn_league_config'));
             this.dataLoaded = false;
             this.updateDataStatus('Cache cleared. Configure your league to reload data.');
             location.reload();
         });
-
-        // Hardcoded league configuration
-        const defaultConfig = {
-            leagueId: '533683',
-            espnS2: 'AEAKFObDwOm3E7GRJ0QBZKS1wSGiucZZsHVko5wP6kXyjLGixBLzgYhDiG0FhA49%2BQ5NvC5q46LrnlaE9EJx2pGsA3u8NxvcGx06nYcpWZPZxIw2BlYwE4ouA9aODzkDhV7cAGkf6zA0fvcBWE1zRWAYNQ%2F4Nve%2F0pwYOF%2FZFzdSWoB7vyJlmSkUGKc0qsfUinwTLGojGQTh6bsEdtIztGhpdwErCho2845NF4i6sIAPnwamaISOjI3pgtPFXm4j52r0WKoH4Vf2yVf45V1C4b8Y3ry0QOXB7AA%2B3yJHMwVoag%3D%3D',
-            swid: '{691768BD-FEF6-4631-96B6-657E9D470FD7}',
-            startYear: 2011,
-            currentYear: 2026
-        };
-
-        // Pre-fill with hardcoded values (or saved values if they exist)
-        const saved = localStorage.getItem('espn_league_config');
-        if (saved) {
-            const config = JSON.parse(saved);
-            document.getElementById('league-id').value = config.leagueId || defaultConfig.leagueId;
-            document.getElementById('espn-s2').value = config.espnS2 || defaultConfig.espnS2;
-            document.getElementById('swid').value = config.swid || defaultConfig.swid;
-        } else {
-            document.getElementById('league-id').value = defaultConfig.leagueId;
-            document.getElementById('espn-s2').value = defaultConfig.espnS2;
-            document.getElementById('swid').value = defaultConfig.swid;
-        }
-
-        const savedYears = localStorage.getItem('espn_league_years');
-        if (savedYears) {
-            const years = JSON.parse(savedYears);
-            document.getElementById('start-year').value = years.startYear || defaultConfig.startYear;
-            document.getElementById('current-year').value = years.currentYear || defaultConfig.currentYear;
-        } else {
-            document.getElementById('start-year').value = defaultConfig.startYear;
-            document.getElementById('current-year').value = defaultConfig.currentYear;
-        }
     }
 
     /**
      * Load league data from ESPN API
      */
     async loadLeagueData() {
-        // Hardcoded league configuration
-        const config = {
-            leagueId: '533683',
-            espnS2: 'AEAKFObDwOm3E7GRJ0QBZKS1wSGiucZZsHVko5wP6kXyjLGixBLzgYhDiG0FhA49%2BQ5NvC5q46LrnlaE9EJx2pGsA3u8NxvcGx06nYcpWZPZxIw2BlYwE4ouA9aODzkDhV7cAGkf6zA0fvcBWE1zRWAYNQ%2F4Nve%2F0pwYOF%2FZFzdSWoB7vyJlmSkUGKc0qsfUinwTLGojGQTh6bsEdtIztGhpdwErCho2845NF4i6sIAPnwamaISOjI3pgtPFXm4j52r0WKoH4Vf2yVf45V1C4b8Y3ry0QOXB7AA%2B3yJHMwVoag%3D%3D',
-            swid: '{691768BD-FEF6-4631-96B6-657E9D470FD7}',
-            startYear: 2011,
-            currentYear: 2026
-        };
+        // League comes from league.config.json (ESPN cookies are configured on the server)
+        if (!this.leagueConfig) {
+            this.updateDataStatus('Error: no league configured. Add league.config.json on the server.');
+            return;
+        }
 
-        const leagueId = config.leagueId;
-        const espnS2 = config.espnS2;
-        const swid = config.swid;
-        const startYear = config.startYear;
-        const currentYear = config.currentYear;
+        const { leagueId, startYear, endYear: currentYear } = this.leagueConfig;
 
         // Configure API
-        espnAPI.configure(leagueId, espnS2, swid);
+        espnAPI.configure(leagueId);
 
         // Show loading UI
         this.showLoadingProgress(true);
         this.isLoading = true;
+        this.loadController = new AbortController();
 
         try {
             const rawData = await espnAPI.getMultiSeasonData(
                 startYear,
                 currentYear,
-                (progress) => this.updateLoadingProgress(progress)
+                (progress) => this.updateLoadingProgress(progress),
+                { signal: this.loadController.signal }
             );
 
             // Log raw data for debugging
@@ -215,12 +556,15 @@ class FantasyApp {
                 }
             }
 
+            // Seasons imported from other platforms or league records aren't on ESPN
+            await this.mergeImportedSeasons(rawData);
+
             // Process the data
             await statsEngine.loadAllSeasons(rawData);
-            statsEngine.saveToStorage();
+            await statsEngine.saveToStorage();
 
             // Save fetch timestamp for daily refresh check
-            localStorage.setItem('espn_last_fetch', Date.now().toString());
+            localStorage.setItem(espnAPI.storageKey('espn_last_fetch'), Date.now().toString());
 
             this.dataLoaded = true;
             this.renderAllSections();
@@ -238,14 +582,28 @@ class FantasyApp {
             document.querySelector('[data-section="home"]').classList.add('active');
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Whatever was loaded before stays on screen
+                console.log('League data load cancelled');
+                this.updateDataStatus('Loading cancelled');
+                return;
+            }
             console.error('Error loading league data:', error);
             this.updateDataStatus(`Error: ${error.message}. Check your credentials and try again.`);
         } finally {
             this.isLoading = false;
+            this.loadController = null;
             this.showLoadingProgress(false);
         }
     }
 
+    /**
+     * Stop the season load in progress, aborting its outstanding requests
+     */
+    cancelLoading() {
+        this.loadController?.abort();
+    }
+
     /**
      * Show/hide loading progress
      */
@@ -264,9 +622,20 @@ class FantasyApp {
     updateLoadingProgress(progress) {
         const fill = document.getElementById('progress-fill');
         const text = document.getElementById('progress-text');
+        const list = document.getElementById('season-load-status');
 
+        const fetching = Object.keys(progress.seasons).filter(year => progress.seasons[year] === 'fetching');
         fill.style.width = `${progress.percentage}%`;
-        text.textContent = `Loading ${progress.year}... (${progress.completed}/${progress.total})`;
+        text.textContent = fetching.length > 0
+            ? `Loading ${fetching.join(', ')}... (${progress.completed}/${progress.total})`
+            : `Loaded ${progress.completed}/${progress.total} seasons`;
+
+        list.innerHTML = Object.entries(progress.seasons).map(([year, status]) => `
+            <li class="season-load-item ${status}" title="${status}">
+                <span class="season-load-year">${year}</span>
+                <span class="season-load-state">${status}</span>
+            </li>
+        `).join('');
     }
 
     /**
@@ -298,6 +667,465 @@ class FantasyApp {
         this.renderH2HMatrix();
         this.populateSeasonSelect();
         this.renderAdvancedAnalytics();
+        this.renderDiagnostics();
+        this.renderRulesTimeline();
+        this.renderOwnerRegistryEditor();
+        this.startLiveScores();
+    }
+
+    /**
+     * Follow this week's scores from server.js (/api/live, Server-Sent Events)
+     * The server answers 204 when the league has no season in progress, and
+     * hosts without server.js have no endpoint - either way the stream closes
+     * and the dashboard keeps showing the last finished games
+     */
+    startLiveScores() {
+        if (this.liveSource || typeof EventSource === 'undefined' || !this.leagueConfig?.slug) return;
+
+        const source = new EventSource(`/api/live?league=${encodeURIComponent(this.leagueConfig.slug)}`);
+        this.liveSource = source;
+
+        source.addEventListener('snapshot', (event) => {
+            this.liveWeek = JSON.parse(event.data);
+            this.renderLiveMatchups();
+        });
+
+        source.addEventListener('scores', (event) => {
+            const update = JSON.parse(event.data);
+            if (!this.liveWeek || update.matchupPeriodId !== this.liveWeek.matchupPeriodId) return;
+
+            for (const matchup of update.matchups) {
+                const index = this.liveWeek.matchups.findIndex(m => m.id === matchup.id);
+                if (index >= 0) {
+                    this.liveWeek.matchups[index] = matchup;
+                } else {
+                    this.liveWeek.matchups.push(matchup);
+                }
+                this.updateLiveMatchup(matchup);
+            }
+        });
+
+        source.addEventListener('error', () => {
+            if (source.readyState === EventSource.CLOSED) {
+                this.liveSource = null;
+                document.getElementById('live-indicator')?.classList.add('hidden');
+            }
+        });
+    }
+
+    /**
+     * Render the live week in the dashboard's matchups card
+     * Returns false (leaving the card alone) when there is no live week
+     */
+    renderLiveMatchups() {
+        const matchups = this.liveWeek?.matchups || [];
+        const matchupsEl = document.getElementById('current-matchups');
+        if (!matchupsEl || matchups.length === 0) return false;
+
+        matchupsEl.innerHTML = matchups.map(m => this.renderLiveMatchupItem(m)).join('');
+        document.getElementById('live-indicator')?.classList.toggle('hidden', matchups.every(m => m.final));
+        return true;
+    }
+
+    /**
+     * One live matchup row
+     */
+    renderLiveMatchupItem(m) {
+        return `
+            <div class="matchup-item live-matchup ${m.final ? 'final' : ''}" data-matchup-id="${m.id}">
+                <span class="team ${m.homeScore > m.awayScore ? 'winner' : ''}">${this.escapeHtml(statsEngine.getTeamName(m.homeTeamId))}</span>
+                <span class="score">
+                    <span class="live-score">${m.homeScore.toFixed(1)} - ${m.awayScore.toFixed(1)}</span>
+                    <span class="live-status">${m.final ? 'Final' : 'Live'}</span>
+                </span>
+                <span class="team ${m.awayScore > m.homeScore ? 'winner' : ''}">${this.escapeHtml(statsEngine.getTeamName(m.awayTeamId))}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Update one live matchup in place, flashing its score
+     */
+    updateLiveMatchup(m) {
+        const item = document.querySelector(`#current-matchups [data-matchup-id="${m.id}"]`);
+        if (!item) {
+            this.renderLiveMatchups();
+            return;
+        }
+
+        const [homeEl, awayEl] = item.querySelectorAll('.team');
+        item.querySelector('.live-score').textContent = `${m.homeScore.toFixed(1)} - ${m.awayScore.toFixed(1)}`;
+        item.querySelector('.live-status').textContent = m.final ? 'Final' : 'Live';
+        item.classList.toggle('final', m.final);
+        homeEl.classList.toggle('winner', m.homeScore > m.awayScore);
+        awayEl.classList.toggle('winner', m.awayScore > m.homeScore);
+
+        // Restart the flash animation
+        item.classList.remove('updated');
+        void item.offsetWidth;
+        item.classList.add('updated');
+
+        document.getElementById('live-indicator')?.classList.toggle('hidden', this.liveWeek.matchups.every(x => x.final));
+    }
+
+    /**
+     * Render the data check results in Settings > Data Diagnostics
+     */
+    renderDiagnostics() {
+        const panel = document.getElementById('diagnostics-panel');
+        const diagnostics = statsEngine.getDiagnostics();
+        if (!panel || !diagnostics) return;
+
+        const { seasonCount, issues, counts } = diagnostics;
+        const summary = `${seasonCount} seasons checked: ${counts.error} error${counts.error !== 1 ? 's' : ''}, ` +
+            `${counts.warning} warning${counts.warning !== 1 ? 's' : ''}, ${counts.info} note${counts.info !== 1 ? 's' : ''}`;
+
+        if (issues.length === 0) {
+            panel.innerHTML = `<p class="diagnostics-summary">${summary} - no problems found</p>`;
+            return;
+        }
+
+        const levelOrder = { error: 0, warning: 1, info: 2 };
+        const sorted = [...issues].sort((a, b) => (b.year - a.year) || (levelOrder[a.level] - levelOrder[b.level]));
+
+        panel.innerHTML = `
+            <p class="diagnostics-summary">${summary}</p>
+            <ul class="diagnostics-list">
+                ${sorted.map(issue => `
+                    <li class="diagnostic diagnostic-${issue.level}">
+                        <span class="diagnostic-level">${issue.level}</span>
+                        <span class="diagnostic-year">${issue.year}</span>
+                        <span class="diagnostic-message">${this.escapeHtml(issue.message)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * League Rules by Year: each season's rules and where they came from
+     * Values nobody declared (built-in defaults) are marked as assumed
+     */
+    renderRulesTimeline() {
+        const el = document.getElementById('rules-timeline');
+        if (!el) return;
+
+        const timeline = statsEngine.getRulesTimeline();
+        if (timeline.length === 0) {
+            el.innerHTML = '<p class="no-data">No seasons loaded</p>';
+            return;
+        }
+
+        const cell = (rules, field, value) => {
+            if (value === null || value === undefined) return '<td class="rules-none">-</td>';
+            const assumed = rules.sources[field] === 'default';
+            return `<td class="${assumed ? 'rules-assumed' : ''}"${assumed ? ' title="Built-in default"' : ''}>${value}${assumed ? '*' : ''}</td>`;
+        };
+
+        el.innerHTML = `
+            <table class="standings-table rules-table">
+                <thead>
+                    <tr>
+                        <th>Season</th>
+                        <th>Regular season</th>
+                        <th>Playoff teams</th>
+                        <th>Counted weeks</th>
+                        <th>Scoring</th>
+                        <th>ESPN API</th>
+                        <th>Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${timeline.map(rules => `
+                        <tr>
+                            <td>${rules.year}</td>
+                            ${cell(rules, 'regularSeasonWeeks', rules.regularSeasonWeeks && `${rules.regularSeasonWeeks} weeks`)}
+                            ${cell(rules, 'playoffTeams', rules.playoffTeams)}
+                            <td>${rules.countedWeeks ? `1-${rules.countedWeeks}` : 'All'}</td>
+                            ${cell(rules, 'scoring', rules.scoring && this.escapeHtml(rules.scoring))}
+                            <td>${rules.espnEndpoint || '-'}</td>
+                            <td class="rules-notes">${rules.notes ? this.escapeHtml(rules.notes) : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="rules-legend">* Built-in default - set it in rules.json if the league played differently</p>
+        `;
+    }
+
+    /**
+     * Load the league's owner registry (owners.json next to the static data)
+     * Edits saved in Settings are kept in this browser and win over the file
+     */
+    async loadOwnerRegistry() {
+        try {
+            const response = await fetch(`${espnAPI.getDataBase()}/${OwnerRegistry.FILE}`, { cache: 'no-cache' });
+            this.ownerRegistryFile = response.ok ? await response.json() : null;
+        } catch (e) {
+            this.ownerRegistryFile = null;
+        }
+
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(espnAPI.storageKey('owner_registry')));
+        } catch (e) {
+            console.warn('Saved owner registry ignored:', e.message);
+            localStorage.removeItem(espnAPI.storageKey('owner_registry'));
+        }
+
+        for (const data of [saved, this.ownerRegistryFile]) {
+            if (!data) continue;
+            try {
+                await statsEngine.setOwnerRegistry(new OwnerRegistry(data));
+                return;
+            } catch (e) {
+                console.warn('Owner registry ignored:', e.message);
+            }
+        }
+        await statsEngine.setOwnerRegistry(new OwnerRegistry());
+    }
+
+    /**
+     * Load the league's rules timeline (rules.json next to the static data)
+     * Without a valid file the built-in defaults apply
+     */
+    async loadLeagueRules() {
+        let data = null;
+        try {
+            const response = await fetch(`${espnAPI.getDataBase()}/${LeagueRules.FILE}`, { cache: 'no-cache' });
+            data = response.ok ? await response.json() : null;
+        } catch (e) {
+            data = null;
+        }
+
+        let leagueRules;
+        try {
+            leagueRules = new LeagueRules(data);
+        } catch (e) {
+            console.warn('League rules ignored:', e.message);
+            leagueRules = new LeagueRules();
+        }
+        espnAPI.setLeagueRules(leagueRules);
+        await statsEngine.setLeagueRules(leagueRules);
+    }
+
+    /**
+     * Stat options in Settings, kept per league in this browser
+     */
+    setupStatsSettings() {
+        const tieStreakSelect = document.getElementById('tie-streak-mode');
+        const saved = localStorage.getItem(espnAPI.storageKey('tie_streak_mode'));
+        if (StatsEngine.TIE_STREAK_MODES.includes(saved)) {
+            statsEngine.setTieStreakMode(saved);
+        }
+        tieStreakSelect.value = statsEngine.tieStreakMode;
+
+        tieStreakSelect.addEventListener('change', () => {
+            statsEngine.setTieStreakMode(tieStreakSelect.value);
+            localStorage.setItem(espnAPI.storageKey('tie_streak_mode'), tieStreakSelect.value);
+            if (this.dataLoaded) this.renderRecords();
+        });
+    }
+
+    /**
+     * Wire up the owner registry editor's buttons (Settings > Owners)
+     */
+    setupOwnerRegistryEditor() {
+        document.getElementById('owner-registry-save').addEventListener('click', () => this.saveOwnerRegistry());
+        document.getElementById('owner-registry-download').addEventListener('click', () => this.downloadOwnerRegistry());
+        document.getElementById('owner-registry-reset').addEventListener('click', () => this.resetOwnerRegistry());
+
+        // Aliases are split off on save; clicking toggles
+        document.getElementById('owner-registry-panel').addEventListener('click', (e) => {
+            const chip = e.target.closest('.owner-alias');
+            if (chip) chip.classList.toggle('removed');
+        });
+    }
+
+    /**
+     * List every owner with their registry settings for editing
+     */
+    renderOwnerRegistryEditor() {
+        const panel = document.getElementById('owner-registry-panel');
+        const league = statsEngine.getLeagueModel();
+        const registry = statsEngine.ownerRegistry;
+        if (!panel || !league || !registry) return;
+
+        const attr = (value) => this.escapeHtml(value ?? '').replace(/"/g, '&quot;');
+        const yearsByOwner = new Map();
+        for (const season of Object.values(league.seasons)) {
+            season.teams.flatMap(t => t.ownerIds).forEach(id => {
+                if (!yearsByOwner.has(id)) yearsByOwner.set(id, []);
+                yearsByOwner.get(id).push(season.year);
+            });
+        }
+
+        const owners = Object.values(league.owners).sort((a, b) => a.displayName.localeCompare(b.displayName));
+        panel.innerHTML = `
+            <table class="owner-registry-table">
+                <thead><tr><th>Owner</th><th>Seasons</th><th>Co-owners</th><th>Active</th><th>Merge into</th></tr></thead>
+                <tbody>
+                    ${owners.map(owner => {
+                        const entry = registry.getOwner(owner.id);
+                        const years = yearsByOwner.get(owner.id) || [];
+                        const sourceName = league.sourceOwners[owner.id] || owner.displayName;
+                        return `
+                            <tr data-owner-id="${attr(owner.id)}">
+                                <td>
+                                    <input type="text" class="owner-name" value="${attr(entry?.name)}" placeholder="${attr(sourceName)}">
+                                    <div class="owner-aliases">
+                                        ${(entry?.aliases || []).map(alias => `
+                                            <button type="button" class="owner-alias" data-alias="${attr(alias)}" title="Click to split this account off">
+                                                ${this.escapeHtml(league.sourceOwners[alias] || alias)}
+                                            </button>
+                                        `).join('')}
+                                    </div>
+                                </td>
+                                <td class="owner-years">${years.length > 0 ? `${Math.min(...years)}–${Math.max(...years)}` : '—'}</td>
+                                <td><input type="text" class="owner-co-owners" value="${attr(entry?.coOwners.join(', '))}" placeholder="Name, Name"></td>
+                                <td class="owner-active">
+                                    <input type="number" class="owner-from" value="${attr(entry?.activeYears?.from)}" placeholder="from">
+                                    <input type="number" class="owner-to" value="${attr(entry?.activeYears?.to)}" placeholder="to">
+                                </td>
+                                <td>
+                                    <select class="owner-merge">
+                                        <option value="">—</option>
+                                        ${owners.filter(o => o.id !== owner.id).map(o =>
+                                            `<option value="${attr(o.id)}">${this.escapeHtml(o.displayName)}</option>`).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Build the registry file's contents from the editor
+     * Owners the editor doesn't list (not in any loaded season) are kept as they were
+     */
+    readOwnerRegistryEditor() {
+        const entries = new Map(statsEngine.ownerRegistry.toJSON().owners.map(entry => [entry.id, entry]));
+        const merges = [];
+
+        document.querySelectorAll('#owner-registry-panel tr[data-owner-id]').forEach(row => {
+            const id = row.dataset.ownerId;
+            const year = (selector) => {
+                const value = parseInt(row.querySelector(selector).value);
+                return isNaN(value) ? null : value;
+            };
+            const from = year('.owner-from');
+            const to = year('.owner-to');
+            const entry = {
+                id,
+                name: row.querySelector('.owner-name').value.trim() || undefined,
+                aliases: Array.from(row.querySelectorAll('.owner-alias:not(.removed)')).map(chip => chip.dataset.alias),
+                coOwners: row.querySelector('.owner-co-owners').value.split(',').map(name => name.trim()).filter(Boolean),
+                activeYears: from || to ? { from, to } : undefined
+            };
+            entries.set(id, entry);
+
+            const target = row.querySelector('.owner-merge').value;
+            if (target) merges.push([id, target]);
+        });
+
+        // Merged owners become aliases of the owner they were merged into (following chains)
+        const mergeTarget = new Map(merges);
+        const finalTarget = (id) => {
+            const seen = new Set();
+            while (mergeTarget.has(id) && !seen.has(id)) {
+                seen.add(id);
+                id = mergeTarget.get(id);
+            }
+            return id;
+        };
+        for (const [id] of merges) {
+            const target = finalTarget(id);
+            if (target === id || !entries.has(id)) continue;
+            const merged = entries.get(id);
+            const into = entries.get(target) || { id: target };
+            into.aliases = [...new Set([...(into.aliases || []), id, ...(merged.aliases || [])])];
+            entries.set(target, into);
+            entries.delete(id);
+        }
+
+        // An owner with nothing set doesn't need an entry
+        const owners = Array.from(entries.values()).filter(entry =>
+            entry.name || entry.aliases?.length || entry.coOwners?.length || entry.activeYears);
+        return new OwnerRegistry({ owners }).toJSON();
+    }
+
+    /**
+     * Apply the editor's changes and keep them in this browser
+     */
+    async saveOwnerRegistry() {
+        let data;
+        try {
+            data = this.readOwnerRegistryEditor();
+        } catch (e) {
+            this.setOwnerRegistryStatus(e.message, true);
+            return;
+        }
+
+        localStorage.setItem(espnAPI.storageKey('owner_registry'), JSON.stringify(data));
+        await this.applyOwnerRegistry(new OwnerRegistry(data));
+        this.setOwnerRegistryStatus(`Saved in this browser (${data.owners.length} owner entries). Download owners.json to share it.`);
+    }
+
+    /**
+     * Drop this browser's edits and go back to the league's owners.json
+     */
+    async resetOwnerRegistry() {
+        localStorage.removeItem(espnAPI.storageKey('owner_registry'));
+        let registry = new OwnerRegistry();
+        try {
+            registry = new OwnerRegistry(this.ownerRegistryFile);
+        } catch (e) {
+            console.warn('Owner registry ignored:', e.message);
+        }
+        await this.applyOwnerRegistry(registry);
+        this.setOwnerRegistryStatus(this.ownerRegistryFile ? 'Back to the league\'s owners.json' : 'No owners.json for this league - owners are as the seasons list them');
+    }
+
+    /**
+     * Recalculate every stat with a registry and redraw the pages
+     */
+    async applyOwnerRegistry(registry) {
+        await statsEngine.setOwnerRegistry(registry);
+        this.renderAllSections();
+        this.renderLandingPage();
+    }
+
+    /**
+     * Save the current registry as owners.json
+     */
+    downloadOwnerRegistry() {
+        let data;
+        try {
+            data = this.readOwnerRegistryEditor();
+        } catch (e) {
+            this.setOwnerRegistryStatus(e.message, true);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(data, null, 4) + '\n'], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = OwnerRegistry.FILE;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.setOwnerRegistryStatus(`Put ${OwnerRegistry.FILE} in the league's data folder (next to manifest.json) to use it everywhere`);
+    }
+
+    /**
+     * Show a message under the owner registry editor
+     */
+    setOwnerRegistryStatus(message, isError = false) {
+        const status = document.getElementById('owner-registry-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
     }
 
     /**
@@ -314,7 +1142,7 @@ class FantasyApp {
         const championNameEl = document.getElementById('current-champion-name');
         if (championNameEl && champion2025) {
             // Get the actual team name for the champion
-            const teamName = statsEngine.getActualTeamName(champion2025.teamId);
+            const teamName = statsEngine.getActualTeamName(champion2025.slotId);
             championNameEl.textContent = teamName;
         }
 
@@ -375,6 +1203,7 @@ class FantasyApp {
         const currentSeason = stats.seasonSummaries[stats.seasonSummaries.length - 1];
         if (currentSeason) {
             const standingsEl = document.getElementById('current-standings');
+            const hasTies = currentSeason.standings.some(team => team.record.ties > 0);
             standingsEl.innerHTML = `
                 <table class="standings-table">
                     <thead>
@@ -383,6 +1212,7 @@ class FantasyApp {
                             <th>Team</th>
                             <th>W</th>
                             <th>L</th>
+                            ${hasTies ? '<th>T</th>' : ''}
                             <th>PF</th>
                         </tr>
                     </thead>
@@ -393,6 +1223,7 @@ class FantasyApp {
                                 <td>${team.name}</td>
                                 <td>${team.record.wins}</td>
                                 <td>${team.record.losses}</td>
+                                ${hasTies ? `<td>${team.record.ties}</td>` : ''}
                                 <td>${team.record.pointsFor.toFixed(1)}</td>
                             </tr>
                         `).join('')}
@@ -401,7 +1232,8 @@ class FantasyApp {
             `;
         }
 
-        // Recent matchups
+        // Recent matchups - this week's live scores instead while a week is being played
+        if (this.renderLiveMatchups()) return;
         const recentMatchups = stats.allMatchups.slice(-6).reverse();
         const matchupsEl = document.getElementById('current-matchups');
         matchupsEl.innerHTML = recentMatchups.map(m => `
@@ -425,7 +1257,7 @@ class FantasyApp {
         // Career wins with win % included
         this.renderLeaderboard('career-wins', careerLeaders.mostWins, (t) => ({
             name: t.teamName,
-            value: `${t.wins}-${t.losses}`,
+            value: LeagueModel.formatRecord(t),
             subtitle: `${(t.winPct * 100).toFixed(1)}% · ${t.seasonsPlayed} seasons`
         }));
 
@@ -495,7 +1327,7 @@ class FantasyApp {
 
         // Closest game
         this.renderLeaderboard('closest-game', recordBook.closestGame.slice(0, 5), (m) => ({
-            name: `${m.winnerName} vs ${m.loserName}`,
+            name: m.isTie ? `${m.homeTeamName} tied ${m.awayTeamName}` : `${m.winnerName} vs ${m.loserName}`,
             value: `${m.winnerScore.toFixed(1)} - ${m.loserScore.toFixed(1)}`,
             subtitle: `Margin: ${m.margin.toFixed(2)} | Week ${m.matchupPeriodId}, ${m.year}`
         }));
@@ -504,7 +1336,7 @@ class FantasyApp {
         this.renderLeaderboard('longest-streak', recordBook.longestWinStreak.slice(0, 5), (s) => ({
             name: s.teamName,
             value: `${s.length} wins`,
-            subtitle: `${s.start.year} Week ${s.start.week} - ${s.end.year} Week ${s.end.week}`
+            subtitle: `${s.start.year} Week ${s.start.week} - ${s.end.year} Week ${s.end.week}${s.ties > 0 ? ` (${s.ties} tie${s.ties > 1 ? 's' : ''})` : ''}`
         }));
     }
 
@@ -544,9 +1376,13 @@ class FantasyApp {
         const team1Select = document.getElementById('team1-select');
         const team2Select = document.getElementById('team2-select');
 
+        const viewSelect = document.getElementById('h2h-view');
+
         const updateH2H = () => {
-            const team1 = parseInt(team1Select.value);
-            const team2 = parseInt(team2Select.value);
+            // Map the select values back to ids - ESPN team slots are numbers, imported ones strings
+            const parse = (value) => this.getH2HTeams().find(t => String(t.id) === value)?.id;
+            const team1 = parse(team1Select.value);
+            const team2 = parse(team2Select.value);
 
             if (team1 && team2 && team1 !== team2) {
                 this.renderH2HDetails(team1, team2);
@@ -555,13 +1391,27 @@ class FantasyApp {
 
         team1Select.addEventListener('change', updateH2H);
         team2Select.addEventListener('change', updateH2H);
+        viewSelect.addEventListener('change', () => {
+            this.h2hView = viewSelect.value;
+            this.populateTeamSelects();
+            this.renderH2HMatrix();
+            document.getElementById('h2h-results').innerHTML =
+                '<p class="no-data">Select two teams to see their head-to-head history</p>';
+        });
+    }
+
+    /**
+     * Owners, or team slots in the per-slot view, for the H2H selects and matrix
+     */
+    getH2HTeams() {
+        return this.h2hView === 'slot' ? statsEngine.getAllTeams() : statsEngine.getAllOwners();
     }
 
     /**
      * Populate team select dropdowns
      */
     populateTeamSelects() {
-        const teams = statsEngine.getAllTeams();
+        const teams = this.getH2HTeams();
         const team1Select = document.getElementById('team1-select');
         const team2Select = document.getElementById('team2-select');
 
@@ -577,7 +1427,7 @@ class FantasyApp {
      * Render H2H details for two teams
      */
     renderH2HDetails(team1Id, team2Id) {
-        const details = statsEngine.getH2HDetails(team1Id, team2Id);
+        const details = statsEngine.getH2HDetails(team1Id, team2Id, this.h2hView === 'slot');
         const el = document.getElementById('h2h-results');
 
         if (!details || details.matchups.length === 0) {
@@ -641,8 +1491,8 @@ class FantasyApp {
         const stats = statsEngine.aggregatedStats;
         if (!stats || !stats.h2hMatrix) return;
 
-        const teams = statsEngine.getAllTeams();
-        const matrix = stats.h2hMatrix;
+        const teams = this.getH2HTeams();
+        const matrix = this.h2hView === 'slot' ? stats.slotH2HMatrix : stats.h2hMatrix;
         const el = document.getElementById('h2h-matrix');
 
         if (teams.length > 14) {
@@ -666,7 +1516,8 @@ class FantasyApp {
                     if (record && (record.wins + record.losses + record.ties) > 0) {
                         const winClass = record.wins > record.losses ? 'positive' :
                                         record.wins < record.losses ? 'negative' : 'neutral';
-                        html += `<td class="${winClass}" title="${t1.name} vs ${t2.name}: ${record.wins}-${record.losses}">${record.wins}-${record.losses}</td>`;
+                        const recordText = LeagueModel.formatRecord(record);
+                        html += `<td class="${winClass}" title="${t1.name} vs ${t2.name}: ${recordText}">${recordText}</td>`;
                     } else {
                         html += '<td class="no-games">0-0</td>';
                     }
@@ -700,7 +1551,10 @@ class FantasyApp {
         const select = document.getElementById('season-select');
 
         select.innerHTML = '<option value="">Select a season...</option>' +
-            seasons.map(y => `<option value="${y}">${y}</option>`).join('');
+            seasons.map(y => {
+                const source = statsEngine.getSeasonSource(y);
+                return `<option value="${y}">${y}${source === 'manual' ? ' (manual)' : ''}</option>`;
+            }).join('');
     }
 
     /**
@@ -710,6 +1564,12 @@ class FantasyApp {
         const details = statsEngine.getSeasonDetails(year);
         if (!details) return;
 
+        // Provenance: where this season's numbers came from
+        const sourceEl = document.getElementById('season-source');
+        const source = details.source || 'espn';
+        sourceEl.className = `season-source source-${source}`;
+        sourceEl.textContent = `Source: ${SEASON_SOURCE_LABELS[source] || source}${details.sourceNote ? ` - ${details.sourceNote}` : ''}`;
+
         // Standings
         const standingsEl = document.getElementById('season-standings');
         standingsEl.innerHTML = `
@@ -718,7 +1578,7 @@ class FantasyApp {
                     <tr>
                         <th>#</th>
                         <th>Team</th>
-                        <th>W-L</th>
+                        <th>Record</th>
                         <th>PF</th>
                         <th>PA</th>
                     </tr>
@@ -728,7 +1588,7 @@ class FantasyApp {
                         <tr class="${team.id === details.champion ? 'champion-row' : ''}">
                             <td>${i + 1}</td>
                             <td>${team.name} ${team.id === details.champion ? '🏆' : ''}</td>
-                            <td>${team.record.wins}-${team.record.losses}</td>
+                            <td>${LeagueModel.formatRecord(team.record)}</td>
                             <td>${team.record.pointsFor.toFixed(1)}</td>
                             <td>${team.record.pointsAgainst.toFixed(1)}</td>
                         </tr>
@@ -739,7 +1599,7 @@ class FantasyApp {
 
         // Season leaders
         const leadersEl = document.getElementById('season-leaders');
-        const mostWins = [...details.standings].sort((a, b) => b.record.wins - a.record.wins)[0];
+        const mostWins = [...details.standings].sort((a, b) => LeagueModel.winPct(b.record) - LeagueModel.winPct(a.record))[0];
         const mostPF = [...details.standings].sort((a, b) => b.record.pointsFor - a.record.pointsFor)[0];
 
         leadersEl.innerHTML = `
@@ -749,7 +1609,7 @@ class FantasyApp {
             </div>
             <div class="leader-item">
                 <span class="leader-title">Best Record</span>
-                <span class="leader-value">${mostWins.name} (${mostWins.record.wins}-${mostWins.record.losses})</span>
+                <span class="leader-value">${mostWins.name} (${LeagueModel.formatRecord(mostWins.record)})</span>
             </div>
             <div class="leader-item">
                 <span class="leader-title">Most Points</span>
@@ -778,21 +1638,82 @@ class FantasyApp {
         const renderWeek = () => {
             const week = weekSelect.value;
             const matchups = details.matchupsByWeek[week] || [];
-            document.getElementById('week-matchups').innerHTML = matchups.map(m => `
-                <div class="matchup-row">
+            const container = document.getElementById('week-matchups');
+            container.innerHTML = matchups.map((m, i) => `
+                <div class="matchup-row clickable" data-index="${i}" title="Show box score">
                     <span class="team ${m.homeScore > m.awayScore ? 'winner' : ''}">${m.homeTeamName}</span>
                     <span class="score">${m.homeScore.toFixed(1)} - ${m.awayScore.toFixed(1)}</span>
                     <span class="team ${m.awayScore > m.homeScore ? 'winner' : ''}">${m.awayTeamName}</span>
                 </div>
+                <div class="box-score hidden" data-index="${i}"></div>
             `).join('');
+
+            // Click a matchup to show its lineups
+            container.querySelectorAll('.matchup-row').forEach(row => {
+                row.addEventListener('click', () => {
+                    const box = container.querySelector(`.box-score[data-index="${row.dataset.index}"]`);
+                    const opening = box.classList.contains('hidden');
+                    box.classList.toggle('hidden');
+                    if (opening && !box.dataset.loaded) {
+                        box.dataset.loaded = 'true';
+                        this.renderBoxScore(box, year, matchups[row.dataset.index]);
+                    }
+                });
+            });
         };
 
         weekSelect.addEventListener('change', renderWeek);
         renderWeek();
 
-        // Playoffs (placeholder)
-        document.getElementById('season-playoffs').innerHTML = `
-            <p>Playoff data for ${year}</p>
+        // Playoffs
+        this.renderPlayoffBracket(document.getElementById('season-playoffs'), details);
+    }
+
+    /**
+     * Render a season's playoff bracket (see StatsEngine.buildPlayoffBracket)
+     */
+    renderPlayoffBracket(el, details) {
+        const { bracket, champion } = details;
+        if (!bracket) {
+            el.innerHTML = `<p class="no-data">No playoff games for ${details.year}</p>`;
+            return;
+        }
+
+        const renderSide = (side, game) => {
+            const won = game && game.winnerTeamId === side.teamId;
+            const played = game?.isComplete;
+            return `
+                <div class="bracket-team ${won ? 'winner' : ''} ${side.teamId === champion && game ? 'champion' : ''}">
+                    <span class="bracket-seed">${side.seed ?? ''}</span>
+                    <span class="bracket-name">${this.escapeHtml(side.name)}</span>
+                    <span class="bracket-score">${game ? (played ? side.score.toFixed(1) : '—') : 'BYE'}</span>
+                </div>
+            `;
+        };
+
+        el.innerHTML = `
+            <div class="playoff-bracket">
+                ${bracket.brackets.map(section => `
+                    <div class="bracket-section bracket-${section.type.toLowerCase().replace(/_/g, '-')}">
+                        <h4 class="bracket-title">${section.label}</h4>
+                        <div class="bracket-rounds">
+                            ${section.rounds.map(round => `
+                                <div class="bracket-round">
+                                    <div class="bracket-round-header">${round.label} <span>Week ${round.week}</span></div>
+                                    ${round.games.map(game => `
+                                        <div class="bracket-game ${game.isTie ? 'tie' : ''}">
+                                            ${renderSide(game.home, game)}
+                                            ${renderSide(game.away, game)}
+                                        </div>
+                                    `).join('')}
+                                    ${round.byes.map(side => `<div class="bracket-game bye">${renderSide(side, null)}</div>`).join('')}
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${bracket.seedsGuessed ? '<p class="note">Seeds are from the final standings - this season has no playoff seeds.</p>' : ''}
             <p class="note">Champion: ${details.championName} 🏆</p>
         `;
     }
@@ -811,27 +1732,8 @@ class FantasyApp {
         }
 
         try {
-            // Build raw data structure for analytics module
-            const rawData = {
-                seasons: {},
-                meta: {
-                    leagueId: '533683',
-                    startYear: 2011,
-                    endYear: 2026
-                }
-            };
-
-            // Get raw season data from statsEngine
-            const seasons = statsEngine.getAllSeasons();
-            seasons.forEach(year => {
-                const seasonData = statsEngine.getSeasonRawData(year);
-                if (seasonData) {
-                    rawData.seasons[year] = seasonData;
-                }
-            });
-
-            // Run analytics
-            const analytics = new AdvancedAnalytics(rawData);
+            // Run analytics on the same league model the stats engine uses
+            const analytics = new AdvancedAnalytics(statsEngine.getLeagueModel());
             const report = analytics.generateFullReport(5, 30); // close game ≤5 pts, blowout >30 pts
 
             // Render the report
@@ -927,7 +1829,7 @@ class FantasyApp {
                                     </div>
                                     <div class="analytics-team-stat">
                                         <span class="analytics-team-stat-label">Actual</span>
-                                        <span class="analytics-team-stat-value">${team.actualWins}</span>
+                                        <span class="analytics-team-stat-value" title="A tie counts as half a win">${team.actualWins + team.actualTies / 2}</span>
                                     </div>
                                     <div class="analytics-team-stat">
                                         <span class="analytics-team-stat-label">Expected</span>
@@ -1063,7 +1965,7 @@ class FantasyApp {
                                     </div>
                                     <div class="analytics-team-stat">
                                         <span class="analytics-team-stat-label">Close</span>
-                                        <span class="analytics-team-stat-value">${team.closeWins}-${team.closeLosses}</span>
+                                        <span class="analytics-team-stat-value">${LeagueModel.formatRecord({ wins: team.closeWins, losses: team.closeLosses, ties: team.closeTies })}</span>
                                     </div>
                                     <div class="analytics-team-stat">
                                         <span class="analytics-team-stat-label">Close %</span>
@@ -1240,12 +2142,14 @@ class FantasyApp {
             return parseFloat(pctMatch[1]);
         }
 
-        // Handle W-L records like "10-5"
-        const recordMatch = cleaned.match(/^(\d+)-(\d+)$/);
+        // Handle records like "10-5" or "10-5-1"
+        const recordMatch = cleaned.match(/^(\d+)-(\d+)(?:-(\d+))?$/);
         if (recordMatch) {
-            const wins = parseInt(recordMatch[1]);
-            const losses = parseInt(recordMatch[2]);
-            return wins / (wins + losses) || 0;
+            return LeagueModel.winPct({
+                wins: parseInt(recordMatch[1]),
+                losses: parseInt(recordMatch[2]),
+                ties: parseInt(recordMatch[3] || 0)
+            });
         }
 
         const num = parseFloat(cleaned);
@@ -1559,7 +2463,8 @@ class FantasyApp {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
@@ -2050,7 +2955,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update cache status display
     const cacheStatusDisplay = document.getElementById('cache-status-display');
     if (cacheStatusDisplay) {
-        const lastFetch = localStorage.getItem('espn_last_fetch');
+        const lastFetch = localStorage.getItem(espnAPI.storageKey('espn_last_fetch'));
         if (lastFetch) {
             const fetchDate = new Date(parseInt(lastFetch));
             const now = new Date();
@@ -2072,7 +2977,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const refreshBtn = document.getElementById('refresh-data-btn');
     if (refreshBtn) {
         refreshBtn.addEventListener('click', () => {
-            localStorage.removeItem('espn_last_fetch');
+            localStorage.removeItem(espnAPI.storageKey('espn_last_fetch'));
             location.reload();
         });
     }
@@ -1,31 +1,73 @@
 /**
  * ESPN Fantasy Football API Integration Module
- * Handles all communication with ESPN's fantasy API for private leagues
+ * Handles all communication with ESPN's fantasy API for private leagues.
+ * Requests go through the server's typed league endpoints, which build the
+ * ESPN URL and attach the league's cookies.
  */
 
 class ESPNFantasyAPI {
+    // ESPN defaultPositionId -> position
+    static POSITIONS = { 1: 'QB', 2: 'RB', 3: 'WR', 4: 'TE', 5: 'K', 16: 'D/ST' };
+
+    // ESPN lineupSlotId -> lineup slot
+    static LINEUP_SLOTS = {
+        0: 'QB', 2: 'RB', 3: 'RB/WR', 4: 'WR', 5: 'WR/TE', 6: 'TE', 7: 'OP',
+        16: 'D/ST', 17: 'K', 20: 'Bench', 21: 'IR', 23: 'FLEX'
+    };
+    static BENCH_SLOTS = [20, 21];
+
     constructor() {
-        // ESPN changed their API in 2018 - different endpoints for old vs new
-        this.baseUrlNew = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl/seasons';
-        this.baseUrlOld = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl/leagueHistory';
-        this.proxyUrl = '/api/espn'; // Local proxy endpoint
-        this.useProxy = true; // Enable proxy by default for private leagues
+        this.apiBase = '/api/league'; // Server league endpoints
         this.leagueId = null;
-        this.espnS2 = null;
-        this.swid = null;
+        this.leagueSlug = this.detectLeagueSlug(); // null for the default league at /
         this.cache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
-        this.legacyCutoffYear = 2018; // Years before this use the old API
         this.requestTimeout = 30000; // 30 second timeout for API requests
+        this.maxRetries = 3; // Retries for 429/5xx and network failures
+        this.retryBaseDelay = 1000; // Backoff doubles each attempt: 1s, 2s, 4s
+        this.retryMaxDelay = 30000;
+        this.retryableStatus = [429, 500, 502, 503, 504];
+        this.maxConcurrentSeasons = 3; // Seasons fetched at once by getMultiSeasonData
+        this.capabilities = undefined; // probe.js results - null once we know there are none
+        this.leagueRules = null; // League rules timeline (see league-rules.js) - defaults until set
+        // ESPN views the server proxies for this league (league.config.json) - defaults until set
+        this.viewConfig = {
+            views: ['mTeam', 'mMatchup', 'mMatchupScore', 'mStandings', 'mSettings', 'mRoster', 'kona_player_info'],
+            legacyViews: ['mTeam', 'mMatchup'],
+            weeklyViews: ['mMatchupScore', 'mRoster']
+        };
+    }
+
+    /**
+     * Read the league slug from a /league/:slug/ page URL
+     */
+    detectLeagueSlug() {
+        if (typeof window === 'undefined') return null;
+        const match = window.location.pathname.match(/^\/league\/([a-z0-9-]+)\//);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Base URL of this league's pre-built data
+     */
+    getDataBase() {
+        return this.leagueSlug ? `/league/${this.leagueSlug}/data` : '/data';
     }
 
     /**
-     * Configure the API with league credentials
+     * Namespace a localStorage key by league so leagues don't share caches
+     * The default league keeps the original un-prefixed keys
      */
-    configure(leagueId, espnS2 = null, swid = null) {
+    storageKey(key) {
+        return this.leagueSlug ? `${this.leagueSlug}:${key}` : key;
+    }
+
+    /**
+     * Configure the API with the league to load
+     * ESPN cookies live on the server - it adds them per league
+     */
+    configure(leagueId) {
         this.leagueId = leagueId;
-        this.espnS2 = espnS2;
-        this.swid = swid;
     }
 
     /**
@@ -36,103 +78,104 @@ class ESPNFantasyAPI {
     }
 
     /**
-     * Build the API URL for a specific season
-     * Uses different endpoints for pre-2018 (legacy) vs 2018+ seasons
+     * Build the server endpoint URL for a season (or a single scoring period)
+     * Format: /api/league/{leagueId}/season/{year}[/week/{scoringPeriodId}]?views=a,b
      */
-    buildUrl(year, endpoint = '') {
-        if (year < this.legacyCutoffYear) {
-            // Legacy API for pre-2018 seasons
-            // Format: /leagueHistory/{leagueId}?seasonId={year}
-            return `${this.baseUrlOld}/${this.leagueId}?seasonId=${year}`;
-        } else {
-            // New API for 2018+ seasons
-            let url = `${this.baseUrlNew}/${year}/segments/0/leagues/${this.leagueId}`;
-            if (endpoint) {
-                url += `/${endpoint}`;
-            }
-            return url;
+    buildUrl(year, views = [], scoringPeriodId = null) {
+        let url = `${this.apiBase}/${encodeURIComponent(this.leagueId)}/season/${year}`;
+        if (scoringPeriodId !== null) {
+            url += `/week/${scoringPeriodId}`;
+        }
+        if (views.length > 0) {
+            url += `?views=${views.map(encodeURIComponent).join(',')}`;
+        }
+        return url;
+    }
+
+    /**
+     * Use the league's configured views ({ views, legacyViews, weeklyViews } from /api/config)
+     * Lists the config leaves out keep their defaults
+     */
+    setViews(viewConfig = {}) {
+        for (const key of Object.keys(this.viewConfig)) {
+            if (Array.isArray(viewConfig[key])) this.viewConfig[key] = viewConfig[key];
         }
     }
 
+    /**
+     * Keep only the views the server proxies for this league (it refuses the rest)
+     */
+    filterViews(views) {
+        const { views: seasonViews, legacyViews, weeklyViews } = this.viewConfig;
+        const allowed = new Set([...seasonViews, ...legacyViews, ...weeklyViews]);
+        return views.filter(v => allowed.has(v));
+    }
+
+    /**
+     * Use a league's rules timeline (its espnEndpoint can move the legacy cutoff)
+     */
+    setLeagueRules(leagueRules) {
+        this.leagueRules = leagueRules;
+    }
+
     /**
      * Check if a year uses the legacy API
      */
     isLegacyYear(year) {
-        return year < this.legacyCutoffYear;
+        // Browser pages load league-rules.js first; Node requires it
+        const rules = typeof LeagueRules !== 'undefined' ? LeagueRules : require('./league-rules.js');
+        return rules.isLegacyEspnYear(year, this.leagueRules);
     }
 
     /**
-     * Build headers for private league access
-     * Note: Due to CORS restrictions, this may need a proxy server for private leagues
+     * Build request headers
+     * Note: Cookies can't be set via fetch headers due to browser security -
+     * the server attaches them for private leagues
      */
     buildHeaders() {
-        const headers = {
+        return {
             'Accept': 'application/json',
         };
+    }
+
+    /**
+     * Key of a request in the in-memory cache
+     */
+    getCacheKey(year, views = [], scoringPeriodId = null) {
+        return `${this.leagueId}-${year}-${views.join(',')}-${scoringPeriodId || 'all'}`;
+    }
 
-        // Note: Cookies can't be set via fetch headers due to browser security
-        // For private leagues, we'll need to use a proxy or the cookies in URL params
-        return headers;
+    /**
+     * Check whether a request would be answered from the in-memory cache
+     */
+    isCached(year, views = [], scoringPeriodId = null) {
+        const cached = this.cache.get(this.getCacheKey(year, views, scoringPeriodId));
+        return !!cached && Date.now() - cached.timestamp < this.cacheExpiry;
     }
 
     /**
-     * Fetch data from ESPN API with caching
-     * For private leagues, credentials need to be passed as cookies
+     * Fetch data from ESPN API (via the server) with caching
+     * signal (optional AbortSignal) cancels the request and any retries
      */
-    async fetchData(year, views = [], scoringPeriodId = null) {
-        const cacheKey = `${year}-${views.join(',')}-${scoringPeriodId || 'all'}`;
+    async fetchData(year, views = [], scoringPeriodId = null, signal = null) {
+        views = this.filterViews(views);
+        const cacheKey = this.getCacheKey(year, views, scoringPeriodId);
 
         // Check cache
-        const cached = this.cache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-            return cached.data;
+        if (this.isCached(year, views, scoringPeriodId)) {
+            return this.cache.get(cacheKey).data;
         }
 
         const isLegacy = this.isLegacyYear(year);
-        let url = this.buildUrl(year);
-
-        // Build query parameters
-        if (isLegacy) {
-            // Legacy API already has seasonId in URL, just add views
-            const params = new URLSearchParams();
-            if (views.length > 0) {
-                views.forEach(view => params.append('view', view));
-            }
-            if (params.toString()) {
-                url += '&' + params.toString();
-            }
-        } else {
-            // New API
-            const params = new URLSearchParams();
-            if (views.length > 0) {
-                views.forEach(view => params.append('view', view));
-            }
-            if (scoringPeriodId !== null) {
-                params.append('scoringPeriodId', scoringPeriodId);
-            }
-            if (params.toString()) {
-                url += '?' + params.toString();
-            }
-        }
+        const url = this.buildUrl(year, views, scoringPeriodId);
 
         console.log(`Fetching ${year} (${isLegacy ? 'legacy' : 'new'} API): ${url}`);
 
         try {
-            // For private leagues, we need to use a CORS proxy or backend
-            // This is a limitation of browser-based API calls
-            const response = await this.fetchWithCredentials(url);
-
-            if (!response.ok) {
-                throw new Error(`ESPN API error: ${response.status} ${response.statusText}`);
-            }
-
-            let data = await response.json();
+            const response = await this.fetchWithRetry(url, signal);
 
-            // Legacy API returns an array, extract first element
-            if (isLegacy && Array.isArray(data)) {
-                data = data[0] || {};
-                console.log(`Legacy data for ${year}:`, data ? 'found' : 'empty');
-            }
+            // The server unwraps the legacy API's array response
+            const data = await response.json();
 
             // Cache the result
             this.cache.set(cacheKey, {
@@ -142,69 +185,84 @@ class ESPNFantasyAPI {
 
             return data;
         } catch (error) {
-            console.error(`Error fetching data for ${year}:`, error);
+            if (error.name !== 'AbortError') {
+                console.error(`Error fetching data for ${year}:`, error);
+            }
             throw error;
         }
     }
 
     /**
-     * Fetch with credentials handling and timeout
-     * Uses a local proxy server for browser-based requests to private leagues
+     * Fetch with retries and exponential backoff
+     * Retries 429/5xx responses and network failures; uses Retry-After on 429/503 when the server sends it
+     * A cancelled request is never retried
      */
-    async fetchWithCredentials(url) {
-        // Create abort controller for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    async fetchWithRetry(url, signal = null) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            let retryAfterMs = null;
 
-        try {
-            // For public leagues without proxy, try direct fetch
-            if (!this.espnS2 && !this.swid && !this.useProxy) {
-                const response = await fetch(url, {
-                    headers: this.buildHeaders(),
-                    signal: controller.signal
-                });
-                clearTimeout(timeoutId);
-                return response;
+            try {
+                const response = await this.fetchWithTimeout(url, signal);
+                if (response.ok) {
+                    return response;
+                }
+
+                error = new Error(`ESPN API error: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                const retryAfter = parseInt(response.headers.get('Retry-After'));
+                if (!isNaN(retryAfter)) retryAfterMs = retryAfter * 1000;
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                error = e; // Timeout or network failure
             }
 
-            // Use proxy server to handle CORS and cookies
-            if (this.useProxy) {
-                const proxyParams = new URLSearchParams();
-                proxyParams.append('url', url);
+            error.attempts = attempt + 1;
+            if (error.status && !this.retryableStatus.includes(error.status)) {
+                throw error;
+            }
+            if (attempt >= this.maxRetries) {
+                throw error;
+            }
 
-                if (this.espnS2) {
-                    proxyParams.append('espn_s2', this.espnS2);
-                }
-                if (this.swid) {
-                    proxyParams.append('swid', this.swid);
-                }
+            const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt));
+            const wait = retryAfterMs !== null ? Math.min(this.retryMaxDelay, Math.max(retryAfterMs, backoff)) : backoff;
+            console.warn(`${error.message} - retry ${attempt + 1}/${this.maxRetries} in ${wait}ms`);
+            await this.delay(wait, signal);
+        }
+    }
 
-                const proxyRequestUrl = `${this.proxyUrl}?${proxyParams.toString()}`;
-                console.log('Using proxy for ESPN API request');
+    /**
+     * Fetch with timeout
+     * Only the league ID and season are sent - the server builds the ESPN URL and adds the cookies
+     * Aborting signal rejects with an AbortError; the timeout rejects with a normal Error
+     */
+    async fetchWithTimeout(url, signal = null) {
+        signal?.throwIfAborted();
 
-                const response = await fetch(proxyRequestUrl, {
-                    headers: this.buildHeaders(),
-                    signal: controller.signal
-                });
-                clearTimeout(timeoutId);
-                return response;
-            }
+        // Create abort controller for timeout (and for the caller's signal)
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
 
-            // Fallback: Try direct fetch with credentials
-            const response = await fetch(url, {
+        try {
+            return await fetch(url, {
                 headers: this.buildHeaders(),
-                credentials: 'include',
                 signal: controller.signal
             });
-            clearTimeout(timeoutId);
-            return response;
         } catch (e) {
-            clearTimeout(timeoutId);
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
             if (e.name === 'AbortError') {
                 throw new Error('Request timed out - network may be slow');
             }
             console.error('Fetch failed:', e);
             throw new Error('Network error - please check your connection');
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
         }
     }
 
@@ -244,6 +302,42 @@ class ESPNFantasyAPI {
         return this.fetchData(year, views, week);
     }
 
+    /**
+     * Get the lineups and player points for one scoring period
+     */
+    async getWeekBoxScores(year, scoringPeriodId) {
+        const data = await this.fetchData(year, this.viewConfig.weeklyViews, scoringPeriodId);
+        return this.parseBoxScores(data, scoringPeriodId);
+    }
+
+    /**
+     * Get lineups for every scoring period of a season
+     * seasonData is the season's full data, used to find how many scoring periods it has
+     * Returns { [scoringPeriodId]: parseBoxScores result }; failed weeks are { error }
+     */
+    async getSeasonBoxScores(year, seasonData, progressCallback = null) {
+        const periods = this.getScoringPeriods(year, seasonData);
+        const weeks = {};
+
+        for (const scoringPeriodId of periods) {
+            try {
+                weeks[scoringPeriodId] = await this.getWeekBoxScores(year, scoringPeriodId);
+            } catch (error) {
+                console.error(`Failed to fetch ${year} week ${scoringPeriodId} box scores:`, error);
+                weeks[scoringPeriodId] = { error: error.message };
+            }
+
+            if (progressCallback) {
+                progressCallback({ year, scoringPeriodId, total: periods.length });
+            }
+
+            // Small delay to avoid rate limiting
+            await this.delay(250);
+        }
+
+        return weeks;
+    }
+
     /**
      * Get draft data
      */
@@ -259,223 +353,216 @@ class ESPNFantasyAPI {
     }
 
     /**
-     * Get comprehensive season data (all views)
-     * For legacy years (pre-2018), we use fewer views as the old API has different support
-     */
-    async getFullSeasonData(year) {
-        if (this.isLegacyYear(year)) {
-            // Legacy API - use only core views that are supported
-            // The leagueHistory endpoint has limited view support
-            return this.fetchData(year, [
-                'mTeam',
-                'mMatchup'
-            ]);
-        } else {
-            // New API - full view support
-            return this.fetchData(year, [
-                'mTeam',
-                'mMatchup',
-                'mMatchupScore',
-                'mStandings',
-                'mSettings',
-                'mRoster',
-                'kona_player_info'  // This view includes member/owner info
-            ]);
+     * Load the league's capabilities file (written by probe.js), once
+     */
+    async loadCapabilities() {
+        if (this.capabilities !== undefined) return this.capabilities;
+
+        try {
+            const response = await fetch(`${this.getDataBase()}/capabilities.json`, { cache: 'no-cache' });
+            this.capabilities = response.ok ? await response.json() : null;
+        } catch (e) {
+            this.capabilities = null;
         }
+        return this.capabilities;
     }
 
     /**
-     * Fetch data for multiple seasons
+     * Choose the views to request for a season
+     * With probe results, every view the season is known to serve is used - legacy
+     * seasons included. Without them, legacy years get only the core views.
      */
-    async getMultiSeasonData(startYear, endYear, progressCallback = null) {
-        const allData = {};
-        const totalYears = endYear - startYear + 1;
-        let completed = 0;
-
-        for (let year = startYear; year <= endYear; year++) {
-            try {
-                allData[year] = await this.getFullSeasonData(year);
-                completed++;
-
-                if (progressCallback) {
-                    progressCallback({
-                        year: year,
-                        completed: completed,
-                        total: totalYears,
-                        percentage: Math.round((completed / totalYears) * 100)
-                    });
-                }
-
-                // Small delay to avoid rate limiting
-                await this.delay(500);
-            } catch (error) {
-                console.error(`Failed to fetch data for ${year}:`, error);
-                allData[year] = { error: error.message };
-            }
+    selectViews(year, views, legacyViews, capabilities = this.capabilities) {
+        const season = capabilities?.seasons?.[year];
+        if (season?.views) {
+            const probed = views.filter(v => season.views[v] === 'ok');
+            const unprobed = this.isLegacyYear(year) ? [] : views.filter(v => !(v in season.views));
+            return [...probed, ...unprobed];
         }
-
-        return allData;
+        return this.isLegacyYear(year) ? legacyViews : views;
     }
 
     /**
-     * Parse team data from API response
-     * Handles both new API format and legacy format (pre-2018)
-     */
-    parseTeams(data) {
-        if (!data.teams) return [];
-
-        const members = data.members || [];
-
-        return data.teams.map(team => {
-            // Handle different record formats between legacy and new API
-            let wins = 0, losses = 0, ties = 0, pointsFor = 0, pointsAgainst = 0;
-
-            if (team.record?.overall) {
-                // New API format
-                wins = team.record.overall.wins || 0;
-                losses = team.record.overall.losses || 0;
-                ties = team.record.overall.ties || 0;
-                pointsFor = team.record.overall.pointsFor || 0;
-                pointsAgainst = team.record.overall.pointsAgainst || 0;
-            } else if (team.record) {
-                // Legacy format - record might be flat
-                wins = team.record.wins || 0;
-                losses = team.record.losses || 0;
-                ties = team.record.ties || 0;
-                pointsFor = team.record.pointsFor || team.points || 0;
-                pointsAgainst = team.record.pointsAgainst || 0;
-            } else {
-                // Fallback - look at team level
-                wins = team.wins || 0;
-                losses = team.losses || 0;
-                pointsFor = team.points || team.pointsFor || 0;
-                pointsAgainst = team.pointsAgainst || 0;
-            }
+     * Get comprehensive season data (all views)
+     * Views per year come from the capabilities file when probe.js has been run;
+     * otherwise legacy years (pre-2018) use fewer views as the old API has different support
+     */
+    async getFullSeasonData(year, signal = null) {
+        await this.loadCapabilities();
+        return this.fetchData(year, this.getFullSeasonViews(year), null, signal);
+    }
 
-            return {
-                id: team.id,
-                teamName: team.name || team.teamName || `Team ${team.id}`,
-                name: this.getOwnerName(team, members), // Display name = owner name
-                ownerName: this.getOwnerName(team, members),
-                abbreviation: team.abbrev || team.name?.substring(0, 4) || `T${team.id}`,
-                ownerId: team.primaryOwner,
-                logo: team.logo,
-                record: {
-                    wins,
-                    losses,
-                    ties,
-                    pointsFor,
-                    pointsAgainst
-                },
-                playoffSeed: team.playoffSeed,
-                rankCalculatedFinal: team.rankCalculatedFinal || team.finalStandingsPosition,
-                divisionId: team.divisionId
-            };
-        });
+    /**
+     * Views requested for a season's full data
+     */
+    getFullSeasonViews(year) {
+        return this.selectViews(year, this.viewConfig.views, this.viewConfig.legacyViews);
     }
 
     /**
-     * Get owner name from team data (prioritizes owner name over team name)
-     * Returns format: "FirstName L." (first name + last initial)
+     * Fetch data for multiple seasons, a few at a time
+     * options: { concurrency: seasons fetched at once, signal: AbortSignal that stops the load }
+     * progressCallback gets { year, status, seasons, completed, total, percentage } whenever a
+     * season's status changes - status is 'queued', 'fetching', 'cached', 'loaded' or 'failed'.
+     * A cancelled load rejects with an AbortError; requests still running are aborted.
      */
-    getOwnerName(team, members = []) {
-        // Helper to format name as "FirstName L."
-        const formatName = (firstName, lastName) => {
-            const first = firstName ? firstName.charAt(0).toUpperCase() + firstName.slice(1).toLowerCase() : '';
-            const lastInitial = lastName ? lastName.charAt(0).toUpperCase() + '.' : '';
-            return `${first} ${lastInitial}`.trim();
-        };
+    async getMultiSeasonData(startYear, endYear, progressCallback = null, options = {}) {
+        const { signal = null } = options;
+        const concurrency = Math.max(1, options.concurrency || this.maxConcurrentSeasons);
+        const years = [];
+        for (let year = startYear; year <= endYear; year++) years.push(year);
 
-        // First try to get from members list (most reliable)
-        if (team.primaryOwner && members.length > 0) {
-            const member = members.find(m => m.id === team.primaryOwner);
-            if (member && (member.firstName || member.lastName)) {
-                return formatName(member.firstName, member.lastName);
-            }
-        }
+        const allData = {};
+        const seasons = Object.fromEntries(years.map(year => [year, 'queued']));
+        let completed = 0;
 
-        // Then try from team.owners array
-        if (team.owners && team.owners.length > 0) {
-            const owner = team.owners[0];
-            if (owner.firstName || owner.lastName) {
-                return formatName(owner.firstName, owner.lastName);
+        const report = (year, status) => {
+            seasons[year] = status;
+            if (['cached', 'loaded', 'failed'].includes(status)) completed++;
+            if (progressCallback) {
+                progressCallback({
+                    year,
+                    status,
+                    seasons: { ...seasons },
+                    completed,
+                    total: years.length,
+                    percentage: Math.round((completed / years.length) * 100)
+                });
             }
+        };
+
+        await this.loadCapabilities();
+        if (progressCallback) {
+            progressCallback({ year: null, status: 'queued', seasons: { ...seasons }, completed, total: years.length, percentage: 0 });
         }
 
-        // Then try team.members
-        if (team.members && team.members.length > 0) {
-            const member = team.members[0];
-            if (member.firstName || member.lastName) {
-                return formatName(member.firstName, member.lastName);
+        const queue = [...years];
+        const worker = async () => {
+            while (queue.length > 0) {
+                signal?.throwIfAborted();
+                const year = queue.shift();
+                const cached = this.isCached(year, this.getFullSeasonViews(year));
+                if (!cached) report(year, 'fetching');
+
+                try {
+                    allData[year] = await this.getFullSeasonData(year, signal);
+                    report(year, cached ? 'cached' : 'loaded');
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    // fetchData already retried transient failures - this one is final
+                    console.error(`Failed to fetch data for ${year} after ${error.attempts || 1} attempt(s):`, error);
+                    allData[year] = { error: error.message, attempts: error.attempts || 1 };
+                    report(year, 'failed');
+                }
             }
-        }
+        };
 
-        // Finally fallback to team name
-        return team.name || `Team ${team.id}`;
+        await Promise.all(Array.from({ length: Math.min(concurrency, years.length) }, worker));
+        return allData;
     }
 
     /**
-     * Parse matchup data from API response
-     * Handles both new API format and legacy format (pre-2018)
+     * Scoring periods (NFL weeks) that have been played in a season
+     * Box scores only exist for 2018+ ESPN seasons - the legacy API has no per-week rosters
      */
-    parseMatchups(data) {
-        if (!data.schedule) return [];
+    getScoringPeriods(year, data) {
+        if (!data || this.isLegacyYear(year) || this.viewConfig.weeklyViews.length === 0) return [];
+        // Seasons imported from other platforms (data.source) have no ESPN weeks to fetch
+        if (data.source && data.source !== 'espn') return [];
+
+        const status = data.status || {};
+        const final = status.finalScoringPeriod ||
+            Math.max(0, ...(data.schedule || []).map(m => m.matchupPeriodId || 0));
+        const latest = status.latestScoringPeriod || data.scoringPeriodId || final;
+        const last = Math.min(final, latest);
+
+        return Array.from({ length: last }, (_, i) => i + 1);
+    }
 
-        return data.schedule.map(matchup => {
-            // Handle different score formats
-            let homeTeamId, homeScore, awayTeamId, awayScore;
+    /**
+     * Parse per-week box scores from an mMatchupScore + mRoster response for one scoring period
+     * Returns { scoringPeriodId, matchups: [{ id, matchupPeriodId, playoffTierType, home, away }] }
+     * where home/away are { teamId, points, starters, bench } (away is null on a bye)
+     */
+    parseBoxScores(data, scoringPeriodId) {
+        const teamRosters = {};
+        (data.teams || []).forEach(team => {
+            teamRosters[team.id] = team.roster?.entries || [];
+        });
 
-            if (matchup.home && matchup.away) {
-                // Standard format
-                homeTeamId = matchup.home.teamId;
-                homeScore = matchup.home.totalPoints || matchup.home.rosterForCurrentScoringPeriod?.appliedStatTotal || 0;
-                awayTeamId = matchup.away.teamId;
-                awayScore = matchup.away.totalPoints || matchup.away.rosterForCurrentScoringPeriod?.appliedStatTotal || 0;
-            } else {
-                // Legacy format might have different structure
-                homeTeamId = matchup.homeTeamId || matchup.home?.teamId;
-                homeScore = matchup.homeTeamScores?.[0] || matchup.homeScore || 0;
-                awayTeamId = matchup.awayTeamId || matchup.away?.teamId;
-                awayScore = matchup.awayTeamScores?.[0] || matchup.awayScore || 0;
-            }
+        const parseSide = (side) => {
+            if (!side) return null;
+
+            // The matchup's own roster is the lineup ESPN scored; mRoster is the fallback
+            const entries = side.rosterForCurrentScoringPeriod?.entries || teamRosters[side.teamId] || [];
+            const players = entries.map(entry => this.parseLineupEntry(entry, scoringPeriodId));
 
             return {
-                id: matchup.id,
-                matchupPeriodId: matchup.matchupPeriodId,
-                homeTeamId,
-                homeScore,
-                awayTeamId,
-                awayScore,
-                winner: matchup.winner,
-                playoffTierType: matchup.playoffTierType
+                teamId: side.teamId,
+                points: side.pointsByScoringPeriod?.[scoringPeriodId] ??
+                    side.rosterForCurrentScoringPeriod?.appliedStatTotal ??
+                    side.totalPoints ??
+                    players.filter(p => p.starter).reduce((sum, p) => sum + p.points, 0),
+                starters: players.filter(p => p.starter),
+                bench: players.filter(p => !p.starter)
             };
-        }).filter(m => m.homeTeamId && m.awayTeamId);
+        };
+
+        const matchups = (data.schedule || [])
+            .filter(m => m.home?.rosterForCurrentScoringPeriod || m.away?.rosterForCurrentScoringPeriod ||
+                m.home?.pointsByScoringPeriod?.[scoringPeriodId] !== undefined)
+            .map(m => ({
+                id: m.id,
+                matchupPeriodId: m.matchupPeriodId,
+                playoffTierType: m.playoffTierType,
+                home: parseSide(m.home),
+                away: parseSide(m.away)
+            }));
+
+        return { scoringPeriodId, matchups };
     }
 
     /**
-     * Parse league settings
+     * Parse one roster entry into a lineup slot with the player's points for the week
      */
-    parseSettings(data) {
-        if (!data.settings) return {};
+    parseLineupEntry(entry, scoringPeriodId) {
+        const player = entry.playerPoolEntry?.player || {};
+        const stats = player.stats || [];
+        // statSourceId 0 = actual, 1 = projected
+        const actual = stats.find(s => s.scoringPeriodId === scoringPeriodId && s.statSourceId === 0);
+        const projected = stats.find(s => s.scoringPeriodId === scoringPeriodId && s.statSourceId === 1);
 
-        const settings = data.settings;
         return {
-            name: settings.name,
-            size: settings.size,
-            isPublic: settings.isPublic,
-            scoringType: settings.scoringSettings?.scoringType,
-            playoffTeamCount: settings.scheduleSettings?.playoffTeamCount,
-            playoffMatchupPeriodLength: settings.scheduleSettings?.playoffMatchupPeriodLength,
-            regularSeasonMatchupPeriods: settings.scheduleSettings?.matchupPeriodCount,
-            divisions: settings.scheduleSettings?.divisions || []
+            playerId: entry.playerId,
+            name: player.fullName || `Player ${entry.playerId}`,
+            position: ESPNFantasyAPI.POSITIONS[player.defaultPositionId] || 'FLEX',
+            slot: ESPNFantasyAPI.LINEUP_SLOTS[entry.lineupSlotId] || `Slot ${entry.lineupSlotId}`,
+            starter: !ESPNFantasyAPI.BENCH_SLOTS.includes(entry.lineupSlotId),
+            points: actual?.appliedTotal ?? entry.playerPoolEntry?.appliedStatTotal ?? 0,
+            projectedPoints: projected?.appliedTotal ?? null
         };
     }
 
     /**
      * Utility delay function
+     * Rejects early with the signal's AbortError if it is aborted while waiting
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(signal.reason);
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
@@ -486,29 +573,25 @@ class ESPNFantasyAPI {
     }
 
     /**
-     * Save credentials to localStorage
+     * Save league config to localStorage
      */
     saveCredentials() {
         if (typeof localStorage !== 'undefined') {
-            localStorage.setItem('espn_league_config', JSON.stringify({
-                leagueId: this.leagueId,
-                espnS2: this.espnS2,
-                swid: this.swid
+            localStorage.setItem(this.storageKey('espn_league_config'), JSON.stringify({
+                leagueId: this.leagueId
             }));
         }
     }
 
     /**
-     * Load credentials from localStorage
+     * Load league config from localStorage
      */
     loadCredentials() {
         if (typeof localStorage !== 'undefined') {
-            const saved = localStorage.getItem('espn_league_config');
+            const saved = localStorage.getItem(this.storageKey('espn_league_config'));
             if (saved) {
                 const config = JSON.parse(saved);
                 this.leagueId = config.leagueId;
-                this.espnS2 = config.espnS2;
-                this.swid = config.swid;
                 return true;
             }
         }
@@ -523,3 +606,8 @@ const espnAPI = new ESPNFantasyAPI();
 if (typeof window !== 'undefined') {
     window.espnAPI = espnAPI;
 }
+
+// Export for Node.js (prebuild.js reuses the parsers)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ESPNFantasyAPI;
+}
@@ -0,0 +1,89 @@
+/**
+ * Disk-backed cache for ESPN responses
+ * One JSON file per league / season / views / scoring period, so every visitor
+ * shares the same fetch. Seasons whose championship is decided never expire;
+ * the current season is refetched after a configurable TTL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ESPNCache {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '.cache', 'espn');
+        this.ttl = options.ttl || 5 * 60 * 1000; // 5 minutes for in-progress seasons
+    }
+
+    /**
+     * Build the cache key for a request
+     * Views are sorted so ?views=mTeam,mMatchup and ?views=mMatchup,mTeam share an entry
+     */
+    buildKey(leagueId, year, views = [], scoringPeriodId = null) {
+        const viewKey = views.length > 0 ? [...views].sort().join('+') : 'base';
+        return `${leagueId}/${year}/${viewKey}/${scoringPeriodId || 'all'}`;
+    }
+
+    /**
+     * Path of the file holding a cache entry
+     */
+    getFilePath(leagueId, year, key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex').substring(0, 16);
+        return path.join(this.dir, String(leagueId), String(year), `${hash}.json`);
+    }
+
+    /**
+     * Read a cached entry, or null if there isn't one
+     * Entry shape: { key, fetchedAt, complete, etag, data }
+     */
+    async get(leagueId, year, views = [], scoringPeriodId = null) {
+        const key = this.buildKey(leagueId, year, views, scoringPeriodId);
+        try {
+            const content = await fs.promises.readFile(this.getFilePath(leagueId, year, key), 'utf-8');
+            const entry = JSON.parse(content);
+            return entry.key === key ? entry : null;
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Failed to read cache entry ${key}:`, e.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Store a response
+     * Written to a temp file and renamed so readers never see a partial entry
+     */
+    async set(leagueId, year, views, scoringPeriodId, data, complete) {
+        const key = this.buildKey(leagueId, year, views, scoringPeriodId);
+        const body = JSON.stringify(data);
+        const entry = {
+            key,
+            fetchedAt: Date.now(),
+            complete: !!complete,
+            etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+            data
+        };
+
+        const filePath = this.getFilePath(leagueId, year, key);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        try {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+            await fs.promises.rename(tempPath, filePath);
+        } catch (e) {
+            console.error(`Failed to write cache entry ${key}:`, e.message);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Completed seasons never expire; everything else lives for the TTL
+     */
+    isFresh(entry) {
+        return entry.complete || Date.now() - entry.fetchedAt < this.ttl;
+    }
+}
+
+module.exports = ESPNCache;
@@ -0,0 +1,278 @@
+/**
+ * Server-side ESPN Fantasy API client
+ * Builds ESPN URLs and fetches them with the league's cookies.
+ * Shared by server.js and prebuild.js so the browser never talks to ESPN directly.
+ *
+ * Offline development (see espn-fixtures.js and mock-espn.js):
+ *   ESPN_FIXTURES=record - save every ESPN response as a fixture
+ *   ESPN_FIXTURES=replay - answer from the fixtures, never touching the network
+ *   ESPN_ORIGIN          - send requests to another server (e.g. http://localhost:3001 for mock-espn.js)
+ */
+
+const http = require('http');
+const https = require('https');
+const { getFixtureMode, readFixture, writeFixture } = require('./espn-fixtures.js');
+const LeagueRules = require('./league-rules.js');
+
+// ESPN changed their API in 2018 - different endpoints for old vs new (see LeagueRules.DEFAULTS)
+// Either endpoint can be served from either host; probe.js records which combination works per season
+const HOSTS = ['lm-api-reads.fantasy.espn.com', 'fantasy.espn.com'];
+const ENDPOINTS = ['seasons', 'leagueHistory'];
+const REQUEST_TIMEOUT = 30000; // 30 second timeout per request
+
+// Retry policy: exponential backoff (1s, 2s, 4s...) capped at maxDelay.
+// 429/503 responses use ESPN's Retry-After header when it sends one.
+const DEFAULT_RETRY = {
+    retries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Check if a year uses the legacy API
+ * leagueRules (a LeagueRules) is the league's rules timeline, which can move the cutoff
+ */
+function isLegacyYear(year, leagueRules = null) {
+    return LeagueRules.isLegacyEspnYear(year, leagueRules);
+}
+
+/**
+ * Default host and endpoint for a season (leagueRules as isLegacyYear)
+ */
+function getDefaultRoute(year, leagueRules = null) {
+    return {
+        host: HOSTS[0],
+        endpoint: isLegacyYear(year, leagueRules) ? 'leagueHistory' : 'seasons'
+    };
+}
+
+/**
+ * Build the ESPN URL for a season
+ * Legacy (pre-2018): /leagueHistory/{leagueId}?seasonId={year}&view=...
+ * New (2018+):       /seasons/{year}/segments/0/leagues/{leagueId}?view=...
+ * route ({ host, endpoint }) overrides the default for the year
+ */
+function buildSeasonUrl(leagueId, year, views = [], scoringPeriodId = null, route = null) {
+    const { host, endpoint } = route || getDefaultRoute(year);
+    const baseUrl = `https://${host}/apis/v3/games/ffl`;
+    const params = new URLSearchParams();
+    let url;
+
+    if (endpoint === 'leagueHistory') {
+        url = `${baseUrl}/leagueHistory/${leagueId}`;
+        params.append('seasonId', year);
+    } else {
+        url = `${baseUrl}/seasons/${year}/segments/0/leagues/${leagueId}`;
+    }
+
+    views.forEach(view => params.append('view', view));
+    if (scoringPeriodId !== null && scoringPeriodId !== undefined) {
+        params.append('scoringPeriodId', scoringPeriodId);
+    }
+
+    const query = params.toString();
+    return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Get the NFL season year that is currently in progress (or most recently finished)
+ * Seasons start in September, so January-August still belong to the previous year
+ */
+function getCurrentSeasonYear(now = new Date()) {
+    return now.getMonth() >= 8 ? now.getFullYear() : now.getFullYear() - 1;
+}
+
+/**
+ * Check if a season's championship is decided, so its data can never change
+ * Any season before the current one is finished; otherwise ESPN fills in
+ * rankCalculatedFinal once the final standings are set
+ */
+function isSeasonComplete(year, data = null, now = new Date()) {
+    if (year < getCurrentSeasonYear(now)) return true;
+    if (!data) return false;
+
+    if (data.teams && data.teams.some(t => t.rankCalculatedFinal > 0)) return true;
+    return data.status?.isActive === false && !!data.status?.finalScoringPeriod;
+}
+
+/**
+ * Look up the ESPN cookies for a league
+ * Per-league variables (ESPN_S2_<leagueId>) win over the shared ESPN_S2 / ESPN_SWID values
+ */
+function getLeagueCredentials(leagueId) {
+    return {
+        espnS2: process.env[`ESPN_S2_${leagueId}`] || process.env.ESPN_S2 || null,
+        swid: process.env[`ESPN_SWID_${leagueId}`] || process.env.ESPN_SWID || null
+    };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check if a failed request is worth retrying
+ */
+function isRetryable(error) {
+    if (error.statusCode) return RETRYABLE_STATUS.has(error.statusCode);
+    return RETRYABLE_NETWORK_ERRORS.has(error.code);
+}
+
+/**
+ * Delay helper
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Make an HTTPS GET request to ESPN with the league's cookies
+ * Resolves with the parsed JSON; rejects with an Error carrying statusCode
+ * (and retryAfterMs for 429/503) on failure
+ */
+function requestJson(url, leagueId) {
+    return new Promise((resolve, reject) => {
+        const parsedUrl = new URL(url);
+        let { espnS2, swid } = getLeagueCredentials(leagueId);
+
+        // A stand-in server never gets the real cookies
+        if (process.env.ESPN_ORIGIN) {
+            const origin = new URL(process.env.ESPN_ORIGIN);
+            parsedUrl.protocol = origin.protocol;
+            parsedUrl.host = origin.host;
+            espnS2 = swid = null;
+        }
+        const client = parsedUrl.protocol === 'http:' ? http : https;
+
+        const options = {
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port || (client === http ? 80 : 443),
+            path: parsedUrl.pathname + parsedUrl.search,
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            }
+        };
+
+        // Add cookies for private league access
+        if (espnS2 || swid) {
+            const cookies = [];
+            if (espnS2) cookies.push(`espn_s2=${espnS2}`);
+            if (swid) cookies.push(`SWID=${swid}`);
+            options.headers['Cookie'] = cookies.join('; ');
+        }
+
+        const req = client.request(options, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode === 200) {
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (e) {
+                        const error = new Error(`Failed to parse JSON: ${e.message}`);
+                        error.statusCode = 502;
+                        reject(error);
+                    }
+                } else {
+                    const error = new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`);
+                    error.statusCode = res.statusCode;
+                    error.retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+                    reject(error);
+                }
+            });
+        });
+
+        req.setTimeout(REQUEST_TIMEOUT, () => {
+            const error = new Error('Request timed out');
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * Fetch an ESPN URL as JSON, recording or replaying fixtures when ESPN_FIXTURES is set
+ */
+async function fetchJson(url, leagueId) {
+    const mode = getFixtureMode();
+    if (mode === 'replay') {
+        return readFixture(url);
+    }
+
+    const data = await requestJson(url, leagueId);
+    if (mode === 'record') {
+        await writeFixture(url, data);
+    }
+    return data;
+}
+
+/**
+ * fetchJson with bounded retries and exponential backoff
+ * retryOptions: { retries, baseDelay, maxDelay, onRetry(attempt, delayMs, error) }
+ * Rejects with the last error; error.attempts holds the number of tries made
+ */
+async function fetchJsonWithRetry(url, leagueId, retryOptions = {}) {
+    const { retries, baseDelay, maxDelay, onRetry } = { ...DEFAULT_RETRY, ...retryOptions };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetchJson(url, leagueId);
+        } catch (error) {
+            error.attempts = attempt + 1;
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+
+            const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+            const wait = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+                ? Math.min(maxDelay, Math.max(error.retryAfterMs, backoff))
+                : backoff;
+
+            if (onRetry) onRetry(attempt + 1, wait, error);
+            await delay(wait);
+        }
+    }
+}
+
+/**
+ * Fetch one season from ESPN (retrying transient failures)
+ * options: retry options (see fetchJsonWithRetry) plus route ({ host, endpoint })
+ * Legacy API returns an array - the first element is unwrapped so every year has the same shape
+ */
+async function fetchSeason(leagueId, year, views = [], scoringPeriodId = null, options = {}) {
+    const url = buildSeasonUrl(leagueId, year, views, scoringPeriodId, options.route);
+    let data = await fetchJsonWithRetry(url, leagueId, options);
+
+    if (Array.isArray(data)) {
+        data = data[0] || {};
+    }
+
+    return data;
+}
+
+module.exports = {
+    HOSTS,
+    ENDPOINTS,
+    isLegacyYear,
+    getDefaultRoute,
+    getCurrentSeasonYear,
+    isSeasonComplete,
+    buildSeasonUrl,
+    getLeagueCredentials,
+    fetchJson,
+    fetchJsonWithRetry,
+    fetchSeason
+};
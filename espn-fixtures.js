@@ -0,0 +1,118 @@
+/**
+ * Recorded ESPN responses for offline development
+ * With ESPN_FIXTURES=record every successful ESPN response is saved as a fixture;
+ * with ESPN_FIXTURES=replay, espn-client.js answers from the fixtures and never
+ * touches the network. mock-espn.js serves the same files over HTTP.
+ *
+ * Fixtures live under ESPN_FIXTURES_DIR (default fixtures/espn), one file per
+ * request, at the request's ESPN path with the sorted query as the file name:
+ *
+ *   fixtures/espn/seasons/2019/segments/0/leagues/533683/view=mMatchup&view=mTeam.json
+ *   fixtures/espn/leagueHistory/533683/seasonId=2012&view=mTeam.json
+ *
+ * The host is not part of the path, so a fixture answers for either ESPN host.
+ * Files hold the response body only - cookies are never written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_MODES = ['record', 'replay'];
+const API_PREFIX = '/apis/v3/games/ffl/';
+
+/**
+ * Fixture mode from ESPN_FIXTURES ('record', 'replay' or null when off)
+ */
+function getFixtureMode() {
+    const mode = process.env.ESPN_FIXTURES || null;
+    if (mode && !FIXTURE_MODES.includes(mode)) {
+        throw new Error(`Invalid ESPN_FIXTURES: ${mode} (expected ${FIXTURE_MODES.join(' or ')})`);
+    }
+    return mode;
+}
+
+/**
+ * Directory fixtures are read from and written to
+ */
+function getFixturesDir() {
+    return process.env.ESPN_FIXTURES_DIR
+        ? path.resolve(process.env.ESPN_FIXTURES_DIR)
+        : path.join(__dirname, 'fixtures', 'espn');
+}
+
+/**
+ * File holding the fixture for an ESPN URL (or a /apis/v3/games/ffl/... path)
+ * Returns null for paths outside the ESPN API
+ */
+function getFixturePath(requestUrl, dir = getFixturesDir()) {
+    const parsedUrl = new URL(requestUrl, 'https://fantasy.espn.com');
+    if (!parsedUrl.pathname.startsWith(API_PREFIX)) return null;
+
+    const segments = parsedUrl.pathname.slice(API_PREFIX.length).split('/').filter(Boolean);
+    if (segments.length === 0 || segments.some(s => !/^[A-Za-z0-9_-]+$/.test(s))) return null;
+
+    // Sorted so views requested in a different order share a fixture
+    const query = Array.from(parsedUrl.searchParams)
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('&');
+    if (query && !/^[A-Za-z0-9_=&.-]+$/.test(query)) return null;
+
+    return path.join(dir, ...segments, `${query || 'index'}.json`);
+}
+
+/**
+ * Read the recorded response for a URL
+ * Rejects with statusCode 404 when nothing was recorded for it (not retried)
+ */
+async function readFixture(requestUrl) {
+    const filePath = getFixturePath(requestUrl);
+    let content = null;
+
+    try {
+        if (filePath) content = await fs.promises.readFile(filePath, 'utf-8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw new Error(`Failed to read fixture ${filePath}: ${e.message}`);
+        }
+    }
+
+    if (content === null) {
+        const error = new Error(`No ESPN fixture recorded for ${requestUrl}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        throw new Error(`Failed to parse fixture ${filePath}: ${e.message}`);
+    }
+}
+
+/**
+ * Save a response as the fixture for a URL
+ * Failures are logged, never thrown - recording must not break a fetch
+ */
+async function writeFixture(requestUrl, data) {
+    const filePath = getFixturePath(requestUrl);
+    if (!filePath) return;
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    } catch (e) {
+        console.error(`Failed to record fixture ${filePath}:`, e.message);
+    }
+}
+
+module.exports = {
+    API_PREFIX,
+    getFixtureMode,
+    getFixturesDir,
+    getFixturePath,
+    readFixture,
+    writeFixture
+};
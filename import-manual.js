@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Import manually entered seasons into a league's static data
+ *
+ * Seasons from paper or spreadsheet records (see manual-adapter.js for the JSON
+ * and CSV formats) are converted to ESPN's shape, written to
+ * data/seasons/{year}.json and listed in the manifest with source "manual", so
+ * they load with the rest of the league's history. Every season in the input
+ * is imported; rerun the import after correcting the records.
+ *
+ * Usage: node import-manual.js ./history/paper-seasons.json   Read seasons from a JSON file
+ *        node import-manual.js ./history/spreadsheet         Read owners.csv, seasons.csv, teams.csv, matchups.csv
+ *        --slug keeper          import into another configured league
+ *        --force                replace seasons that came from somewhere else
+ */
+
+const fs = require('fs');
+const { readManifest, writeImportedSeason } = require('./static-data.js');
+const { loadLeagueConfig } = require('./league-config.js');
+const { SOURCE, readManualExport, convertManualSeasons } = require('./manual-adapter.js');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { input: null, slug: null, force: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+        if (flag === '--slug') {
+            options.slug = inlineValue !== undefined ? inlineValue : argv[++i];
+        } else if (argv[i] === '--force') {
+            options.force = true;
+        } else if (!argv[i].startsWith('--') && !options.input) {
+            options.input = argv[i];
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node import-manual.js <JSON file | CSV directory> [--slug <slug>] [--force]');
+    }
+
+    return options;
+}
+
+/**
+ * Main import function
+ */
+function importSeasons() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadLeagueConfig({}, options.slug);
+    if (!fs.existsSync(options.input)) {
+        throw new Error(`${options.input} does not exist`);
+    }
+
+    console.log(`Reading manual records from ${options.input}...`);
+    const seasons = convertManualSeasons(readManualExport(options.input));
+    if (seasons.length === 0) {
+        throw new Error('No seasons found');
+    }
+
+    // Every season is checked before any is written, so a bad row never leaves a partial import
+    const manifest = readManifest(config.outDir);
+    const taken = seasons.filter(data => {
+        const entry = manifest?.seasons[data.seasonId];
+        return entry?.file && (entry.source || 'espn') !== SOURCE;
+    });
+    if (taken.length > 0 && !options.force) {
+        throw new Error(`Data from another source already exists for ${taken.map(data => data.seasonId).join(', ')} - use --force to replace it`);
+    }
+
+    let manifestPath;
+    for (const data of seasons) {
+        manifestPath = writeImportedSeason(config.outDir, config, data, {
+            complete: true,
+            force: options.force
+        });
+        console.log(`✓ ${data.seasonId}: ${data.teams.length} teams, ${data.schedule.length} matchups${data.sourceNote ? ` (${data.sourceNote})` : ''}`);
+    }
+    console.log(`Output: ${manifestPath}`);
+}
+
+// Run the import
+try {
+    importSeasons();
+} catch (error) {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+}
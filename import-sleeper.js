@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Import a Sleeper season into a league's static data
+ *
+ * The season is converted to ESPN's shape (see sleeper-adapter.js), written to
+ * data/seasons/{year}.json and listed in the manifest with source "sleeper",
+ * so it shows up next to the league's ESPN seasons. prebuild.js leaves
+ * imported seasons alone - rerun the import to refresh one.
+ *
+ * Usage: node import-sleeper.js 1048312345678901234      Fetch a Sleeper league season from the API
+ *        node import-sleeper.js ./exports/sleeper-2024   Read saved Sleeper responses
+ *        --slug keeper          import into another configured league
+ *        --owners owners.json   map Sleeper users to existing owner IDs
+ *        --force                replace a season that came from somewhere else
+ */
+
+const fs = require('fs');
+const { isSeasonComplete } = require('./espn-client.js');
+const { writeImportedSeason } = require('./static-data.js');
+const { loadLeagueConfig } = require('./league-config.js');
+const { SOURCE, fetchSleeperSeason, readSleeperExport, convertSleeperSeason } = require('./sleeper-adapter.js');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { input: null, slug: null, ownersFile: null, force: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+        if (flag === '--slug') {
+            options.slug = inlineValue !== undefined ? inlineValue : argv[++i];
+        } else if (flag === '--owners') {
+            options.ownersFile = inlineValue !== undefined ? inlineValue : argv[++i];
+        } else if (argv[i] === '--force') {
+            options.force = true;
+        } else if (!argv[i].startsWith('--') && !options.input) {
+            options.input = argv[i];
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node import-sleeper.js <sleeper league ID | export directory> [--slug <slug>] [--owners <file>] [--force]');
+    }
+
+    return options;
+}
+
+/**
+ * Main import function
+ */
+async function importSeason() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadLeagueConfig({}, options.slug);
+    const dataDir = config.outDir;
+    const ownerMap = options.ownersFile ? JSON.parse(fs.readFileSync(options.ownersFile, 'utf-8')) : {};
+
+    const fromExport = fs.existsSync(options.input) && fs.statSync(options.input).isDirectory();
+    console.log(`Reading Sleeper season from ${fromExport ? options.input : `league ${options.input}`}...`);
+    const sleeper = fromExport
+        ? readSleeperExport(options.input)
+        : await fetchSleeperSeason(options.input);
+
+    const data = convertSleeperSeason(sleeper, ownerMap);
+    const year = data.seasonId;
+    if (isNaN(year)) {
+        throw new Error('Sleeper league has no season year');
+    }
+
+    const manifestPath = writeImportedSeason(dataDir, config, data, {
+        complete: isSeasonComplete(year, data),
+        force: options.force
+    });
+
+    const unmapped = data.members.filter(m => m.id.startsWith(`${SOURCE}:`)).map(m => m.firstName);
+    console.log(`✓ ${year}: ${data.teams.length} teams, ${data.schedule.length} matchups (${data.settings.name})`);
+    if (unmapped.length > 0) {
+        console.log(`  Owners not mapped to existing owners: ${unmapped.join(', ')}`);
+    }
+    console.log(`Output: ${manifestPath}`);
+}
+
+// Run the import
+importSeason().catch(error => {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Import a Yahoo Fantasy season into a league's static data
+ *
+ * The season is converted to ESPN's shape (see yahoo-adapter.js), written to
+ * data/seasons/{year}.json and listed in the manifest with source "yahoo", so
+ * the league's Yahoo-era history shows up in records, head-to-head and
+ * championships. Seasons before the config's startYear are kept too.
+ *
+ * Usage: node import-yahoo.js ./exports/yahoo-2009               Read saved Yahoo responses (XML or JSON)
+ *        node import-yahoo.js ./exports/yahoo-2009 --owners owners.json
+ *        --slug keeper          import into another configured league
+ *        --owners owners.json   map Yahoo managers (guid or nickname) to ESPN owner IDs
+ *        --force                replace a season that came from somewhere else
+ */
+
+const fs = require('fs');
+const { writeImportedSeason } = require('./static-data.js');
+const { loadLeagueConfig } = require('./league-config.js');
+const { SOURCE, readYahooExport, convertYahooSeason } = require('./yahoo-adapter.js');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { input: null, slug: null, ownersFile: null, force: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+        if (flag === '--slug') {
+            options.slug = inlineValue !== undefined ? inlineValue : argv[++i];
+        } else if (flag === '--owners') {
+            options.ownersFile = inlineValue !== undefined ? inlineValue : argv[++i];
+        } else if (argv[i] === '--force') {
+            options.force = true;
+        } else if (!argv[i].startsWith('--') && !options.input) {
+            options.input = argv[i];
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node import-yahoo.js <export directory> [--slug <slug>] [--owners <file>] [--force]');
+    }
+
+    return options;
+}
+
+/**
+ * Main import function
+ */
+function importSeason() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadLeagueConfig({}, options.slug);
+    const ownerMap = options.ownersFile ? JSON.parse(fs.readFileSync(options.ownersFile, 'utf-8')) : {};
+
+    console.log(`Reading Yahoo season from ${options.input}...`);
+    const data = convertYahooSeason(readYahooExport(options.input), ownerMap);
+    const year = data.seasonId;
+    if (isNaN(year)) {
+        throw new Error('Yahoo league has no season year');
+    }
+
+    // Yahoo seasons are history - complete unless Yahoo says the league is still running
+    const manifestPath = writeImportedSeason(config.outDir, config, data, {
+        complete: !data.status.isActive,
+        force: options.force
+    });
+
+    const unmapped = data.members.filter(m => m.id.startsWith(`${SOURCE}:`)).map(m => m.firstName);
+    console.log(`✓ ${year}: ${data.teams.length} teams, ${data.schedule.length} matchups (${data.settings.name})`);
+    if (unmapped.length > 0) {
+        console.log(`  Managers not mapped to ESPN owners: ${unmapped.join(', ')}`);
+    }
+    console.log(`Output: ${manifestPath}`);
+}
+
+// Run the import
+try {
+    importSeason();
+} catch (error) {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+}
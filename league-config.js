@@ -0,0 +1,184 @@
+/**
+ * League configuration shared by prebuild.js and server.js
+ * Values come from league.config.json (or the file named by LEAGUE_CONFIG);
+ * prebuild.js CLI flags override them. ESPN cookies never go in this file -
+ * they stay in the ESPN_S2 / ESPN_SWID environment variables.
+ *
+ * The file holds either a single league, or several under "leagues" with
+ * shared defaults at the top level:
+ *
+ *   { "defaultLeague": "main", "views": [...],
+ *     "leagues": [{ "slug": "main", "leagueId": "533683", "startYear": 2011 }, ...] }
+ *
+ * Per league:
+ *   slug         URL name - the league is served at /league/<slug>/ (default "main")
+ *   name         display name for the league switcher
+ *   leagueId     ESPN league ID (required)
+ *   startYear    first season to load (required)
+ *   endYear      last season to load (default: the current NFL season)
+ *   views        ESPN views fetched for 2018+ seasons
+ *   legacyViews  ESPN views fetched for pre-2018 seasons
+ *   weeklyViews  ESPN views fetched per scoring period for box scores (2018+; [] to skip)
+ *   outDir       static data directory, relative to the config file
+ *                (default "data" for a single league, "data/<slug>" otherwise)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCurrentSeasonYear } = require('./espn-client.js');
+
+const CONFIG_FILE = 'league.config.json';
+const DEFAULT_SLUG = 'main';
+
+const DEFAULT_CONFIG = {
+    leagueId: null,
+    startYear: null,
+    endYear: null,
+    views: ['mTeam', 'mMatchup', 'mMatchupScore', 'mStandings', 'mSettings', 'mRoster', 'kona_player_info'],
+    legacyViews: ['mTeam', 'mMatchup'],
+    weeklyViews: ['mMatchupScore', 'mRoster'],
+    outDir: 'data'
+};
+
+const VIEW_NAME = /^[A-Za-z0-9_]{1,40}$/;
+const SLUG = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * Path of the config file in use
+ */
+function getConfigPath() {
+    return process.env.LEAGUE_CONFIG
+        ? path.resolve(process.env.LEAGUE_CONFIG)
+        : path.join(__dirname, CONFIG_FILE);
+}
+
+/**
+ * Check a merged config, throwing on the first invalid value
+ * Resolves outDir to an absolute path; without an endYear, it reads as the current NFL season
+ */
+function validateConfig(config, baseDir) {
+    if (!SLUG.test(config.slug)) {
+        throw new Error(`Invalid league slug: ${config.slug}`);
+    }
+
+    if (!/^\d{1,12}$/.test(String(config.leagueId || ''))) {
+        throw new Error(`Invalid leagueId for ${config.slug}: ${config.leagueId}`);
+    }
+    config.leagueId = String(config.leagueId);
+    config.name = config.name || `League ${config.leagueId}`;
+
+    config.startYear = parseInt(config.startYear);
+    if (config.endYear) {
+        config.endYear = parseInt(config.endYear);
+    } else {
+        // Follows the current NFL season, so a long-running server picks up the new season
+        Object.defineProperty(config, 'endYear', { get: () => getCurrentSeasonYear(), enumerable: true, configurable: true });
+    }
+    if (isNaN(config.startYear) || isNaN(config.endYear) || config.startYear > config.endYear) {
+        throw new Error(`Invalid season range for ${config.slug}: ${config.startYear} - ${config.endYear}`);
+    }
+
+    for (const key of ['views', 'legacyViews', 'weeklyViews']) {
+        if (!Array.isArray(config[key]) || !config[key].every(v => VIEW_NAME.test(v))) {
+            throw new Error(`Invalid ${key} for ${config.slug}: ${config[key]}`);
+        }
+    }
+
+    config.outDir = path.resolve(baseDir, config.outDir);
+    return config;
+}
+
+/**
+ * Read the config file and validate every league in it
+ * Returns { defaultLeague, leagues } where leagues is keyed by slug (in file order)
+ */
+function loadLeagues() {
+    const configPath = getConfigPath();
+    const baseDir = path.dirname(configPath);
+    let fileConfig = {};
+
+    if (fs.existsSync(configPath)) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        } catch (e) {
+            throw new Error(`Failed to read ${configPath}: ${e.message}`);
+        }
+    }
+
+    const { leagues: leagueList, defaultLeague, ...shared } = fileConfig;
+    const leagues = {};
+
+    if (Array.isArray(leagueList)) {
+        for (const league of leagueList) {
+            const slug = league.slug || DEFAULT_SLUG;
+            if (leagues[slug]) {
+                throw new Error(`Duplicate league slug: ${slug}`);
+            }
+            leagues[slug] = validateConfig({
+                ...DEFAULT_CONFIG,
+                outDir: `data/${slug}`,
+                ...shared,
+                ...league,
+                slug
+            }, baseDir);
+        }
+    } else {
+        const slug = shared.slug || DEFAULT_SLUG;
+        leagues[slug] = validateConfig({ ...DEFAULT_CONFIG, ...shared, slug }, baseDir);
+    }
+
+    const slugs = Object.keys(leagues);
+    if (slugs.length === 0) {
+        throw new Error(`No leagues configured in ${configPath}`);
+    }
+    if (defaultLeague && !leagues[defaultLeague]) {
+        throw new Error(`defaultLeague "${defaultLeague}" is not a configured league`);
+    }
+
+    return { defaultLeague: defaultLeague || slugs[0], leagues };
+}
+
+/**
+ * Load one league's config (the default league unless a slug is given),
+ * applying overrides (e.g. from CLI flags) on top
+ * overrides.outDir is resolved against the working directory, not the config file
+ */
+function loadLeagueConfig(overrides = {}, slug = null) {
+    const { defaultLeague, leagues } = loadLeagues();
+    const league = leagues[slug || defaultLeague];
+    if (!league) {
+        throw new Error(`Unknown league "${slug}" (configured: ${Object.keys(leagues).join(', ')})`);
+    }
+
+    if (overrides.outDir) {
+        overrides = { ...overrides, outDir: path.resolve(overrides.outDir) };
+    }
+
+    return validateConfig({ ...league, ...overrides }, path.dirname(getConfigPath()));
+}
+
+/**
+ * The part of a league's config that is safe to send to the browser
+ */
+function getPublicConfig(config) {
+    return {
+        slug: config.slug,
+        name: config.name,
+        leagueId: config.leagueId,
+        startYear: config.startYear,
+        endYear: config.endYear,
+        // The server only proxies these views, so the site requests nothing else
+        views: config.views,
+        legacyViews: config.legacyViews,
+        weeklyViews: config.weeklyViews
+    };
+}
+
+module.exports = {
+    CONFIG_FILE,
+    DEFAULT_CONFIG,
+    getConfigPath,
+    loadLeagues,
+    loadLeagueConfig,
+    getPublicConfig
+};
@@ -0,0 +1,464 @@
+/**
+ * Normalized League Data Model
+ * Turns raw ESPN season responses (new and legacy formats) into one versioned
+ * shape that StatsEngine, AdvancedAnalytics and the report generator all read,
+ * so every page works from the same teams, owners and matchup flags.
+ *
+ * League:   { modelVersion, meta, seasons: { [year]: Season }, owners: { [ownerId]: Owner },
+ *             sourceOwners: { [source owner id]: display name }, firstYear }
+ *           (firstYear: the first season the league's rules timeline covers, or null)
+ * Season:   { modelVersion, year, source, sourceNote, settings, rules, owners, teams, matchups, rosters }
+ *           (settings.regularSeasonGuessed: neither the league's rules nor ESPN say how long
+ *            the regular season was)
+ * Rules:    { regularSeasonWeeks, playoffTeams, countedWeeks, scoring, notes, espnEndpoint,
+ *             sources: { [field]: 'league', 'espn' or 'default' } }
+ *           (see league-rules.js; countedWeeks null = every week counts for single-game records)
+ *           (source: 'espn', 'sleeper', 'yahoo' or 'manual' - where the season's data came from)
+ * Owner:    { id, firstName, lastName, displayName, activeYears }
+ * Team:     { id, year, name, teamName, ownerName, abbreviation, ownerId, ownerIds, sourceOwnerIds, logo,
+ *             record: { wins, losses, ties, pointsFor, pointsAgainst },
+ *             playoffSeed, rankCalculatedFinal, divisionId }
+ * Matchup:  { id, year, matchupPeriodId, homeTeamId, awayTeamId, homeOwnerId, awayOwnerId,
+ *             homeScore, awayScore, winner, winnerTeamId, loserTeamId, isTie, playoffTierType,
+ *             isRegularSeason, isPlayoff, isComplete }
+ *           (winner is ESPN's HOME/AWAY/TIE/UNDECIDED; winnerTeamId and loserTeamId are null
+ *            for ties and unplayed games)
+ * Roster:   { teamId, entries: [{ playerId, name, positionId, lineupSlotId, starter, acquisitionType }] }
+ *
+ *
+ * With an owner registry (see owner-registry.js), owner ids are canonical:
+ * aliases and co-owners resolve to one id, named as the registry says.
+ * sourceOwnerIds and sourceOwners keep the ids as the seasons have them.
+ *
+ * Bump MODEL_VERSION whenever this shape changes.
+ */
+
+// Browser pages load league-rules.js first; Node requires it
+const LeagueRulesClass = typeof LeagueRules !== 'undefined' ? LeagueRules : require('./league-rules.js');
+
+class LeagueModel {
+    static MODEL_VERSION = 6;
+
+    // ESPN scoringType -> scoring format shown when the league's rules don't name one
+    static SCORING_TYPES = {
+        H2H_POINTS: 'Head-to-head points',
+        TOTAL_POINTS: 'Total points',
+        H2H_CATEGORY: 'Head-to-head categories',
+        H2H_MOST_CATEGORIES: 'Most categories'
+    };
+
+    // Playoff tier types that mark postseason games (NONE = regular season)
+    static PLAYOFF_TIERS = ['WINNERS_BRACKET', 'LOSERS_BRACKET', 'WINNERS_CONSOLATION_LADDER', 'LOSERS_CONSOLATION_LADDER'];
+
+    // Lineup slots that don't score (20 = bench, 21 = IR)
+    static BENCH_SLOTS = [20, 21];
+
+    /**
+     * Normalize every season of a league
+     * Seasons that failed to load ({ error }) are left out
+     * ownerRegistry (an OwnerRegistry) merges owner ids across seasons
+     * leagueRules (a LeagueRules) is the league's rules timeline; without one the defaults apply
+     */
+    static normalizeLeague(rawSeasons, meta = {}, ownerRegistry = null, leagueRules = null) {
+        const rules = leagueRules || new LeagueRulesClass();
+        const seasons = {};
+        const owners = {};
+        const sourceOwners = {};
+
+        for (const year of Object.keys(rawSeasons || {}).sort()) {
+            const data = rawSeasons[year];
+            if (!data || data.error || !data.teams) continue;
+
+            const season = LeagueModel.normalizeSeason(parseInt(year), data, ownerRegistry, rules);
+            seasons[year] = season;
+
+            // Later seasons overwrite earlier ones, so owners carry their most recent name
+            for (const owner of season.owners) {
+                owners[owner.id] = owner;
+            }
+            for (const owner of LeagueModel.normalizeOwners(data)) {
+                sourceOwners[owner.id] = owner.displayName;
+            }
+        }
+
+        return {
+            modelVersion: LeagueModel.MODEL_VERSION,
+            meta,
+            seasons,
+            owners,
+            sourceOwners,
+            firstYear: rules.getFirstYear()
+        };
+    }
+
+    /**
+     * Normalize one raw ESPN season response
+     */
+    static normalizeSeason(year, data, ownerRegistry = null, leagueRules = null) {
+        const rules = LeagueModel.resolveRules(year, data, leagueRules || new LeagueRulesClass());
+        const settings = LeagueModel.normalizeSettings(year, data, rules);
+        const sourceOwners = LeagueModel.normalizeOwners(data);
+        const teams = (data.teams || []).map(team => LeagueModel.normalizeTeam(year, team, sourceOwners, ownerRegistry));
+        const owners = LeagueModel.resolveOwners(sourceOwners, ownerRegistry);
+
+        const ownerByTeam = new Map(teams.map(t => [t.id, t.ownerId]));
+        const matchups = (data.schedule || [])
+            .map(m => LeagueModel.normalizeMatchup(year, m, settings, ownerByTeam))
+            .filter(m => m.homeTeamId && m.awayTeamId);
+
+        const rosters = (data.teams || [])
+            .filter(team => team.roster?.entries?.length > 0)
+            .map(team => ({
+                teamId: team.id,
+                entries: team.roster.entries.map(entry => LeagueModel.normalizeRosterEntry(entry))
+            }));
+
+        return {
+            modelVersion: LeagueModel.MODEL_VERSION,
+            year,
+            source: data.source || 'espn',
+            sourceNote: data.sourceNote || null,
+            settings,
+            rules,
+            owners,
+            teams,
+            matchups,
+            rosters
+        };
+    }
+
+    /**
+     * The rules a season was played under: the league's rules file first, then
+     * ESPN's settings, then the built-in defaults (see league-rules.js)
+     */
+    static resolveRules(year, data, leagueRules) {
+        const schedule = data.settings?.scheduleSettings || {};
+        const espn = {
+            regularSeasonWeeks: schedule.matchupPeriodCount,
+            playoffTeams: schedule.playoffTeamCount,
+            scoring: LeagueModel.SCORING_TYPES[data.settings?.scoringSettings?.scoringType]
+        };
+        const layers = [
+            ['league', leagueRules.getDeclared(year)],
+            ['espn', espn],
+            ['default', leagueRules.getDefaults(year)]
+        ];
+
+        const rules = { sources: {} };
+        for (const field of Object.keys(LeagueRulesClass.FIELDS)) {
+            const layer = layers.find(([, values]) => values[field] !== undefined && values[field] !== null);
+            rules[field] = layer ? layer[1][field] : null;
+            if (layer) rules.sources[field] = layer[0];
+        }
+        return rules;
+    }
+
+    /**
+     * League settings, with the season's rules filling in what ESPN leaves out
+     */
+    static normalizeSettings(year, data, rules) {
+        const settings = data.settings || {};
+        const schedule = settings.scheduleSettings || {};
+
+        return {
+            name: settings.name,
+            size: settings.size || (data.teams || []).length,
+            isPublic: settings.isPublic,
+            scoringType: settings.scoringSettings?.scoringType,
+            playoffTeamCount: rules.playoffTeams ?? undefined,
+            playoffMatchupPeriodLength: schedule.playoffMatchupPeriodLength,
+            // Legacy seasons often lack settings, leaving the length to the built-in default
+            regularSeasonMatchupPeriods: rules.regularSeasonWeeks,
+            regularSeasonGuessed: rules.sources.regularSeasonWeeks === 'default',
+            matchupPeriods: schedule.matchupPeriods || {},
+            divisions: schedule.divisions || []
+        };
+    }
+
+    /**
+     * League members, from the members list and any owner objects on the teams
+     */
+    static normalizeOwners(data) {
+        const owners = new Map();
+        const addOwner = (person) => {
+            if (!person?.id || owners.has(person.id)) return;
+            if (!person.firstName && !person.lastName && !person.screenName) return;
+            owners.set(person.id, {
+                id: person.id,
+                firstName: person.firstName || '',
+                lastName: person.lastName || '',
+                // Imported screen names (Sleeper) are shown as the user wrote them
+                displayName: person.screenName || LeagueModel.formatOwnerName(person.firstName, person.lastName)
+            });
+        };
+
+        (data.members || []).forEach(addOwner);
+        (data.teams || []).forEach(team => {
+            (team.owners || []).filter(o => typeof o === 'object').forEach(addOwner);
+            (team.members || []).forEach(addOwner);
+        });
+
+        return Array.from(owners.values());
+    }
+
+    /**
+     * A season's owners under their registry ids and names
+     * Aliases of one owner collapse into a single entry
+     */
+    static resolveOwners(owners, ownerRegistry) {
+        const resolved = new Map();
+        for (const owner of owners) {
+            const id = ownerRegistry ? ownerRegistry.resolve(owner.id) : owner.id;
+            if (resolved.has(id)) continue;
+            resolved.set(id, {
+                ...owner,
+                id,
+                displayName: ownerRegistry?.getDisplayName(id) || owner.displayName,
+                activeYears: ownerRegistry?.getActiveYears(id) || null
+            });
+        }
+        return Array.from(resolved.values());
+    }
+
+    /**
+     * One team's season, keyed to its primary owner (its registry id, with a registry)
+     */
+    static normalizeTeam(year, team, owners, ownerRegistry = null) {
+        // team.owners holds owner IDs in the new API and owner objects in some legacy responses
+        const sourceOwnerIds = (team.owners || []).map(o => typeof o === 'object' ? o.id : o).filter(Boolean);
+        const sourceOwnerId = team.primaryOwner || sourceOwnerIds[0] || null;
+        const owner = owners.find(o => o.id === sourceOwnerId) ||
+            owners.find(o => (team.members || []).some(m => m.id === o.id));
+
+        const resolve = (id) => ownerRegistry ? ownerRegistry.resolve(id) : id;
+        const ownerId = resolve(sourceOwnerId);
+        const ownerIds = [...new Set(sourceOwnerIds.map(resolve))];
+        const ownerName = (ownerId && ownerRegistry?.getDisplayName(ownerId)) || owner?.displayName || null;
+
+        const teamName = team.name ||
+            (team.location && team.nickname ? `${team.location} ${team.nickname}` : null) ||
+            team.teamName ||
+            `Team ${team.id}`;
+
+        return {
+            id: team.id,
+            year,
+            name: ownerName || teamName, // Display name = owner name
+            teamName,
+            ownerName,
+            abbreviation: team.abbrev || teamName.substring(0, 4) || `T${team.id}`,
+            ownerId,
+            ownerIds: ownerIds.length > 0 ? ownerIds : (ownerId ? [ownerId] : []),
+            sourceOwnerIds: sourceOwnerIds.length > 0 ? sourceOwnerIds : (sourceOwnerId ? [sourceOwnerId] : []),
+            logo: team.logo,
+            record: LeagueModel.normalizeRecord(team),
+            playoffSeed: team.playoffSeed,
+            rankCalculatedFinal: team.rankCalculatedFinal || team.finalStandingsPosition,
+            divisionId: team.divisionId
+        };
+    }
+
+    /**
+     * Season record - nested under record.overall in the new API, flat in legacy responses
+     */
+    static normalizeRecord(team) {
+        if (team.record?.overall) {
+            const overall = team.record.overall;
+            return {
+                wins: overall.wins || 0,
+                losses: overall.losses || 0,
+                ties: overall.ties || 0,
+                pointsFor: overall.pointsFor || 0,
+                pointsAgainst: overall.pointsAgainst || 0
+            };
+        }
+
+        if (team.record) {
+            return {
+                wins: team.record.wins || 0,
+                losses: team.record.losses || 0,
+                ties: team.record.ties || 0,
+                pointsFor: team.record.pointsFor || team.points || 0,
+                pointsAgainst: team.record.pointsAgainst || 0
+            };
+        }
+
+        return {
+            wins: team.wins || 0,
+            losses: team.losses || 0,
+            ties: team.ties || 0,
+            pointsFor: team.points || team.pointsFor || 0,
+            pointsAgainst: team.pointsAgainst || 0
+        };
+    }
+
+    /**
+     * One scheduled game with explicit regular season / playoff flags
+     * A game is a playoff game if ESPN tags it with a playoff tier, or (for
+     * seasons without tiers) if it falls after the regular season.
+     */
+    static normalizeMatchup(year, matchup, settings, ownerByTeam) {
+        let homeTeamId, homeScore, awayTeamId, awayScore;
+
+        if (matchup.home && matchup.away) {
+            homeTeamId = matchup.home.teamId;
+            homeScore = matchup.home.totalPoints || matchup.home.rosterForCurrentScoringPeriod?.appliedStatTotal || 0;
+            awayTeamId = matchup.away.teamId;
+            awayScore = matchup.away.totalPoints || matchup.away.rosterForCurrentScoringPeriod?.appliedStatTotal || 0;
+        } else {
+            homeTeamId = matchup.homeTeamId || matchup.home?.teamId;
+            homeScore = matchup.homeTeamScores?.[0] || matchup.homeScore || 0;
+            awayTeamId = matchup.awayTeamId || matchup.away?.teamId;
+            awayScore = matchup.awayTeamScores?.[0] || matchup.awayScore || 0;
+        }
+
+        const isPlayoff = LeagueModel.PLAYOFF_TIERS.includes(matchup.playoffTierType) ||
+            matchup.matchupPeriodId > settings.regularSeasonMatchupPeriods;
+
+        // ESPN marks unplayed games UNDECIDED; without a winner field, a 0-0 game hasn't been played
+        const isComplete = matchup.winner
+            ? matchup.winner !== 'UNDECIDED'
+            : homeScore > 0 || awayScore > 0;
+
+        // An explicit HOME/AWAY stands even on equal scores (a playoff tiebreaker);
+        // without one, equal scores are a tie
+        const outcome = ['HOME', 'AWAY', 'TIE'].includes(matchup.winner)
+            ? matchup.winner
+            : homeScore > awayScore ? 'HOME' : awayScore > homeScore ? 'AWAY' : 'TIE';
+        const isTie = isComplete && outcome === 'TIE';
+        const isDecided = isComplete && !isTie;
+
+        return {
+            id: matchup.id,
+            year,
+            matchupPeriodId: matchup.matchupPeriodId,
+            homeTeamId,
+            awayTeamId,
+            homeOwnerId: ownerByTeam.get(homeTeamId) || null,
+            awayOwnerId: ownerByTeam.get(awayTeamId) || null,
+            homeScore,
+            awayScore,
+            winner: matchup.winner,
+            winnerTeamId: isDecided ? (outcome === 'HOME' ? homeTeamId : awayTeamId) : null,
+            loserTeamId: isDecided ? (outcome === 'HOME' ? awayTeamId : homeTeamId) : null,
+            isTie,
+            playoffTierType: matchup.playoffTierType,
+            isRegularSeason: !isPlayoff,
+            isPlayoff,
+            isComplete
+        };
+    }
+
+    /**
+     * One player on a team's end-of-season roster
+     */
+    static normalizeRosterEntry(entry) {
+        const player = entry.playerPoolEntry?.player || {};
+
+        return {
+            playerId: entry.playerId,
+            name: player.fullName || `Player ${entry.playerId}`,
+            positionId: player.defaultPositionId,
+            lineupSlotId: entry.lineupSlotId,
+            starter: !LeagueModel.BENCH_SLOTS.includes(entry.lineupSlotId),
+            acquisitionType: entry.acquisitionType
+        };
+    }
+
+    /**
+     * Find a season's champion and the two teams in the championship game
+     * method records how the champion was found: 'rank' (final standings),
+     * 'game' (the last winners-bracket game) or 'seed' (best seed - a guess)
+     * Returns { champion, participants, method }; champion is null without teams
+     */
+    static findChampion(season) {
+        const { teams } = season;
+        const playoffMatchups = season.matchups.filter(m => m.isComplete && m.isPlayoff);
+        let champion = null;
+        let method = null;
+        let participants = [];
+
+        // Method 1: the team ESPN ranked first in the final standings
+        const championTeam = teams.find(t => t.rankCalculatedFinal === 1);
+        if (championTeam) {
+            champion = championTeam.id;
+            method = 'rank';
+        }
+
+        // Method 2: the winner of the last winners-bracket game (the final)
+        const championshipGames = playoffMatchups.filter(m => m.playoffTierType === 'WINNERS_BRACKET');
+        if (championshipGames.length > 0) {
+            const lastWeek = Math.max(...championshipGames.map(m => m.matchupPeriodId));
+            const championship = championshipGames.find(m => m.matchupPeriodId === lastWeek);
+            participants = [championship.homeTeamId, championship.awayTeamId];
+
+            if (!champion && championship.winnerTeamId) {
+                champion = championship.winnerTeamId;
+                method = 'game';
+            }
+        }
+
+        // Without a championship game, the champion and runner-up by rank
+        if (champion && participants.length === 0) {
+            const runnerUp = teams.find(t => t.rankCalculatedFinal === 2);
+            participants = runnerUp ? [champion, runnerUp.id] : [champion];
+        }
+
+        // Method 3: fall back to the best playoff seed
+        if (!champion) {
+            const sortedTeams = [...teams].sort((a, b) => {
+                if (a.playoffSeed && b.playoffSeed) {
+                    return a.playoffSeed - b.playoffSeed;
+                }
+                return (b.record.wins - b.record.losses) - (a.record.wins - a.record.losses);
+            });
+            champion = sortedTeams[0]?.id ?? null;
+            method = champion ? 'seed' : null;
+        }
+
+        return { champion, participants, method };
+    }
+
+    /**
+     * A team's result in a matchup: 'W', 'L' or 'T' (null if it didn't play in it)
+     */
+    static getResult(matchup, teamId) {
+        if (teamId !== matchup.homeTeamId && teamId !== matchup.awayTeamId) return null;
+        if (matchup.isTie) return 'T';
+        return matchup.winnerTeamId === teamId ? 'W' : 'L';
+    }
+
+    /**
+     * Win percentage of a { wins, losses, ties } record, a tie counting as half a win
+     */
+    static winPct(record) {
+        const games = record.wins + record.losses + (record.ties || 0);
+        return games > 0 ? (record.wins + (record.ties || 0) / 2) / games : 0;
+    }
+
+    /**
+     * "W-L" record, or "W-L-T" when there are ties
+     */
+    static formatRecord(record) {
+        return record.ties > 0 ? `${record.wins}-${record.losses}-${record.ties}` : `${record.wins}-${record.losses}`;
+    }
+
+    /**
+     * Format owner name as "FirstName L." (first name + last initial)
+     */
+    static formatOwnerName(firstName, lastName) {
+        const first = firstName ? firstName.charAt(0).toUpperCase() + firstName.slice(1).toLowerCase() : '';
+        const lastInitial = lastName ? lastName.charAt(0).toUpperCase() + '.' : '';
+        return `${first} ${lastInitial}`.trim();
+    }
+}
+
+// Expose as global for the browser
+if (typeof window !== 'undefined') {
+    window.LeagueModel = LeagueModel;
+}
+
+// Export for Node.js (reports/generate-report.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeagueModel;
+}
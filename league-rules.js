@@ -0,0 +1,174 @@
+/**
+ * League Rules Timeline
+ * The rules each season was played under, declared once per league (rules.json
+ * in its data directory) instead of being hardcoded by year. LeagueModel
+ * resolves every season's rules from it (Season.rules), and the stats, the
+ * analytics and the report all read them from there.
+ *
+ *   { "rules": [
+ *       { "from": 2011, "to": 2017,         seasons the entry covers (either end optional)
+ *         "regularSeasonWeeks": 13,          weeks in the regular season
+ *         "playoffTeams": 6,                 teams that make the playoffs
+ *         "countedWeeks": 12,                only weeks 1-12 count for single-game records
+ *         "scoring": "Standard",             scoring format, as the league calls it
+ *         "espnEndpoint": "leagueHistory",   ESPN API the season is fetched from
+ *         "notes": "Week 13 was a rivalry week" },
+ *       { "from": 2018, "scoring": "Half PPR" }
+ *   ] }
+ *
+ * Every field is optional. Later entries win over earlier ones for the seasons
+ * they share. What the league's file leaves out comes from ESPN's settings, then
+ * from DEFAULTS.
+ */
+
+class LeagueRules {
+    static FILE = 'rules.json';
+
+    // Rules that hold for every league unless its file or ESPN says otherwise
+    static DEFAULTS = [
+        // ESPN serves seasons before 2018 only from its old leagueHistory endpoint
+        { to: 2017, espnEndpoint: 'leagueHistory' },
+        { from: 2018, espnEndpoint: 'seasons' },
+        // 13-week regular seasons until the NFL went to 17 games in 2021
+        { to: 2020, regularSeasonWeeks: 13 },
+        { from: 2021, regularSeasonWeeks: 14 }
+    ];
+
+    // ESPN APIs a season can be fetched from (see espn-client.js)
+    static ESPN_ENDPOINTS = ['seasons', 'leagueHistory'];
+
+    // Fields a league's rules.json can set
+    static FIELDS = {
+        regularSeasonWeeks: 'count',
+        playoffTeams: 'count',
+        countedWeeks: 'count',
+        scoring: 'text',
+        espnEndpoint: 'endpoint',
+        notes: 'text'
+    };
+
+    constructor(data = null) {
+        const errors = LeagueRules.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid league rules:\n  ${errors.join('\n  ')}`);
+        }
+        this.rules = data?.rules || [];
+    }
+
+    /**
+     * Problems with a rules file's contents (empty if it is valid)
+     */
+    static validate(data) {
+        if (data === null || data === undefined) return [];
+        if (typeof data !== 'object' || !Array.isArray(data.rules)) {
+            return ['Expected { "rules": [...] }'];
+        }
+
+        const errors = [];
+        data.rules.forEach((entry, index) => {
+            const label = `Rule #${index + 1}`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${label}: expected an object`);
+                return;
+            }
+
+            for (const key of ['from', 'to']) {
+                if (entry[key] !== undefined && !Number.isInteger(entry[key])) {
+                    errors.push(`${label}: ${key} must be a year`);
+                }
+            }
+            if (entry.from && entry.to && entry.from > entry.to) {
+                errors.push(`${label}: ends (${entry.to}) before it starts (${entry.from})`);
+            }
+
+            for (const [key, value] of Object.entries(entry)) {
+                if (key === 'from' || key === 'to') continue;
+                const type = LeagueRules.FIELDS[key];
+                if (!type) {
+                    errors.push(`${label}: unknown field ${key}`);
+                } else if (type === 'count' && !(Number.isInteger(value) && value > 0)) {
+                    errors.push(`${label}: ${key} must be a whole number above 0`);
+                } else if (type === 'text' && typeof value !== 'string') {
+                    errors.push(`${label}: ${key} must be text`);
+                } else if (type === 'endpoint' && !LeagueRules.ESPN_ENDPOINTS.includes(value)) {
+                    errors.push(`${label}: ${key} must be one of ${LeagueRules.ESPN_ENDPOINTS.join(', ')}`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check whether a timeline entry covers a season
+     */
+    static covers(entry, year) {
+        return (!entry.from || entry.from <= year) && (!entry.to || entry.to >= year);
+    }
+
+    /**
+     * Merge the entries covering a season, later entries winning
+     */
+    static merge(entries, year) {
+        const merged = {};
+        entries.filter(entry => LeagueRules.covers(entry, year)).forEach(entry => {
+            const { from, to, ...fields } = entry;
+            Object.assign(merged, fields);
+        });
+        return merged;
+    }
+
+    /**
+     * Check whether a season is fetched from ESPN's old leagueHistory endpoint
+     * leagueRules (a LeagueRules) can move the cutoff; without one the defaults apply
+     */
+    static isLegacyEspnYear(year, leagueRules = null) {
+        return (leagueRules || new LeagueRules()).getEspnEndpoint(year) === 'leagueHistory';
+    }
+
+    /**
+     * What the league's file says about a season (only the fields it sets)
+     */
+    getDeclared(year) {
+        return LeagueRules.merge(this.rules, year);
+    }
+
+    /**
+     * The built-in rules for a season
+     */
+    getDefaults(year) {
+        return LeagueRules.merge(LeagueRules.DEFAULTS, year);
+    }
+
+    /**
+     * ESPN endpoint a season is fetched from: the league's file, then the defaults
+     */
+    getEspnEndpoint(year) {
+        return this.getDeclared(year).espnEndpoint || this.getDefaults(year).espnEndpoint;
+    }
+
+    /**
+     * First season the league's timeline covers, or null if it doesn't say
+     */
+    getFirstYear() {
+        const years = this.rules.map(entry => entry.from).filter(Boolean);
+        return years.length > 0 ? Math.min(...years) : null;
+    }
+
+    /**
+     * Contents of the rules file
+     */
+    toJSON() {
+        return { rules: this.rules };
+    }
+}
+
+// Expose as global for the browser
+if (typeof window !== 'undefined') {
+    window.LeagueRules = LeagueRules;
+}
+
+// Export for Node.js (league-model.js, espn-client.js, static-data.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeagueRules;
+}
@@ -0,0 +1,111 @@
+/**
+ * League Data Validator
+ * Checks a normalized league (see league-model.js) for data that would quietly
+ * skew the stats: records that don't balance, scoreless or duplicated games,
+ * teams without owners, champions that had to be guessed and weeks missing
+ * from the schedule. Runs after every load in the browser (Settings > Data
+ * Diagnostics) and at the end of prebuild.js.
+ *
+ * Issue: { year, level: 'error' | 'warning' | 'info', code, message }
+ */
+
+// Browser pages load league-model.js first; Node requires it
+const LeagueModelClass = typeof LeagueModel !== 'undefined' ? LeagueModel : require('./league-model.js');
+
+class LeagueValidator {
+    static LEVELS = ['error', 'warning', 'info'];
+
+    /**
+     * Validate every season of a league model
+     * Returns { seasonCount, issues, counts: { error, warning, info } }
+     */
+    static validateLeague(league) {
+        const seasons = Object.values(league?.seasons || {});
+        const issues = seasons.flatMap(season => LeagueValidator.validateSeason(season));
+        const counts = Object.fromEntries(LeagueValidator.LEVELS.map(level =>
+            [level, issues.filter(issue => issue.level === level).length]));
+
+        return { seasonCount: seasons.length, issues, counts };
+    }
+
+    /**
+     * Validate one normalized season
+     */
+    static validateSeason(season) {
+        const { year, teams, matchups, settings } = season;
+        const issues = [];
+        const add = (level, code, message) => issues.push({ year, level, code, message });
+        const teamName = (id) => teams.find(t => t.id === id)?.name || `Team ${id}`;
+
+        // Every win is someone else's loss
+        const wins = teams.reduce((sum, t) => sum + t.record.wins, 0);
+        const losses = teams.reduce((sum, t) => sum + t.record.losses, 0);
+        if (wins !== losses) {
+            add('error', 'unbalanced-record', `League-wide wins (${wins}) don't match losses (${losses})`);
+        }
+
+        for (const team of teams.filter(t => !t.ownerId)) {
+            add('warning', 'no-owner', `${team.teamName || teamName(team.id)} (team ${team.id}) has no owner`);
+        }
+
+        // Scored games that ended 0-0 were almost certainly never scored
+        const scoreless = matchups.filter(m => m.isComplete && m.homeScore === 0 && m.awayScore === 0);
+        if (scoreless.length > 0) {
+            const weeks = [...new Set(scoreless.map(m => m.matchupPeriodId))].sort((a, b) => a - b);
+            add('warning', 'scoreless-matchup',
+                `${scoreless.length} matchup${scoreless.length > 1 ? 's' : ''} ended 0-0 (week${weeks.length > 1 ? 's' : ''} ${weeks.join(', ')})`);
+        }
+
+        const seen = new Set();
+        for (const m of matchups) {
+            const key = [m.matchupPeriodId, ...[m.homeTeamId, m.awayTeamId].sort((a, b) => a - b)].join('-');
+            if (seen.has(key)) {
+                add('error', 'duplicate-matchup',
+                    `Week ${m.matchupPeriodId}: ${teamName(m.homeTeamId)} vs ${teamName(m.awayTeamId)} is listed more than once`);
+            }
+            seen.add(key);
+        }
+
+        const regularWeeks = settings.regularSeasonMatchupPeriods;
+        const scheduledWeeks = new Set(matchups.filter(m => m.isRegularSeason).map(m => m.matchupPeriodId));
+        const missingWeeks = [];
+        for (let week = 1; week <= regularWeeks; week++) {
+            if (!scheduledWeeks.has(week)) missingWeeks.push(week);
+        }
+        if (missingWeeks.length > 0) {
+            add('warning', 'missing-weeks', `No matchups for regular-season week${missingWeeks.length > 1 ? 's' : ''} ${missingWeeks.join(', ')}`);
+        }
+        if (settings.regularSeasonGuessed) {
+            add('info', 'regular-season-guessed', `Regular season length not in the data - assumed ${regularWeeks} weeks (set regularSeasonWeeks in rules.json)`);
+        }
+
+        // A season still being played has no champion yet
+        const inProgress = matchups.length === 0 || matchups.some(m => !m.isComplete);
+        if (!inProgress) {
+            const { champion, method } = LeagueModelClass.findChampion(season);
+            if (method === 'seed') {
+                add('warning', 'champion-guessed', `No final standings or championship game - champion guessed from seeding (${teamName(champion)})`);
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * One-line description of an issue for console output
+     */
+    static formatIssue(issue) {
+        const marker = { error: '✗', warning: '!', info: '·' }[issue.level];
+        return `${marker} ${issue.year}: ${issue.message}`;
+    }
+}
+
+// Expose as global for the browser
+if (typeof window !== 'undefined') {
+    window.LeagueValidator = LeagueValidator;
+}
+
+// Export for Node.js (prebuild.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeagueValidator;
+}
@@ -0,0 +1,233 @@
+/**
+ * Live scoring feed for server.js (GET /api/live)
+ * While anyone is watching a league, polls ESPN's mMatchupScore for the
+ * current scoring period and pushes changes to every open page as
+ * Server-Sent Events:
+ *
+ *   event: snapshot   the whole week - sent on connect and when the week changes
+ *   event: scores     only the matchups whose score or status changed
+ *
+ * Data: { year, scoringPeriodId, matchupPeriodId, updatedAt,
+ *         matchups: [{ id, homeTeamId, awayTeamId, homeScore, awayScore, final }] }
+ *
+ * One poll per league is shared by all of its viewers. ESPN is polled every
+ * LIVE_POLL_INTERVAL seconds during game windows and every few minutes
+ * otherwise; failures back off further. Out of season (see refresh-scheduler.js)
+ * the feed only stays up while ESPN still reports the season as active.
+ */
+
+const { getCurrentSeasonYear, fetchSeason } = require('./espn-client.js');
+const RefreshScheduler = require('./refresh-scheduler.js');
+
+const LIVE_VIEWS = ['mMatchupScore', 'mStatus'];
+
+// ESPN is polled no faster than this, whatever LIVE_POLL_INTERVAL says
+const MIN_INTERVAL = 30 * 1000;
+const DEFAULT_INTERVAL = 60 * 1000;
+const IDLE_INTERVAL = 10 * 60 * 1000; // No games on
+const MAX_BACKOFF = 5 * 60 * 1000;
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing quiet streams
+const RECONNECT_DELAY = 30 * 1000; // Browsers wait this long before reconnecting
+
+/**
+ * Score rounded to hundredths, so float noise never counts as a change
+ */
+function roundScore(points) {
+    return Math.round((points || 0) * 100) / 100;
+}
+
+/**
+ * Build the feed's view of the current week from an ESPN mMatchupScore response
+ */
+function buildSnapshot(year, data) {
+    const schedule = data.schedule || [];
+    const undecided = schedule.filter(m => m.winner === 'UNDECIDED').map(m => m.matchupPeriodId);
+    const matchupPeriodId = data.status?.currentMatchupPeriod ||
+        (undecided.length > 0 ? Math.min(...undecided) : Math.max(0, ...schedule.map(m => m.matchupPeriodId)));
+
+    return {
+        year,
+        // latestScoringPeriod moves on to the next week even when an older one was requested
+        scoringPeriodId: data.status?.latestScoringPeriod || data.scoringPeriodId || null,
+        matchupPeriodId,
+        updatedAt: new Date().toISOString(),
+        matchups: schedule
+            .filter(m => m.matchupPeriodId === matchupPeriodId && m.home && m.away)
+            .map(m => ({
+                id: m.id,
+                homeTeamId: m.home.teamId,
+                awayTeamId: m.away.teamId,
+                homeScore: roundScore(m.home.totalPointsLive ?? m.home.totalPoints),
+                awayScore: roundScore(m.away.totalPointsLive ?? m.away.totalPoints),
+                final: !!m.winner && m.winner !== 'UNDECIDED'
+            }))
+    };
+}
+
+/**
+ * Matchups in the new snapshot whose score or status differ from the old one
+ */
+function diffSnapshots(previous, next) {
+    const before = new Map(previous.matchups.map(m => [m.id, m]));
+    return next.matchups.filter(m => {
+        const old = before.get(m.id);
+        return !old || old.homeScore !== m.homeScore || old.awayScore !== m.awayScore || old.final !== m.final;
+    });
+}
+
+/**
+ * Format one Server-Sent Event
+ */
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+class LiveScores {
+    /**
+     * options: { interval: ms between polls during games, getRoute(leagueId, year): ESPN host/endpoint }
+     */
+    constructor(options = {}) {
+        this.interval = Math.max(MIN_INTERVAL, options.interval || DEFAULT_INTERVAL);
+        this.getRoute = options.getRoute || (() => null);
+        this.feeds = new Map(); // slug -> { league, clients, snapshot, timer, failures }
+        this.heartbeat = null;
+        this.activeLeagues = new Set(); // slugs whose last poll had ESPN's status.isActive
+    }
+
+    /**
+     * Check whether a league has a season in progress to follow
+     * During the NFL season, or after it while ESPN last said the season was still active
+     */
+    isLive(league) {
+        if (league.endYear < getCurrentSeasonYear()) return false;
+        return RefreshScheduler.isSeasonMonth() || this.activeLeagues.has(league.slug);
+    }
+
+    /**
+     * Start streaming a league's live scores to a response
+     */
+    subscribe(league, req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+        let feed = this.feeds.get(league.slug);
+        if (!feed) {
+            feed = { league, clients: new Set(), snapshot: null, timer: null, failures: 0 };
+            this.feeds.set(league.slug, feed);
+            this.poll(feed);
+        } else if (feed.snapshot) {
+            res.write(formatEvent('snapshot', feed.snapshot));
+        }
+        feed.clients.add(res);
+        this.startHeartbeat();
+
+        req.on('close', () => this.unsubscribe(feed, res));
+    }
+
+    /**
+     * Drop a closed connection, stopping the league's polling once nobody is watching
+     */
+    unsubscribe(feed, res) {
+        feed.clients.delete(res);
+        if (feed.clients.size > 0) return;
+
+        clearTimeout(feed.timer);
+        this.feeds.delete(feed.league.slug);
+        if (this.feeds.size === 0) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    /**
+     * Number of open connections across every league
+     */
+    getClientCount() {
+        let count = 0;
+        for (const feed of this.feeds.values()) count += feed.clients.size;
+        return count;
+    }
+
+    /**
+     * Send an event to everyone watching a league
+     */
+    broadcast(feed, event, data) {
+        const message = formatEvent(event, data);
+        for (const res of feed.clients) {
+            res.write(message);
+        }
+    }
+
+    /**
+     * Comment lines every so often keep idle connections open
+     */
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const feed of this.feeds.values()) {
+                for (const res of feed.clients) res.write(': ping\n\n');
+            }
+        }, HEARTBEAT_INTERVAL);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Fetch the current week once and push what changed, then schedule the next poll
+     */
+    async poll(feed) {
+        const { league } = feed;
+        const year = getCurrentSeasonYear();
+        let wait = RefreshScheduler.isGameTime() ? this.interval : IDLE_INTERVAL;
+
+        try {
+            const data = await fetchSeason(league.leagueId, year, LIVE_VIEWS, feed.snapshot?.scoringPeriodId || null, {
+                retries: 1,
+                baseDelay: 500,
+                route: this.getRoute(league.leagueId, year)
+            });
+            const snapshot = buildSnapshot(year, data);
+
+            if (!feed.snapshot || feed.snapshot.matchupPeriodId !== snapshot.matchupPeriodId) {
+                this.broadcast(feed, 'snapshot', snapshot);
+            } else {
+                const changed = diffSnapshots(feed.snapshot, snapshot);
+                if (changed.length > 0) {
+                    this.broadcast(feed, 'scores', { ...snapshot, matchups: changed });
+                }
+            }
+            feed.snapshot = snapshot;
+            feed.failures = 0;
+            if (data.status?.isActive) {
+                this.activeLeagues.add(league.slug);
+            } else {
+                this.activeLeagues.delete(league.slug);
+            }
+        } catch (error) {
+            feed.failures++;
+            wait = Math.max(error.retryAfterMs || 0, Math.min(MAX_BACKOFF, this.interval * 2 ** feed.failures));
+            console.error(`Live scores for ${league.slug} failed (${feed.failures}x), next try in ${Math.round(wait / 1000)}s:`, error.message);
+        }
+
+        // The season ended: close the streams (pages get 204 when they reconnect)
+        if (this.feeds.get(league.slug) === feed && !this.isLive(league)) {
+            for (const res of [...feed.clients]) {
+                res.end();
+                this.unsubscribe(feed, res);
+            }
+            return;
+        }
+
+        // Everyone may have left while ESPN was answering
+        if (this.feeds.get(league.slug) === feed) {
+            feed.timer = setTimeout(() => this.poll(feed), wait);
+            feed.timer.unref();
+        }
+    }
+}
+
+module.exports = LiveScores;
@@ -0,0 +1,408 @@
+/**
+ * Manual season entry
+ * Reads seasons typed in from paper or spreadsheet records - for years no
+ * platform API covers - and converts them into the same season shape ESPN
+ * returns, marked with source "manual", so they go through LeagueModel and
+ * StatsEngine like any other season.
+ *
+ * Either one JSON file:
+ *
+ *   {
+ *     "owners": [{ "id": "{ESPN-OWNER-ID}", "name": "Pat Smith" }, { "id": "lee", "name": "Lee Jones" }],
+ *     "seasons": [{
+ *       "season": 2004, "name": "The Paper League", "regularSeasonWeeks": 13, "playoffTeams": 4,
+ *       "note": "From the 2004 scoring binder",
+ *       "teams": [{ "id": 1, "name": "Smith Happens", "owner": "{ESPN-OWNER-ID}", "playoffSeed": 1, "finalRank": 1 }],
+ *       "matchups": [
+ *         { "week": 1, "home": 1, "away": 2, "homeScore": 98.5, "awayScore": 87 },
+ *         { "week": 16, "home": 1, "away": 3, "homeScore": 110, "awayScore": 101, "playoff": "winners" }
+ *       ]
+ *     }]
+ *   }
+ *
+ * or a directory of CSV files (one per spreadsheet tab), every row but owners
+ * keyed by season:
+ *
+ *   owners.csv    id,name
+ *   seasons.csv   season,name,regular_season_weeks,playoff_teams,note
+ *   teams.csv     season,id,name,owner,playoff_seed,final_rank[,wins,losses,ties,points_for,points_against]
+ *   matchups.csv  season,week,home,away,home_score,away_score[,playoff,winner]
+ *
+ * Owner IDs are kept as given - use an owner's ESPN ID to join their manual
+ * seasons to the rest of their career. Co-owners are listed with ";" (CSV) or
+ * as an array (JSON). Records are totalled from the regular-season matchups
+ * unless a team gives its own. playoff is "winners" or "consolation" (weeks
+ * after the regular season default to "winners"); winner ("home", "away",
+ * "tie") is only needed for games whose scores weren't kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = 'manual';
+
+const PLAYOFF_TIERS = {
+    winners: 'WINNERS_BRACKET',
+    consolation: 'LOSERS_CONSOLATION_LADDER'
+};
+const WINNERS = { home: 'HOME', away: 'AWAY', tie: 'TIE' };
+
+/**
+ * Parse CSV text into rows keyed by the (lowercased) header
+ * Handles quoted fields, doubled quotes, CRLF line ends and a leading BOM;
+ * each row remembers its line number for error messages
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => { record.push(field); field = ''; };
+    const endRecord = () => {
+        endField();
+        if (record.some(value => value.trim() !== '')) records.push({ values: record, line: recordLine });
+        record = [];
+        recordLine = line;
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    if (field !== '' || record.length > 0) endRecord();
+
+    if (records.length === 0) return [];
+    const header = records[0].values.map(name => name.trim().toLowerCase());
+    return records.slice(1).map(({ values, line }) => {
+        const row = { line };
+        header.forEach((name, i) => { row[name] = (values[i] || '').trim(); });
+        return row;
+    });
+}
+
+/**
+ * Read a CSV file from the export directory ([] if it isn't there and isn't required)
+ */
+function readCsvFile(dir, file, required) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+        if (required) throw new Error(`Missing ${file} in ${dir}`);
+        return [];
+    }
+    try {
+        return parseCsv(fs.readFileSync(filePath, 'utf-8')).map(row => ({ ...row, where: `${file} line ${row.line}` }));
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+}
+
+/**
+ * Blank CSV cells mean "not given"
+ */
+function optional(value) {
+    return value === undefined || value === null || value === '' ? undefined : value;
+}
+
+/**
+ * Read manual records from a JSON file or a directory of CSV files
+ * Returns { owners: [{ id, name }], seasons: [{ season, ..., teams, matchups }] }
+ * with CSV columns mapped to the JSON field names
+ */
+function readManualExport(input) {
+    if (!fs.statSync(input).isDirectory()) {
+        const parsed = JSON.parse(fs.readFileSync(input, 'utf-8'));
+        // A file may also hold a single season with its owners inline
+        const seasons = Array.isArray(parsed.seasons) ? parsed.seasons : [parsed];
+        return {
+            owners: (parsed.owners || []).map((owner, i) => ({ ...owner, where: `owners[${i}]` })),
+            seasons: seasons.map((season, s) => ({
+                ...season,
+                where: `seasons[${s}]`,
+                teams: (season.teams || []).map((team, i) => ({ ...team, where: `${season.season} teams[${i}]` })),
+                matchups: (season.matchups || []).map((m, i) => ({ ...m, where: `${season.season} matchups[${i}]` }))
+            }))
+        };
+    }
+
+    const teamRows = readCsvFile(input, 'teams.csv', true);
+    const matchupRows = readCsvFile(input, 'matchups.csv', false);
+    const seasonRows = readCsvFile(input, 'seasons.csv', false);
+    const years = new Set([...seasonRows, ...teamRows, ...matchupRows].map(row => row.season));
+
+    return {
+        owners: readCsvFile(input, 'owners.csv', false).map(row => ({ id: row.id, name: row.name, where: row.where })),
+        seasons: Array.from(years).map(year => {
+            const row = seasonRows.find(r => r.season === year) || {};
+            return {
+                season: year,
+                name: optional(row.name),
+                regularSeasonWeeks: optional(row.regular_season_weeks),
+                playoffTeams: optional(row.playoff_teams),
+                note: optional(row.note),
+                where: row.where || `season ${year}`,
+                teams: teamRows.filter(r => r.season === year).map(r => ({
+                    id: r.id,
+                    name: r.name,
+                    owner: r.owner ? r.owner.split(';').map(id => id.trim()).filter(Boolean) : [],
+                    playoffSeed: optional(r.playoff_seed),
+                    finalRank: optional(r.final_rank),
+                    wins: optional(r.wins),
+                    losses: optional(r.losses),
+                    ties: optional(r.ties),
+                    pointsFor: optional(r.points_for),
+                    pointsAgainst: optional(r.points_against),
+                    where: r.where
+                })),
+                matchups: matchupRows.filter(r => r.season === year).map(r => ({
+                    week: r.week,
+                    home: r.home,
+                    away: r.away,
+                    homeScore: optional(r.home_score),
+                    awayScore: optional(r.away_score),
+                    playoff: optional(r.playoff),
+                    winner: optional(r.winner),
+                    where: r.where
+                }))
+            };
+        })
+    };
+}
+
+/**
+ * Convert manual records into ESPN-shaped seasons, one per season entered
+ * Throws one error listing every problem found, so a spreadsheet can be fixed in one pass
+ */
+function convertManualSeasons(manual) {
+    const problems = [];
+    const toInt = (value, field, where, required = true) => {
+        if (optional(value) === undefined) {
+            if (required) problems.push(`${where}: ${field} is missing`);
+            return undefined;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            problems.push(`${where}: ${field} "${value}" is not a whole number`);
+            return undefined;
+        }
+        return number;
+    };
+    const toScore = (value, field, where) => {
+        if (optional(value) === undefined) return undefined;
+        const number = Number(value);
+        if (isNaN(number)) {
+            problems.push(`${where}: ${field} "${value}" is not a number`);
+            return undefined;
+        }
+        return number;
+    };
+
+    const owners = new Map();
+    for (const owner of manual.owners || []) {
+        if (!owner.id) {
+            problems.push(`${owner.where}: owner has no id`);
+        } else if (owners.has(owner.id)) {
+            problems.push(`${owner.where}: owner ${owner.id} is listed twice`);
+        } else {
+            owners.set(owner.id, owner);
+        }
+    }
+
+    const seenYears = new Set();
+    const seasons = (manual.seasons || []).map(season => {
+        const year = toInt(season.season, 'season', season.where);
+        if (year !== undefined && seenYears.has(year)) problems.push(`${season.where}: season ${year} is entered twice`);
+        seenYears.add(year);
+
+        const teams = new Map();
+        for (const team of season.teams || []) {
+            const id = toInt(team.id, 'team id', team.where);
+            if (id === undefined) continue;
+            if (teams.has(id)) {
+                problems.push(`${team.where}: team ${id} is listed twice`);
+                continue;
+            }
+
+            const ownerIds = [...new Set([].concat(team.owner || []))];
+            if (ownerIds.length === 0) problems.push(`${team.where}: team ${id} has no owner`);
+            ownerIds.filter(ownerId => !owners.has(ownerId))
+                .forEach(ownerId => problems.push(`${team.where}: owner ${ownerId} is not in the owners list`));
+
+            teams.set(id, {
+                id,
+                name: team.name || `Team ${id}`,
+                ownerIds,
+                playoffSeed: toInt(team.playoffSeed, 'playoff seed', team.where, false),
+                finalRank: toInt(team.finalRank, 'final rank', team.where, false),
+                given: {
+                    wins: toInt(team.wins, 'wins', team.where, false),
+                    losses: toInt(team.losses, 'losses', team.where, false),
+                    ties: toInt(team.ties, 'ties', team.where, false),
+                    pointsFor: toScore(team.pointsFor, 'points for', team.where),
+                    pointsAgainst: toScore(team.pointsAgainst, 'points against', team.where)
+                }
+            });
+        }
+
+        const matchups = (season.matchups || []).map(m => {
+            const matchup = {
+                week: toInt(m.week, 'week', m.where),
+                home: toInt(m.home, 'home', m.where),
+                away: toInt(m.away, 'away', m.where),
+                homeScore: toScore(m.homeScore, 'home score', m.where),
+                awayScore: toScore(m.awayScore, 'away score', m.where),
+                playoff: optional(m.playoff)?.toLowerCase(),
+                winner: optional(m.winner)?.toLowerCase(),
+                where: m.where
+            };
+            [matchup.home, matchup.away].filter(id => id !== undefined && !teams.has(id))
+                .forEach(id => problems.push(`${m.where}: team ${id} is not in ${year}'s teams`));
+            if (matchup.home !== undefined && matchup.home === matchup.away) {
+                problems.push(`${m.where}: team ${matchup.home} can't play itself`);
+            }
+            if (matchup.playoff && matchup.playoff !== 'none' && !PLAYOFF_TIERS[matchup.playoff]) {
+                problems.push(`${m.where}: playoff "${m.playoff}" should be winners or consolation`);
+            }
+            if (matchup.winner && !WINNERS[matchup.winner]) {
+                problems.push(`${m.where}: winner "${m.winner}" should be home, away or tie`);
+            }
+            return matchup;
+        });
+
+        // Without a regular season length, it runs to the last week not marked as playoffs
+        const regularSeasonWeeks = toInt(season.regularSeasonWeeks, 'regular season weeks', season.where, false) ??
+            Math.max(0, ...matchups.filter(m => !m.playoff || m.playoff === 'none').map(m => m.week || 0));
+
+        const playoffTeams = toInt(season.playoffTeams, 'playoff teams', season.where, false);
+
+        return { year, season, teams, matchups, regularSeasonWeeks, playoffTeams };
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Manual records have ${problems.length} problem(s):\n  ${problems.join('\n  ')}`);
+    }
+
+    return seasons.map(season => buildSeason(season, owners));
+}
+
+/**
+ * Build one ESPN-shaped season from validated manual records
+ */
+function buildSeason({ year, season, teams, matchups, regularSeasonWeeks, playoffTeams }, owners) {
+    const totals = new Map(Array.from(teams.keys()).map(id =>
+        [id, { wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0 }]));
+
+    const schedule = matchups
+        .sort((a, b) => a.week - b.week)
+        .map((m, i) => {
+            const homeScore = m.homeScore || 0;
+            const awayScore = m.awayScore || 0;
+            const hasScores = m.homeScore !== undefined && m.awayScore !== undefined;
+            const winner = m.winner ? WINNERS[m.winner]
+                : !hasScores ? 'UNDECIDED'
+                : homeScore > awayScore ? 'HOME'
+                : awayScore > homeScore ? 'AWAY' : 'TIE';
+            const tier = m.playoff === 'none' ? 'NONE'
+                : PLAYOFF_TIERS[m.playoff] || (m.week > regularSeasonWeeks ? PLAYOFF_TIERS.winners : 'NONE');
+
+            if (tier === 'NONE' && winner !== 'UNDECIDED') {
+                const home = totals.get(m.home);
+                const away = totals.get(m.away);
+                home.pointsFor += homeScore;
+                home.pointsAgainst += awayScore;
+                away.pointsFor += awayScore;
+                away.pointsAgainst += homeScore;
+                if (winner === 'HOME') { home.wins++; away.losses++; }
+                else if (winner === 'AWAY') { away.wins++; home.losses++; }
+                else { home.ties++; away.ties++; }
+            }
+
+            return {
+                id: i + 1,
+                matchupPeriodId: m.week,
+                home: { teamId: m.home, totalPoints: homeScore },
+                away: { teamId: m.away, totalPoints: awayScore },
+                winner,
+                playoffTierType: tier
+            };
+        });
+
+    const usedOwners = new Set();
+    const seasonTeams = Array.from(teams.values()).map(team => {
+        team.ownerIds.forEach(id => usedOwners.add(id));
+        const computed = totals.get(team.id);
+        // A team's own totals (from a paper standings page) win over the matchups entered
+        const overall = Object.fromEntries(Object.keys(computed).map(key =>
+            [key, team.given[key] ?? computed[key]]));
+
+        return {
+            id: team.id,
+            name: team.name,
+            abbrev: team.name.replace(/[^A-Za-z0-9]/g, '').substring(0, 4).toUpperCase() || `T${team.id}`,
+            primaryOwner: team.ownerIds[0],
+            owners: team.ownerIds,
+            record: { overall },
+            playoffSeed: team.playoffSeed,
+            rankCalculatedFinal: team.finalRank || 0
+        };
+    });
+
+    const members = Array.from(usedOwners).map(id => {
+        const [firstName, ...rest] = (owners.get(id).name || id).trim().split(/\s+/);
+        return { id, firstName, lastName: rest.join(' ') };
+    });
+
+    return {
+        source: SOURCE,
+        sourceLeagueId: null,
+        sourceNote: season.note || null,
+        seasonId: year,
+        settings: {
+            name: season.name,
+            size: seasonTeams.length,
+            scoringSettings: { scoringType: 'H2H_POINTS' },
+            scheduleSettings: {
+                matchupPeriodCount: regularSeasonWeeks,
+                playoffTeamCount: playoffTeams
+            }
+        },
+        status: {
+            isActive: false,
+            finalScoringPeriod: Math.max(0, ...schedule.map(m => m.matchupPeriodId))
+        },
+        members,
+        teams: seasonTeams,
+        schedule
+    };
+}
+
+module.exports = {
+    SOURCE,
+    parseCsv,
+    readManualExport,
+    convertManualSeasons
+};
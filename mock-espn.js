@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Stand-in ESPN API server for offline development
+ * Serves fixtures recorded with ESPN_FIXTURES=record (see espn-fixtures.js)
+ * at the same /apis/v3/games/ffl/... paths ESPN uses.
+ *
+ * Usage: node mock-espn.js
+ *   MOCK_ESPN_PORT     - port to listen on (default 3001)
+ *   ESPN_FIXTURES_DIR  - fixtures to serve (default fixtures/espn)
+ *
+ * Point the proxy, prebuild or probe at it with ESPN_ORIGIN:
+ *   ESPN_ORIGIN=http://localhost:3001 node server.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { getFixturesDir, getFixturePath } = require('./espn-fixtures.js');
+
+const PORT = process.env.MOCK_ESPN_PORT || 3001;
+const fixturesDir = getFixturesDir();
+
+/**
+ * Send an ESPN-style JSON error
+ */
+function sendError(res, statusCode, message) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ messages: [message] }));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'GET') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    const filePath = getFixturePath(req.url, fixturesDir);
+    if (!filePath) {
+        sendError(res, 404, 'Not an ESPN API path');
+        return;
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            console.log(`✗ ${req.url}`);
+            if (err.code === 'ENOENT') {
+                sendError(res, 404, `No fixture recorded for ${req.url}`);
+            } else {
+                sendError(res, 500, `Failed to read fixture: ${err.code}`);
+            }
+            return;
+        }
+
+        console.log(`✓ ${req.url}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(content);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock ESPN serving ${fixturesDir} at http://localhost:${PORT}`);
+    console.log(`Use it with: ESPN_ORIGIN=http://localhost:${PORT} node server.js`);
+});
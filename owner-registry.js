@@ -0,0 +1,161 @@
+/**
+ * Owner Identity Registry
+ * One file per league (owners.json in its data directory) that says who is who
+ * across seasons and platforms. LeagueModel resolves every team's owners
+ * through it, so StatsEngine, AdvancedAnalytics and the report generator all
+ * key careers by the same owner.
+ *
+ *   { "owners": [{
+ *       "id": "{CE0D2B52-...}",             canonical owner id used by every page
+ *       "name": "Trevor Rawls & Sam Herting", display name (optional)
+ *       "aliases": ["{961895BA-...}"],       other owner ids that are this owner: old
+ *                                            accounts, Sleeper/Yahoo/manual ids, co-owners
+ *       "coOwners": ["Trevor Rawls", "Sam Herting"], people sharing the team (optional)
+ *       "activeYears": { "from": 2011, "to": 2023 }  seasons in the league (optional)
+ *   }] }
+ *
+ * Without a name, co-owners are shown joined by "&". Owners not in the file
+ * keep their own id and name.
+ */
+
+class OwnerRegistry {
+    static FILE = 'owners.json';
+
+    constructor(data = null) {
+        const errors = OwnerRegistry.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid owner registry:\n  ${errors.join('\n  ')}`);
+        }
+
+        this.owners = new Map(); // canonical id -> entry
+        this.aliases = new Map(); // alias -> canonical id
+        for (const entry of data?.owners || []) {
+            const owner = OwnerRegistry.normalizeEntry(entry);
+            this.owners.set(owner.id, owner);
+            owner.aliases.forEach(alias => this.aliases.set(alias, owner.id));
+        }
+    }
+
+    /**
+     * Problems with a registry file's contents (empty if it is valid)
+     */
+    static validate(data) {
+        if (data === null || data === undefined) return [];
+        if (typeof data !== 'object' || !Array.isArray(data.owners)) {
+            return ['Expected { "owners": [...] }'];
+        }
+
+        const errors = [];
+        const claimed = new Map(); // id or alias -> owner that claims it
+        const claim = (key, ownerId, what) => {
+            if (claimed.has(key)) {
+                errors.push(`${what} ${key} is claimed by both ${claimed.get(key)} and ${ownerId}`);
+            }
+            claimed.set(key, ownerId);
+        };
+
+        data.owners.forEach((entry, index) => {
+            const label = entry?.id ? `Owner ${entry.id}` : `Owner #${index + 1}`;
+            if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+                errors.push(`${label}: id is required`);
+                return;
+            }
+            claim(entry.id, entry.id, 'Id');
+
+            if (entry.name !== undefined && typeof entry.name !== 'string') {
+                errors.push(`${label}: name must be text`);
+            }
+            for (const key of ['aliases', 'coOwners']) {
+                if (entry[key] !== undefined &&
+                    (!Array.isArray(entry[key]) || !entry[key].every(v => typeof v === 'string' && v.trim()))) {
+                    errors.push(`${label}: ${key} must be a list of text`);
+                }
+            }
+            (Array.isArray(entry.aliases) ? entry.aliases : [])
+                .filter(alias => alias !== entry.id)
+                .forEach(alias => claim(alias, entry.id, 'Alias'));
+
+            const years = entry.activeYears;
+            if (years !== undefined && years !== null) {
+                const isYear = (y) => y === undefined || y === null || Number.isInteger(y);
+                if (typeof years !== 'object' || !isYear(years.from) || !isYear(years.to)) {
+                    errors.push(`${label}: activeYears must be { "from": year, "to": year }`);
+                } else if (years.from && years.to && years.from > years.to) {
+                    errors.push(`${label}: activeYears ends (${years.to}) before it starts (${years.from})`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Registry entry with every optional field filled in
+     */
+    static normalizeEntry(entry) {
+        return {
+            id: entry.id,
+            name: entry.name || null,
+            aliases: [...new Set((entry.aliases || []).filter(alias => alias !== entry.id))],
+            coOwners: entry.coOwners || [],
+            activeYears: entry.activeYears ? { from: entry.activeYears.from ?? null, to: entry.activeYears.to ?? null } : null
+        };
+    }
+
+    /**
+     * Canonical id for an owner id from any season or platform
+     */
+    resolve(ownerId) {
+        if (!ownerId) return ownerId;
+        return this.aliases.get(ownerId) || ownerId;
+    }
+
+    /**
+     * Registry entry for a canonical id, or null if the owner isn't listed
+     */
+    getOwner(ownerId) {
+        return this.owners.get(ownerId) || null;
+    }
+
+    /**
+     * Display name from the registry, or null to use the season's own name
+     */
+    getDisplayName(ownerId) {
+        const owner = this.owners.get(ownerId);
+        if (!owner) return null;
+        return owner.name || (owner.coOwners.length > 1 ? owner.coOwners.join(' & ') : null);
+    }
+
+    /**
+     * The registry's active years for an owner, or null if it doesn't say
+     */
+    getActiveYears(ownerId) {
+        return this.owners.get(ownerId)?.activeYears || null;
+    }
+
+    /**
+     * Contents of the registry file
+     */
+    toJSON() {
+        return {
+            owners: Array.from(this.owners.values()).map(owner => {
+                const entry = { id: owner.id };
+                if (owner.name) entry.name = owner.name;
+                if (owner.aliases.length > 0) entry.aliases = owner.aliases;
+                if (owner.coOwners.length > 0) entry.coOwners = owner.coOwners;
+                if (owner.activeYears) entry.activeYears = owner.activeYears;
+                return entry;
+            })
+        };
+    }
+}
+
+// Expose as global for the browser
+if (typeof window !== 'undefined') {
+    window.OwnerRegistry = OwnerRegistry;
+}
+
+// Export for Node.js (prebuild.js, reports/generate-report.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OwnerRegistry;
+}
@@ -6,100 +6,216 @@
  * This runs during deployment (or via cron) so users don't
  * have to wait for API calls when visiting the site.
  *
- * Usage: node prebuild.js
+ * Each season is written to data/seasons/{year}.json and listed in
+ * data/manifest.json (see static-data.js). Seasons whose championship is
+ * decided are skipped on later runs unless forced.
+ *
+ * Usage: node prebuild.js                  Fetch new and in-progress seasons
+ *        node prebuild.js --force 2016     Also refetch 2016 (comma-separate for more)
+ *        node prebuild.js --force          Refetch every season
+ *        node prebuild.js --restart        Ignore the checkpoint of an interrupted run
+ *
+ * The league comes from league.config.json (see league-config.js). With several
+ * leagues configured, --slug picks one (default: the config's defaultLeague).
+ * Any value can be overridden for one run:
+ *        --league 123456   --from 2015   --to 2020   --out ./build/data
+ *        --views mTeam,mMatchup          (2018+ seasons)
+ *        --legacy-views mTeam            (pre-2018 seasons)
+ *        --weekly-views ""               (skip per-week box scores)
+ *
+ * For 2018+ seasons every scoring period is also fetched (weeklyViews) and
+ * saved as per-week lineups - starters, bench and player points - in
+ * data/weeks/{year}.json. Complete seasons built before box scores existed
+ * get their weeks backfilled without refetching the season.
+ *
+ * Transient ESPN failures (429/5xx, timeouts) are retried with exponential
+ * backoff. Progress is checkpointed after every season, so rerunning after a
+ * crash or Ctrl+C picks up where the last run stopped. A season that still
+ * fails keeps its last good file and is marked stale in the manifest.
+ *
+ * Seasons imported from Sleeper, Yahoo or by hand (import-sleeper.js, import-yahoo.js,
+ * import-manual.js) are never fetched from ESPN.
+ *
+ * Saved seasons are slimmed to the fields the site reads, and every file the
+ * site downloads gets precompressed .br and .gz copies (see static-data.js).
+ *
+ * Every saved season is then checked by league-validator.js - unbalanced
+ * records, 0-0 or duplicate games, ownerless teams, guessed champions and
+ * missing weeks are listed at the end of the output.
+ *
+ * The build can also be required: build(config, options) is what server.js
+ * runs on a schedule during the season (see refresh-scheduler.js). A lock file
+ * keeps two builds from writing the same data directory at once.
+ *
+ * If probe.js has written capabilities.json, each season is fetched from the
+ * host/endpoint that worked there, with the views it found usable.
+ *
+ * Private leagues need ESPN_S2 and ESPN_SWID set in the environment
+ * (the same variables server.js reads).
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { getDefaultRoute, isSeasonComplete, fetchSeason } = require('./espn-client.js');
+const {
+    MANIFEST_FILE, getSeasonFile, getWeeksFile, writeJsonAtomic, writeJsonIfChanged, hasCompressedVariants, slimSeason, readManifest, readSeason, readWeeks, readCapabilities, readOwnerRegistry, readLeagueRules, loadSeasons
+} = require('./static-data.js');
+const { loadLeagueConfig } = require('./league-config.js');
+const ESPNFantasyAPI = require('./espn-api.js');
+const LeagueModel = require('./league-model.js');
+const LeagueValidator = require('./league-validator.js');
 
-// League configuration (same as in app.js)
-const CONFIG = {
-    leagueId: '533683',
-    espnS2: 'AEAKFObDwOm3E7GRJ0QBZKS1wSGiucZZsHVko5wP6kXyjLGixBLzgYhDiG0FhA49%2BQ5NvC5q46LrnlaE9EJx2pGsA3u8NxvcGx06nYcpWZPZxIw2BlYwE4ouA9aODzkDhV7cAGkf6zA0fvcBWE1zRWAYNQ%2F4Nve%2F0pwYOF%2FZFzdSWoB7vyJlmSkUGKc0qsfUinwTLGojGQTh6bsEdtIztGhpdwErCho2845NF4i6sIAPnwamaISOjI3pgtPFXm4j52r0WKoH4Vf2yVf45V1C4b8Y3ry0QOXB7AA%2B3yJHMwVoag%3D%3D',
-    swid: '{691768BD-FEF6-4631-96B6-657E9D470FD7}',
-    startYear: 2011,
-    currentYear: 2026
-};
+// Box score parsing is shared with the browser loader
+const parser = new ESPNFantasyAPI();
 
-// ESPN API base URLs
-const BASE_URL_NEW = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl/seasons';
-const BASE_URL_OLD = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl/leagueHistory';
-const LEGACY_CUTOFF_YEAR = 2018;
+// Seasons finished by an interrupted run (dotfiles are never served by server.js)
+const CHECKPOINT_FILE = '.prebuild-checkpoint.json';
 
-// Output directory for static data
-const DATA_DIR = path.join(__dirname, 'data');
+// Held while a build writes the data directory
+const LOCK_FILE = '.prebuild.lock';
+
+// Backoff for ESPN requests: 2s, 4s, 8s, 16s between attempts
+const RETRY_OPTIONS = { retries: 4, baseDelay: 2000, maxDelay: 60000 };
 
 /**
- * Make an HTTPS request with cookies
+ * Host/endpoint for a season: the probe results, else the league rules' endpoint for the year
  */
-function fetchWithCookies(url) {
-    return new Promise((resolve, reject) => {
-        const parsedUrl = new URL(url);
-
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: 443,
-            path: parsedUrl.pathname + parsedUrl.search,
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Cookie': `espn_s2=${CONFIG.espnS2}; SWID=${CONFIG.swid}`
-            }
-        };
+function getSeasonRoute(capabilities, year) {
+    const season = capabilities?.seasons?.[year];
+    return season?.host ? { host: season.host, endpoint: season.endpoint } : getDefaultRoute(year, parser.leagueRules);
+}
 
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    try {
-                        resolve(JSON.parse(data));
-                    } catch (e) {
-                        reject(new Error(`Failed to parse JSON: ${e.message}`));
-                    }
-                } else {
-                    reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
-                }
-            });
-        });
+/**
+ * Fetch data for a single season
+ */
+async function fetchSeasonData(config, year, onRetry, capabilities) {
+    const route = getSeasonRoute(capabilities, year);
+    const views = parser.selectViews(year, config.views, config.legacyViews, capabilities);
+
+    console.log(`  Fetching ${year} (${route.endpoint}: ${views.join(', ')})...`);
 
-        req.on('error', reject);
-        req.end();
+    return fetchSeason(config.leagueId, year, views, null, {
+        ...RETRY_OPTIONS,
+        route,
+        onRetry
     });
 }
 
 /**
- * Build the URL for a specific year
+ * Check if a season should have per-week box scores
+ */
+function wantsWeeks(config, year) {
+    return config.weeklyViews.length > 0 && !parser.isLegacyYear(year);
+}
+
+/**
+ * Fetch every scoring period of a season and parse it into per-week lineups
+ * Throws if any week still fails after retries, so a season is never half-saved
+ */
+async function fetchWeeksData(config, year, seasonData, onRetry, capabilities) {
+    const periods = parser.getScoringPeriods(year, seasonData);
+    const scoringPeriods = {};
+
+    console.log(`  Fetching ${year} box scores (${periods.length} weeks)...`);
+
+    for (const scoringPeriodId of periods) {
+        const data = await fetchSeason(config.leagueId, year, config.weeklyViews, scoringPeriodId, {
+            ...RETRY_OPTIONS,
+            route: getSeasonRoute(capabilities, year),
+            onRetry
+        });
+        scoringPeriods[scoringPeriodId] = parser.parseBoxScores(data, scoringPeriodId);
+
+        // Rate limiting - be nice to ESPN's servers
+        await delay(250);
+    }
+
+    return { year, scoringPeriods };
+}
+
+/**
+ * Slim and compress a season saved by a build from before slimming existed
+ * Only runs when the season's compressed copies are missing, so it's a one-off
+ * Returns true if a file changed
  */
-function buildUrl(year) {
-    if (year < LEGACY_CUTOFF_YEAR) {
-        // Legacy API for pre-2018 seasons
-        return `${BASE_URL_OLD}/${CONFIG.leagueId}?seasonId=${year}&view=mTeam&view=mMatchup`;
-    } else {
-        // New API for 2018+ seasons
-        return `${BASE_URL_NEW}/${year}/segments/0/leagues/${CONFIG.leagueId}?view=mTeam&view=mMatchup&view=mMatchupScore&view=mStandings&view=mSettings&view=mRoster&view=kona_player_info`;
+function upgradeSavedSeason(dataDir, entry) {
+    let changed = false;
+    const seasonPath = path.join(dataDir, entry.file);
+    if (!hasCompressedVariants(seasonPath)) {
+        changed = writeJsonIfChanged(seasonPath, slimSeason(readSeason(dataDir, entry)), { compressed: true });
+    }
+    if (entry.weeksFile && fs.existsSync(path.join(dataDir, entry.weeksFile)) &&
+        !hasCompressedVariants(path.join(dataDir, entry.weeksFile))) {
+        writeJsonIfChanged(path.join(dataDir, entry.weeksFile), readWeeks(dataDir, entry), { compressed: true });
     }
+    return changed;
 }
 
 /**
- * Fetch data for a single season
+ * Fetch and save a season's box scores, returning the manifest fields for them
+ * (plus changed: whether the saved lineups differ from the last build)
  */
-async function fetchSeasonData(year) {
-    const url = buildUrl(year);
-    const isLegacy = year < LEGACY_CUTOFF_YEAR;
+async function buildWeeks(config, dataDir, year, seasonData, onRetry, capabilities) {
+    const weeks = await fetchWeeksData(config, year, seasonData, onRetry, capabilities);
+    const weeksFile = getWeeksFile(year);
+    const changed = writeJsonIfChanged(path.join(dataDir, weeksFile), weeks, { compressed: true });
+
+    return { weeksFile, weekCount: Object.keys(weeks.scoringPeriods).length, changed };
+}
 
-    console.log(`  Fetching ${year} (${isLegacy ? 'legacy' : 'new'} API)...`);
+// League config overrides: flag -> config key and value parser
+const CONFIG_FLAGS = {
+    '--league': ['leagueId', value => value],
+    '--from': ['startYear', value => parseInt(value)],
+    '--to': ['endYear', value => parseInt(value)],
+    '--views': ['views', value => value.split(',').filter(Boolean)],
+    '--legacy-views': ['legacyViews', value => value.split(',').filter(Boolean)],
+    '--weekly-views': ['weeklyViews', value => value.split(',').filter(Boolean)],
+    '--out': ['outDir', value => value]
+};
+
+/**
+ * Parse command line flags
+ * --force            refetch every season
+ * --force 2016,2017  refetch specific seasons even if complete
+ * --restart          discard the checkpoint of an interrupted run
+ * --slug keeper      build a league other than the default one
+ * --league, --from, --to, --views, --legacy-views, --weekly-views, --out override league.config.json
+ *   (as "--from 2015" or "--from=2015")
+ */
+function parseArgs(argv) {
+    const options = { forceAll: false, forceYears: new Set(), restart: false, slug: null, overrides: {} };
 
-    let data = await fetchWithCookies(url);
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
 
-    // Legacy API returns an array, extract first element
-    if (isLegacy && Array.isArray(data)) {
-        data = data[0] || {};
+        if (CONFIG_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`${flag} needs a value`);
+            }
+            const [key, parse] = CONFIG_FLAGS[flag];
+            options.overrides[key] = parse(value);
+        } else if (flag === '--slug') {
+            options.slug = inlineValue !== undefined ? inlineValue : argv[++i];
+        } else if (argv[i] === '--force') {
+            const next = argv[i + 1];
+            if (next && /^\d{4}(,\d{4})*$/.test(next)) {
+                next.split(',').forEach(y => options.forceYears.add(parseInt(y)));
+                i++;
+            } else {
+                options.forceAll = true;
+            }
+        } else if (argv[i].startsWith('--force=')) {
+            argv[i].slice('--force='.length).split(',').forEach(y => options.forceYears.add(parseInt(y)));
+        } else if (argv[i] === '--restart') {
+            options.restart = true;
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
     }
 
-    return data;
+    return options;
 }
 
 /**
@@ -110,81 +226,350 @@ function delay(ms) {
 }
 
 /**
- * Main build function
+ * Load the checkpoint left by an interrupted run of the same league and years
+ * Returns null when there is nothing to resume
+ */
+function loadCheckpoint(config) {
+    const checkpointPath = path.join(config.outDir, CHECKPOINT_FILE);
+    if (!fs.existsSync(checkpointPath)) return null;
+
+    try {
+        const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf-8'));
+        if (checkpoint.leagueId !== config.leagueId ||
+            checkpoint.startYear !== config.startYear ||
+            checkpoint.endYear !== config.endYear) {
+            console.log('Ignoring checkpoint from a run with different settings');
+            return null;
+        }
+        return checkpoint;
+    } catch (e) {
+        console.warn(`Ignoring unreadable checkpoint: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Take the build lock for a data directory, so a scheduled rebuild in server.js
+ * and a manual prebuild never write the same files at once
+ * A lock left by a process that no longer exists is taken over
  */
-async function build() {
+function acquireLock(dataDir) {
+    const lockPath = path.join(dataDir, LOCK_FILE);
+    try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        const pid = parseInt(fs.readFileSync(lockPath, 'utf-8'));
+        if (isProcessRunning(pid)) {
+            throw new Error(`Another build (pid ${pid}) is writing ${dataDir}`);
+        }
+        fs.writeFileSync(lockPath, String(process.pid));
+    }
+    return () => fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Check whether a process ID belongs to a running process
+ */
+function isProcessRunning(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * Build a league's static data
+ * config: a resolved league config (see league-config.js)
+ * options: { forceAll, forceYears: [years], restart }
+ * Every file is replaced atomically and the manifest is written last, so a
+ * reader never sees a half-built data directory. The manifest's meta.version
+ * goes up whenever a season's data actually changed.
+ * Returns { manifestPath, manifest, fetchedCount, skippedCount, staleYears, failedYears, changed }
+ */
+async function build(config, options = {}) {
+    const dataDir = config.outDir;
+    options = {
+        forceAll: !!options.forceAll,
+        forceYears: new Set(options.forceYears || []),
+        restart: !!options.restart
+    };
+
     console.log('========================================');
     console.log('  Fantasy Football Data Pre-Builder');
     console.log('========================================');
-    console.log(`League ID: ${CONFIG.leagueId}`);
-    console.log(`Years: ${CONFIG.startYear} - ${CONFIG.currentYear}`);
+    console.log(`League: ${config.name} (${config.slug}, ID ${config.leagueId})`);
+    console.log(`Years: ${config.startYear} - ${config.endYear}`);
+    console.log(`Data directory: ${dataDir}`);
+    if (options.forceAll) {
+        console.log('Forcing refetch of every season');
+    } else if (options.forceYears.size > 0) {
+        console.log(`Forcing refetch of: ${[...options.forceYears].join(', ')}`);
+    }
     console.log('');
 
     // Create data directory if it doesn't exist
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-        console.log(`Created data directory: ${DATA_DIR}`);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        console.log(`Created data directory: ${dataDir}`);
     }
 
-    const allData = {};
+    const releaseLock = acquireLock(dataDir);
+    try {
+        return await buildLocked(config, options);
+    } finally {
+        releaseLock();
+    }
+}
+
+/**
+ * Build step of build(), run while holding the data directory's lock
+ */
+async function buildLocked(config, options) {
+    const dataDir = config.outDir;
+
+    const previousManifest = readManifest(dataDir);
+    // The league's rules say which ESPN endpoint each season comes from
+    try {
+        parser.setLeagueRules(readLeagueRules(dataDir));
+    } catch (error) {
+        console.warn(`! League rules ignored - ${error.message}`);
+        parser.setLeagueRules(null);
+    }
+    const capabilities = readCapabilities(dataDir);
+    if (capabilities) {
+        console.log(`Using probe results from ${capabilities.generatedAt}`);
+        console.log('');
+    }
+    const manifestSeasons = previousManifest?.seasons || {};
     const startTime = Date.now();
-    let successCount = 0;
-    let errorCount = 0;
+    let fetchedCount = 0;
+    let skippedCount = 0;
+    let resumedCount = 0;
+    let changed = false;
+    const staleYears = [];
+    const failedYears = [];
+
+    // Resume an interrupted run: seasons it already fetched aren't fetched again
+    const checkpointPath = path.join(dataDir, CHECKPOINT_FILE);
+    if (options.restart && fs.existsSync(checkpointPath)) {
+        fs.unlinkSync(checkpointPath);
+    }
+    const checkpoint = (!options.restart && loadCheckpoint(config)) || {
+        leagueId: config.leagueId,
+        startYear: config.startYear,
+        endYear: config.endYear,
+        startedAt: new Date().toISOString(),
+        seasons: {},
+        changed: {}, // year -> whether the run rewrote that season's files
+        retries: {}
+    };
+    if (Object.keys(checkpoint.seasons).length > 0) {
+        console.log(`Resuming run started ${checkpoint.startedAt} (${Object.keys(checkpoint.seasons).length} seasons already fetched)`);
+        console.log('');
+    }
+
+    // Fetch each season that can still change
+    for (let year = config.startYear; year <= config.endYear; year++) {
+        const previous = manifestSeasons[year];
+        const forced = options.forceAll || options.forceYears.has(year);
+        const hasFile = previous?.file && fs.existsSync(path.join(dataDir, previous.file));
+        const hasWeeks = !wantsWeeks(config, year) ||
+            (previous?.weeksFile && fs.existsSync(path.join(dataDir, previous.weeksFile)));
+
+        // Seasons imported from Sleeper, Yahoo or by hand (any source but ESPN) aren't fetched from ESPN
+        if (previous?.source && previous.source !== 'espn') {
+            if (hasFile) changed = upgradeSavedSeason(dataDir, previous) || changed;
+            skippedCount++;
+            console.log(`    ○ ${year}: imported from ${previous.source}, skipped`);
+            continue;
+        }
+
+        if (checkpoint.seasons[year]) {
+            manifestSeasons[year] = checkpoint.seasons[year];
+            // The interrupted run already rewrote these files; checkpoints without the flag may have too
+            changed = changed || (checkpoint.changed?.[year] ?? true);
+            resumedCount++;
+            console.log(`    ○ ${year}: fetched by interrupted run, skipped`);
+            continue;
+        }
+
+        if (!forced && previous?.complete && hasFile && hasWeeks) {
+            changed = upgradeSavedSeason(dataDir, previous) || changed;
+            skippedCount++;
+            console.log(`    ○ ${year}: complete, skipped (fetched ${previous.fetchedAt})`);
+            continue;
+        }
+
+        const onRetry = (attempt, wait, error) => {
+            checkpoint.retries[year] = (checkpoint.retries[year] || 0) + 1;
+            console.warn(`    ↻ ${year}: ${error.message} - retry ${attempt}/${RETRY_OPTIONS.retries} in ${(wait / 1000).toFixed(1)}s`);
+        };
 
-    // Fetch each season
-    for (let year = CONFIG.startYear; year <= CONFIG.currentYear; year++) {
         try {
-            allData[year] = await fetchSeasonData(year);
-            successCount++;
+            if (!forced && previous?.complete && hasFile) {
+                // Finished season from an older build - only its box scores are missing
+                const { changed: weeksChanged, ...weeks } = await buildWeeks(config, dataDir, year, readSeason(dataDir, previous), onRetry, capabilities);
+                changed = changed || weeksChanged;
+                manifestSeasons[year] = { ...previous, ...weeks };
+                fetchedCount++;
+
+                checkpoint.seasons[year] = manifestSeasons[year];
+                checkpoint.changed = { ...checkpoint.changed, [year]: !!weeksChanged };
+                writeJsonAtomic(checkpointPath, checkpoint);
+
+                console.log(`    ✓ ${year}: ${weeks.weekCount} weeks of box scores added`);
+                await delay(500);
+                continue;
+            }
+
+            const data = await fetchSeasonData(config, year, onRetry, capabilities);
+            const { changed: weeksChanged, ...weeks } = wantsWeeks(config, year)
+                ? await buildWeeks(config, dataDir, year, data, onRetry, capabilities)
+                : {};
+            const file = getSeasonFile(year);
+            // Weeks are built from the full response; the saved season only keeps what the site reads
+            const seasonChanged = writeJsonIfChanged(path.join(dataDir, file), slimSeason(data), { compressed: true });
+            changed = changed || seasonChanged || !!weeksChanged;
 
-            const teams = allData[year].teams?.length || 0;
-            const matchups = allData[year].schedule?.length || 0;
-            console.log(`    ✓ ${year}: ${teams} teams, ${matchups} matchups`);
+            const teams = data.teams?.length || 0;
+            const matchups = data.schedule?.length || 0;
+            const complete = isSeasonComplete(year, data);
+            manifestSeasons[year] = {
+                file,
+                fetchedAt: new Date().toISOString(),
+                complete,
+                teams,
+                matchups,
+                ...weeks
+            };
+            fetchedCount++;
+
+            checkpoint.seasons[year] = manifestSeasons[year];
+            checkpoint.changed = { ...checkpoint.changed, [year]: seasonChanged || !!weeksChanged };
+            writeJsonAtomic(checkpointPath, checkpoint);
+
+            const weekNote = weeks.weekCount ? `, ${weeks.weekCount} weeks of box scores` : '';
+            console.log(`    ✓ ${year}: ${teams} teams, ${matchups} matchups${weekNote}${complete ? '' : ' (in progress)'}`);
 
             // Rate limiting - be nice to ESPN's servers
             await delay(500);
         } catch (error) {
-            console.error(`    ✗ ${year}: ${error.message}`);
-            allData[year] = { error: error.message };
-            errorCount++;
+            const attempts = error.attempts || 1;
+            console.error(`    ✗ ${year}: ${error.message} (after ${attempts} attempt${attempts === 1 ? '' : 's'})`);
+            // Keep the last good copy of the season if there is one
+            if (hasFile) {
+                staleYears.push(year);
+                manifestSeasons[year] = {
+                    ...previous,
+                    stale: true,
+                    lastError: error.message,
+                    lastAttemptAt: new Date().toISOString()
+                };
+            } else {
+                failedYears.push(year);
+                manifestSeasons[year] = { error: error.message };
+            }
+            writeJsonAtomic(checkpointPath, checkpoint);
         }
     }
 
-    // Save the combined data
-    const outputPath = path.join(DATA_DIR, 'league-data.json');
-    const outputData = {
+    // Save the manifest
+    const manifestPath = path.join(dataDir, MANIFEST_FILE);
+    // Clients poll the version (server.js /api/data-version) and reload when it moves
+    const previousVersion = previousManifest?.meta?.version || 0;
+    const manifest = {
         meta: {
-            leagueId: CONFIG.leagueId,
+            version: changed || !previousVersion ? previousVersion + 1 : previousVersion,
+            slug: config.slug,
+            name: config.name,
+            leagueId: config.leagueId,
             generatedAt: new Date().toISOString(),
-            startYear: CONFIG.startYear,
-            endYear: CONFIG.currentYear,
-            successCount,
-            errorCount
+            startYear: config.startYear,
+            endYear: config.endYear,
+            seasonCount: Object.values(manifestSeasons).filter(s => s.file).length,
+            fetchedCount: fetchedCount + resumedCount,
+            skippedCount,
+            errorCount: staleYears.length + failedYears.length,
+            staleYears,
+            failedYears
         },
-        seasons: allData
+        seasons: manifestSeasons
     };
 
-    fs.writeFileSync(outputPath, JSON.stringify(outputData));
+    writeJsonAtomic(manifestPath, manifest, { compressed: true });
+
+    // The run finished - the next one starts fresh
+    if (fs.existsSync(checkpointPath)) {
+        fs.unlinkSync(checkpointPath);
+    }
 
-    const fileSizeKB = (fs.statSync(outputPath).size / 1024).toFixed(1);
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    const retriedYears = Object.keys(checkpoint.retries);
 
     console.log('');
     console.log('========================================');
     console.log('  Build Complete!');
     console.log('========================================');
-    console.log(`✓ Seasons fetched: ${successCount}`);
-    if (errorCount > 0) {
-        console.log(`✗ Seasons failed: ${errorCount}`);
+    console.log(`✓ Seasons fetched: ${fetchedCount}${resumedCount > 0 ? ` (+${resumedCount} from interrupted run)` : ''}`);
+    console.log(`○ Seasons skipped (complete or imported): ${skippedCount}`);
+    if (retriedYears.length > 0) {
+        console.log(`↻ Seasons retried: ${retriedYears.map(y => `${y} (${checkpoint.retries[y]}x)`).join(', ')}`);
+    }
+    if (staleYears.length > 0) {
+        console.log(`! Seasons stale (kept last good copy): ${staleYears.join(', ')}`);
+    }
+    if (failedYears.length > 0) {
+        console.log(`✗ Seasons failed (no data): ${failedYears.join(', ')}`);
     }
-    console.log(`Output: ${outputPath}`);
-    console.log(`File size: ${fileSizeKB} KB`);
+    console.log(`Output: ${manifestPath} (version ${manifest.meta.version}${changed ? '' : ', no data changed'})`);
     console.log(`Time elapsed: ${elapsed}s`);
     console.log('');
+
+    printDataCheck(dataDir);
+
+    return { manifestPath, manifest, fetchedCount, skippedCount, staleYears, failedYears, changed };
 }
 
-// Run the build
-build().catch(error => {
-    console.error('Build failed:', error);
-    process.exit(1);
-});
+/**
+ * Check every saved season with LeagueValidator and print what it finds
+ * Problems are reported, not fatal - the data is still the best copy there is
+ */
+function printDataCheck(dataDir) {
+    const { manifest, seasons } = loadSeasons(dataDir);
+    let ownerRegistry = null;
+    try {
+        ownerRegistry = readOwnerRegistry(dataDir);
+    } catch (error) {
+        console.warn(`! Owner registry ignored - ${error.message}`);
+    }
+    let leagueRules = null;
+    try {
+        leagueRules = readLeagueRules(dataDir);
+    } catch (error) {
+        console.warn(`! League rules ignored - ${error.message}`);
+    }
+    const { seasonCount, issues, counts } = LeagueValidator.validateLeague(
+        LeagueModel.normalizeLeague(seasons, manifest.meta, ownerRegistry, leagueRules));
+
+    console.log(`Data check: ${seasonCount} seasons, ${counts.error} errors, ${counts.warning} warnings, ${counts.info} notes`);
+    [...issues]
+        .sort((a, b) => a.year - b.year)
+        .forEach(issue => console.log(`  ${LeagueValidator.formatIssue(issue)}`));
+    console.log('');
+}
+
+module.exports = { build };
+
+// Run the build when called from the command line (server.js requires it instead)
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadLeagueConfig(options.overrides, options.slug);
+    build(config, options).catch(error => {
+        console.error('Build failed:', error);
+        process.exit(1);
+    });
+}
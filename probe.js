@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * ESPN capability probe
+ *
+ * Finds out, for each season of the configured league, which host and
+ * endpoint ESPN answers on and which views return usable data. Results are
+ * written to capabilities.json in the league's data directory, where
+ * prebuild.js, server.js and the site (getFullSeasonData) use them to pick
+ * the endpoint and views per year.
+ *
+ * Usage: node probe.js                 Probe every configured season
+ *        node probe.js 2012,2017       Probe specific seasons (merged into the existing file)
+ *        node probe.js --slug keeper   Probe another configured league
+ *
+ * Private leagues need ESPN_S2 and ESPN_SWID set in the environment.
+ */
+
+const path = require('path');
+const { HOSTS, ENDPOINTS, getDefaultRoute, fetchSeason } = require('./espn-client.js');
+const { CAPABILITIES_FILE, writeJsonAtomic, readCapabilities } = require('./static-data.js');
+const { loadLeagueConfig } = require('./league-config.js');
+
+// Views to test, with the check that the response actually holds their data
+const PROBE_VIEWS = {
+    mTeam: data => data.teams?.length > 0,
+    mMatchup: data => data.schedule?.length > 0,
+    mMatchupScore: data => data.schedule?.some(m => m.home?.totalPoints !== undefined),
+    mStandings: data => data.teams?.some(t => t.record?.overall),
+    mSettings: data => !!data.settings?.scheduleSettings,
+    mRoster: data => data.teams?.some(t => t.roster?.entries?.length > 0),
+    mDraftDetail: data => data.draftDetail?.picks?.length > 0,
+    mTransactions2: data => data.transactions?.length > 0,
+    kona_player_info: data => data.members?.length > 0 || data.players?.length > 0
+};
+
+// One quick retry - the probe is about what works, not about riding out outages
+const PROBE_RETRY = { retries: 1, baseDelay: 1000 };
+
+/**
+ * Delay helper
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Host/endpoint combinations to try for a season
+ * The year's default endpoint is tried on every host before the other endpoint
+ */
+function getCandidateRoutes(year) {
+    const preferred = getDefaultRoute(year);
+    const endpoints = [preferred.endpoint, ...ENDPOINTS.filter(e => e !== preferred.endpoint)];
+    const hosts = [preferred.host, ...HOSTS.filter(h => h !== preferred.host)];
+
+    return endpoints.flatMap(endpoint => hosts.map(host => ({ host, endpoint })));
+}
+
+/**
+ * Find the first route that returns teams for a season
+ */
+async function findRoute(leagueId, year) {
+    const failures = [];
+
+    for (const route of getCandidateRoutes(year)) {
+        try {
+            const data = await fetchSeason(leagueId, year, ['mTeam'], null, { ...PROBE_RETRY, route });
+            if (data.seasonId && data.seasonId !== year) {
+                failures.push(`${route.host}/${route.endpoint}: returned ${data.seasonId}`);
+            } else if (PROBE_VIEWS.mTeam(data)) {
+                return { route, failures };
+            } else {
+                failures.push(`${route.host}/${route.endpoint}: no teams`);
+            }
+        } catch (error) {
+            failures.push(`${route.host}/${route.endpoint}: ${error.statusCode || error.code || error.message}`);
+        }
+        await delay(300);
+    }
+
+    return { route: null, failures };
+}
+
+/**
+ * Test each view on the working route
+ * Status per view: 'ok' (usable data), 'empty' (answered without data) or 'error'
+ */
+async function probeViews(leagueId, year, route) {
+    const views = {};
+
+    for (const [view, hasData] of Object.entries(PROBE_VIEWS)) {
+        try {
+            const data = await fetchSeason(leagueId, year, [view], null, { ...PROBE_RETRY, route });
+            views[view] = hasData(data) ? 'ok' : 'empty';
+        } catch (error) {
+            views[view] = 'error';
+        }
+        await delay(300);
+    }
+
+    return views;
+}
+
+/**
+ * Parse command line flags
+ * 2012,2017      only probe these seasons
+ * --slug keeper  probe another configured league
+ */
+function parseArgs(argv) {
+    const options = { years: null, slug: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (/^\d{4}(,\d{4})*$/.test(argv[i])) {
+            options.years = argv[i].split(',').map(y => parseInt(y));
+        } else if (argv[i] === '--slug') {
+            options.slug = argv[++i];
+        } else if (argv[i].startsWith('--slug=')) {
+            options.slug = argv[i].slice('--slug='.length);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Main probe function
+ */
+async function probe() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadLeagueConfig({}, options.slug);
+    const years = options.years || Array.from(
+        { length: config.endYear - config.startYear + 1 },
+        (_, i) => config.startYear + i
+    );
+
+    console.log('========================================');
+    console.log('  ESPN Capability Probe');
+    console.log('========================================');
+    console.log(`League: ${config.name} (${config.slug}, ID ${config.leagueId})`);
+    console.log(`Seasons: ${years.join(', ')}`);
+    console.log('');
+
+    // Merge into earlier results so probing one season keeps the rest
+    const previous = readCapabilities(config.outDir);
+    const seasons = previous?.leagueId === config.leagueId ? previous.seasons : {};
+    const viewNames = Object.keys(PROBE_VIEWS);
+
+    for (const year of years) {
+        console.log(`${year}:`);
+        const { route, failures } = await findRoute(config.leagueId, year);
+        failures.forEach(failure => console.log(`    ✗ ${failure}`));
+
+        if (!route) {
+            seasons[year] = { error: 'No host/endpoint returned data', probedAt: new Date().toISOString() };
+            console.log('    ✗ no working endpoint');
+            continue;
+        }
+
+        console.log(`    ✓ ${route.host}/${route.endpoint}`);
+        const views = await probeViews(config.leagueId, year, route);
+        seasons[year] = { ...route, views, probedAt: new Date().toISOString() };
+
+        const marks = { ok: '✓', empty: '○', error: '✗' };
+        console.log(`      ${viewNames.map(v => `${marks[views[v]]} ${v}`).join('  ')}`);
+    }
+
+    const capabilities = {
+        leagueId: config.leagueId,
+        generatedAt: new Date().toISOString(),
+        seasons
+    };
+    const outputPath = path.join(config.outDir, CAPABILITIES_FILE);
+    writeJsonAtomic(outputPath, capabilities);
+
+    const failed = years.filter(y => seasons[y].error);
+    console.log('');
+    console.log('✓ usable data   ○ answered without data   ✗ failed');
+    if (failed.length > 0) {
+        console.log(`No working endpoint for: ${failed.join(', ')}`);
+    }
+    console.log(`Output: ${outputPath}`);
+}
+
+// Run the probe
+probe().catch(error => {
+    console.error('Probe failed:', error);
+    process.exit(1);
+});
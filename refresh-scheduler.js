@@ -0,0 +1,181 @@
+/**
+ * In-season auto-refresh for server.js
+ * While the NFL season is on, rebuilds each league's static data (the same
+ * build prebuild.js runs) on a schedule, so the site keeps up without anyone
+ * running prebuild by hand:
+ *
+ *   - every Tuesday from 6am Eastern, after Monday night and stat corrections
+ *   - every few minutes (AUTO_REFRESH_INTERVAL) during game windows:
+ *     Thursday and Monday nights, and Sunday afternoon and evening
+ *
+ * Only seasons that can still change are refetched (see prebuild.js). When a
+ * build changes the data its manifest version goes up, and open pages reload.
+ */
+
+const { getCurrentSeasonYear } = require('./espn-client.js');
+const { build } = require('./prebuild.js');
+
+// Kickoff times are Eastern whatever the server's own time zone is
+const NFL_TIME_ZONE = 'America/New_York';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const WEEKLY_REFRESH = { day: 2, hour: 6 }; // Tuesday 6am
+const GAME_WINDOWS = [
+    { day: 4, from: 20, to: 24 }, // Thursday night
+    { day: 0, from: 13, to: 24 }, // Sunday
+    { day: 1, from: 20, to: 24 }  // Monday night
+];
+
+// Fantasy seasons run September to early January
+const SEASON_MONTHS = [9, 10, 11, 12, 1];
+
+const DEFAULT_INTERVAL = 30 * 60 * 1000;
+const TICK_INTERVAL = 60 * 1000;
+
+/**
+ * Day of week, hour, month and date in NFL (Eastern) time
+ */
+function getNflTime(now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: NFL_TIME_ZONE,
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+
+    return {
+        day: WEEKDAYS.indexOf(parts.weekday),
+        hour: parseInt(parts.hour),
+        month: parseInt(parts.month),
+        date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+/**
+ * Check whether the NFL season is on (any day in SEASON_MONTHS)
+ */
+function isSeasonMonth(now = new Date()) {
+    return SEASON_MONTHS.includes(getNflTime(now).month);
+}
+
+/**
+ * Check whether games are being played (a game window during the season)
+ */
+function isGameTime(now = new Date()) {
+    const nflTime = getNflTime(now);
+    return SEASON_MONTHS.includes(nflTime.month) && GAME_WINDOWS.some(w =>
+        w.day === nflTime.day && nflTime.hour >= w.from && nflTime.hour < w.to);
+}
+
+class RefreshScheduler {
+    /**
+     * leagues: resolved league configs (see league-config.js)
+     * options: { interval: ms between game-window refreshes }
+     */
+    constructor(leagues, options = {}) {
+        this.leagues = leagues;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.timer = null;
+        this.running = false;
+        this.lastRunAt = 0;
+        this.lastWeeklyDate = null; // Eastern date of the last Tuesday refresh
+    }
+
+    /**
+     * Check whether games are being played (also used by live-scores.js)
+     */
+    static isGameTime(now = new Date()) {
+        return isGameTime(now);
+    }
+
+    /**
+     * Check whether the NFL season is on (also used by live-scores.js)
+     */
+    static isSeasonMonth(now = new Date()) {
+        return isSeasonMonth(now);
+    }
+
+    /**
+     * Start checking the schedule once a minute
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+        // Never keep the process alive just for the scheduler
+        this.timer.unref();
+        console.log(`Auto-refresh on: Tuesdays from ${WEEKLY_REFRESH.hour}am ET, every ${Math.round(this.interval / 60000)} min during games`);
+    }
+
+    /**
+     * Stop the schedule (a refresh already running finishes)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Why a refresh is due now ('weekly' or 'game window'), or null if it isn't
+     */
+    getDueReason(now = new Date()) {
+        const nflTime = getNflTime(now);
+        if (!SEASON_MONTHS.includes(nflTime.month)) return null;
+
+        if (nflTime.day === WEEKLY_REFRESH.day && nflTime.hour >= WEEKLY_REFRESH.hour &&
+            this.lastWeeklyDate !== nflTime.date) {
+            return 'weekly';
+        }
+
+        if (isGameTime(now) && now.getTime() - this.lastRunAt >= this.interval) {
+            return 'game window';
+        }
+
+        return null;
+    }
+
+    /**
+     * Run a refresh if one is due (and none is already running)
+     */
+    async tick(now = new Date()) {
+        if (this.running) return;
+        const reason = this.getDueReason(now);
+        if (!reason) return;
+
+        if (reason === 'weekly') {
+            this.lastWeeklyDate = getNflTime(now).date;
+        }
+        await this.refresh(reason);
+    }
+
+    /**
+     * Rebuild every league whose range includes the current season
+     * A failed league is logged and doesn't stop the others
+     */
+    async refresh(reason = 'manual') {
+        if (this.running) return;
+        this.running = true;
+        this.lastRunAt = Date.now();
+
+        const currentYear = getCurrentSeasonYear();
+        const active = this.leagues.filter(league => league.endYear >= currentYear);
+        console.log(`Auto-refresh (${reason}): ${active.map(l => l.slug).join(', ') || 'no league in season'}`);
+
+        try {
+            for (const league of active) {
+                try {
+                    const result = await build(league);
+                    console.log(`Auto-refresh: ${league.slug} ${result.changed ? `updated to version ${result.manifest.meta.version}` : 'unchanged'}`);
+                } catch (error) {
+                    console.error(`Auto-refresh failed for ${league.slug}:`, error.message);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = RefreshScheduler;
@@ -7,12 +7,20 @@
  * 3. Close Game Performance - Clutch factor in tight matchups
  * 4. Strength of Schedule - Opponent quality analysis
  *
- * Designed to be portable to the main app once finalized.
+ * Reads the normalized league model from league-model.js, so its teams, owners
+ * and playoff flags match StatsEngine's. Co-owners and merged accounts come
+ * from the league's owner registry (see owner-registry.js).
  */
 
+// Win % and record format come from LeagueModel (a global in the browser; this file's Node copy is in reports/)
+const AnalyticsLeagueModel = typeof LeagueModel !== 'undefined' ? LeagueModel : require('../league-model.js');
+
 class AdvancedAnalytics {
-    constructor(leagueData, options = {}) {
-        this.rawData = leagueData;
+    constructor(league, options = {}) {
+        if (!league || !league.modelVersion) {
+            throw new Error('AdvancedAnalytics needs a normalized league model (LeagueModel.normalizeLeague)');
+        }
+        this.league = league;
         this.seasons = {};
         this.allMatchups = [];
         this.teamRegistry = new Map(); // teamId -> team info (per season)
@@ -22,20 +30,12 @@ class AdvancedAnalytics {
         this.weeklyScores = {}; // year -> week -> teamId -> score
         this.regularSeasonWeeks = {}; // year -> Set of regular season week numbers
 
-        // Configuration
-        this.minYear = options.minYear || 2011;
-
-        // Co-owner mappings: combine these owner IDs into a single entity
-        // Trevor Rawls & Sam Herting share a team
-        this.coOwnerMappings = {
-            '{961895BA-00CF-4DC9-8A38-61A2924B6643}': '{CE0D2B52-E1CA-40D4-8D2B-52E1CAD0D43A}' // Sam -> Trevor (combined)
-        };
-        this.coOwnerDisplayName = {
-            '{CE0D2B52-E1CA-40D4-8D2B-52E1CAD0D43A}': 'Trevor Rawls & Sam Herting'
-        };
+        // Configuration: seasons before minYear are left out (default: where the league's rules start)
+        this.minYear = options.minYear || league.firstYear || null;
 
         // Track current owners (from most recent season)
         this.currentOwnerIds = new Set();
+        this.latestYear = null;
 
         this.parseData();
         this.identifyCurrentOwners();
@@ -49,15 +49,11 @@ class AdvancedAnalytics {
         for (const year of years) {
             const season = this.seasons[year];
             if (season && season.teams && season.teams.length > 0) {
+                // Owner IDs are already canonical (co-owners share one) - see owner-registry.js
                 season.teams.forEach(t => {
-                    if (t.owners) {
-                        t.owners.forEach(id => {
-                            // Use canonical ID for co-owners
-                            const canonicalId = this.getCanonicalOwnerId(id);
-                            this.currentOwnerIds.add(canonicalId);
-                        });
-                    }
+                    t.ownerIds.forEach(id => this.currentOwnerIds.add(id));
                 });
+                this.latestYear = year;
                 break; // Only process most recent valid season
             }
         }
@@ -65,62 +61,50 @@ class AdvancedAnalytics {
 
     /**
      * Check if an owner ID is a current owner
+     * The owner registry's active years win over the most recent season
      */
     isCurrentOwner(ownerId) {
-        const canonicalId = this.getCanonicalOwnerId(ownerId);
-        return this.currentOwnerIds.has(canonicalId);
-    }
-
-    /**
-     * Get the canonical owner ID (handles co-owner mappings)
-     */
-    getCanonicalOwnerId(ownerId) {
-        return this.coOwnerMappings[ownerId] || ownerId;
+        const activeYears = this.league.owners[ownerId]?.activeYears;
+        if (activeYears && this.latestYear) {
+            return (!activeYears.from || activeYears.from <= this.latestYear) &&
+                (!activeYears.to || activeYears.to >= this.latestYear);
+        }
+        return this.currentOwnerIds.has(ownerId);
     }
 
     /**
-     * Parse the raw ESPN data into usable structures
+     * Index the league model's seasons into lookup structures
      */
     parseData() {
-        for (const [yearStr, seasonData] of Object.entries(this.rawData.seasons)) {
-            if (seasonData.error) continue;
-
+        for (const [yearStr, season] of Object.entries(this.league.seasons)) {
             const year = parseInt(yearStr);
 
             // Skip seasons before minYear
-            if (year < this.minYear) continue;
-            const teams = seasonData.teams || [];
-            const schedule = seasonData.schedule || [];
-            const members = seasonData.members || [];
-
-            // Build member lookup for this season
-            const memberLookup = new Map();
-            members.forEach(m => {
-                const name = this.formatOwnerName(m.firstName, m.lastName);
-                memberLookup.set(m.id, name);
-                // Store in global owner registry
-                if (!this.ownerNames.has(m.id)) {
-                    this.ownerNames.set(m.id, name);
+            if (this.minYear && year < this.minYear) continue;
+            const teams = season.teams;
+            const owners = season.owners;
+
+            // Store in global owner registry
+            owners.forEach(owner => {
+                if (!this.ownerNames.has(owner.id)) {
+                    this.ownerNames.set(owner.id, owner.displayName);
                 }
             });
 
             // Register teams and map to owners
             teams.forEach(team => {
                 const teamId = team.id;
-                const teamName = team.name || team.location + ' ' + team.nickname || `Team ${teamId}`;
-                const abbrev = team.abbrev || teamName.substring(0, 4).toUpperCase();
-                const ownerIds = team.owners || [];
-                const primaryOwnerId = ownerIds[0] || null;
+                const primaryOwnerId = team.ownerId;
 
                 // Store team info with year context
                 const teamKey = `${year}-${teamId}`;
                 this.teamRegistry.set(teamKey, {
                     id: teamId,
                     year: year,
-                    name: teamName,
-                    abbrev: abbrev,
+                    name: team.teamName,
+                    abbrev: team.abbreviation,
                     ownerId: primaryOwnerId,
-                    ownerName: primaryOwnerId ? (memberLookup.get(primaryOwnerId) || 'Unknown Owner') : 'Unknown Owner'
+                    ownerName: team.ownerName || 'Unknown Owner'
                 });
 
                 // Map team to owner for this year
@@ -137,77 +121,59 @@ class AdvancedAnalytics {
                 this.regularSeasonWeeks[year] = new Set();
             }
 
-            // Parse matchups
+            // Parse matchups (games not played yet are left out)
             const seasonMatchups = [];
-            schedule.forEach(matchup => {
-                if (matchup.away && matchup.home &&
-                    matchup.away.totalPoints !== undefined &&
-                    matchup.home.totalPoints !== undefined) {
-
-                    const week = matchup.matchupPeriodId;
-                    const isPlayoff = matchup.playoffTierType !== undefined &&
-                                     matchup.playoffTierType !== 'NONE';
-
-                    // Track regular season weeks
-                    if (!isPlayoff) {
-                        this.regularSeasonWeeks[year].add(week);
-                    }
+            season.matchups.filter(m => m.isComplete).forEach(matchup => {
+                const week = matchup.matchupPeriodId;
+                const isPlayoff = matchup.isPlayoff;
 
-                    // Store weekly scores
-                    if (!this.weeklyScores[year][week]) {
-                        this.weeklyScores[year][week] = {};
-                    }
-                    this.weeklyScores[year][week][matchup.home.teamId] = matchup.home.totalPoints;
-                    this.weeklyScores[year][week][matchup.away.teamId] = matchup.away.totalPoints;
-
-                    const matchupData = {
-                        year,
-                        week,
-                        isPlayoff,
-                        homeTeamId: matchup.home.teamId,
-                        awayTeamId: matchup.away.teamId,
-                        homeScore: matchup.home.totalPoints,
-                        awayScore: matchup.away.totalPoints,
-                        margin: Math.abs(matchup.home.totalPoints - matchup.away.totalPoints),
-                        winnerId: matchup.home.totalPoints > matchup.away.totalPoints ?
-                                  matchup.home.teamId : matchup.away.teamId,
-                        loserId: matchup.home.totalPoints > matchup.away.totalPoints ?
-                                 matchup.away.teamId : matchup.home.teamId
-                    };
-
-                    seasonMatchups.push(matchupData);
-                    this.allMatchups.push(matchupData);
+                // Track regular season weeks
+                if (!isPlayoff) {
+                    this.regularSeasonWeeks[year].add(week);
+                }
+
+                // Store weekly scores
+                if (!this.weeklyScores[year][week]) {
+                    this.weeklyScores[year][week] = {};
                 }
+                this.weeklyScores[year][week][matchup.homeTeamId] = matchup.homeScore;
+                this.weeklyScores[year][week][matchup.awayTeamId] = matchup.awayScore;
+
+                const matchupData = {
+                    year,
+                    week,
+                    isPlayoff,
+                    homeTeamId: matchup.homeTeamId,
+                    awayTeamId: matchup.awayTeamId,
+                    homeScore: matchup.homeScore,
+                    awayScore: matchup.awayScore,
+                    margin: Math.abs(matchup.homeScore - matchup.awayScore),
+                    // Both null on a tie
+                    winnerId: matchup.winnerTeamId,
+                    loserId: matchup.loserTeamId,
+                    isTie: matchup.isTie
+                };
+
+                seasonMatchups.push(matchupData);
+                this.allMatchups.push(matchupData);
             });
 
             this.seasons[year] = {
                 teams,
-                members,
+                owners,
                 matchups: seasonMatchups,
                 standings: teams.map(t => ({
                     teamId: t.id,
-                    wins: t.record?.overall?.wins || 0,
-                    losses: t.record?.overall?.losses || 0,
-                    pointsFor: t.record?.overall?.pointsFor || 0,
-                    pointsAgainst: t.record?.overall?.pointsAgainst || 0
-                })).sort((a, b) => b.wins - a.wins || b.pointsFor - a.pointsFor)
+                    wins: t.record.wins,
+                    losses: t.record.losses,
+                    ties: t.record.ties,
+                    pointsFor: t.record.pointsFor,
+                    pointsAgainst: t.record.pointsAgainst
+                })).sort((a, b) => AnalyticsLeagueModel.winPct(b) - AnalyticsLeagueModel.winPct(a) || b.pointsFor - a.pointsFor)
             };
         }
     }
 
-    /**
-     * Format owner name as "FirstName L." (first name + last initial)
-     */
-    formatOwnerName(firstName, lastName) {
-        const capitalize = (str) => {
-            if (!str) return '';
-            return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
-        };
-        const first = capitalize(firstName);
-        const lastInitial = lastName ? lastName.charAt(0).toUpperCase() + '.' : '';
-        return `${first} ${lastInitial}`.trim();
-    }
-
     /**
      * Get team name by ID and year
      */
@@ -241,22 +207,16 @@ class AdvancedAnalytics {
      * Get owner name by owner ID
      */
     getOwnerNameById(ownerId) {
-        // Check for co-owner display name first
-        const canonicalId = this.getCanonicalOwnerId(ownerId);
-        if (this.coOwnerDisplayName[canonicalId]) {
-            return this.coOwnerDisplayName[canonicalId];
-        }
-        return this.ownerNames.get(canonicalId) || 'Unknown Owner';
+        // Registry names (co-owners included) are already on the season's owners
+        return this.ownerNames.get(ownerId) || 'Unknown Owner';
     }
 
     /**
-     * Get the primary owner ID for a team in a year (returns canonical ID for co-owners)
+     * Get the primary owner ID for a team in a year (co-owners share one ID)
      */
     getOwnerId(teamId, year) {
         const teamKey = `${year}-${teamId}`;
-        const ownerId = this.teamToOwner.get(teamKey) || null;
-        // Return canonical owner ID (handles co-owner mappings)
-        return ownerId ? this.getCanonicalOwnerId(ownerId) : null;
+        return this.teamToOwner.get(teamKey) || null;
     }
 
     // ========================================
@@ -298,16 +258,17 @@ class AdvancedAnalytics {
                 teamIds.forEach(teamId => {
                     const myScore = scores[teamId];
                     let winsThisWeek = 0;
+                    let tiesThisWeek = 0;
 
-                    // Count wins against ALL teams
+                    // Count wins (and ties) against ALL teams
                     teamIds.forEach(oppId => {
-                        if (oppId !== teamId && myScore > scores[oppId]) {
-                            winsThisWeek++;
-                        }
+                        if (oppId === teamId) return;
+                        if (myScore > scores[oppId]) winsThisWeek++;
+                        else if (myScore === scores[oppId]) tiesThisWeek++;
                     });
 
-                    // Expected wins = wins / possible opponents
-                    const expectedWinsThisWeek = winsThisWeek / (numTeams - 1);
+                    // Expected wins = wins / possible opponents, a tie counting as half a win
+                    const expectedWinsThisWeek = (winsThisWeek + tiesThisWeek / 2) / (numTeams - 1);
 
                     // Use ownerId for all-time, teamId for single year
                     const key = year ? teamId : (this.getOwnerId(teamId, yr) || `team-${teamId}`);
@@ -316,9 +277,11 @@ class AdvancedAnalytics {
                         results.set(key, {
                             expectedWins: 0,
                             actualWins: 0,
+                            actualTies: 0,
                             totalWeeks: 0,
                             allPlayWins: 0,
                             allPlayLosses: 0,
+                            allPlayTies: 0,
                             seasons: new Set(),
                             teamIds: new Set(),
                             years: new Set()
@@ -328,7 +291,8 @@ class AdvancedAnalytics {
                     const record = results.get(key);
                     record.expectedWins += expectedWinsThisWeek;
                     record.allPlayWins += winsThisWeek;
-                    record.allPlayLosses += (numTeams - 1 - winsThisWeek);
+                    record.allPlayLosses += (numTeams - 1 - winsThisWeek - tiesThisWeek);
+                    record.allPlayTies += tiesThisWeek;
                     record.totalWeeks++;
                     record.seasons.add(yr);
                     record.teamIds.add(teamId);
@@ -342,8 +306,18 @@ class AdvancedAnalytics {
             this.allMatchups.filter(m => m.year === year && !m.isPlayoff) :
             this.allMatchups.filter(m => !m.isPlayoff);
 
+        const keyFor = (teamId, matchYear) => year ? teamId : (this.getOwnerId(teamId, matchYear) || `team-${teamId}`);
         matchupsToUse.forEach(m => {
-            const key = year ? m.winnerId : (this.getOwnerId(m.winnerId, m.year) || `team-${m.winnerId}`);
+            if (m.isTie) {
+                [m.homeTeamId, m.awayTeamId].forEach(teamId => {
+                    const key = keyFor(teamId, m.year);
+                    if (results.has(key)) {
+                        results.get(key).actualTies++;
+                    }
+                });
+                return;
+            }
+            const key = keyFor(m.winnerId, m.year);
             if (results.has(key)) {
                 results.get(key).actualWins++;
             }
@@ -365,7 +339,8 @@ class AdvancedAnalytics {
                 return;
             }
 
-            const luck = record.actualWins - record.expectedWins;
+            // A tie is half a win, as in expectedWins
+            const luck = record.actualWins + record.actualTies / 2 - record.expectedWins;
             const luckPerSeason = luck / record.seasons.size;
 
             // Determine display name
@@ -388,11 +363,16 @@ class AdvancedAnalytics {
                 key,
                 displayName,
                 actualWins: record.actualWins,
+                actualTies: record.actualTies,
                 expectedWins: parseFloat(record.expectedWins.toFixed(2)),
                 luckScore: parseFloat(luck.toFixed(2)),
                 luckPerSeason: parseFloat(luckPerSeason.toFixed(2)),
-                allPlayRecord: `${record.allPlayWins}-${record.allPlayLosses}`,
-                allPlayWinPct: parseFloat((record.allPlayWins / (record.allPlayWins + record.allPlayLosses) * 100).toFixed(1)),
+                allPlayRecord: AnalyticsLeagueModel.formatRecord({
+                    wins: record.allPlayWins, losses: record.allPlayLosses, ties: record.allPlayTies
+                }),
+                allPlayWinPct: parseFloat((AnalyticsLeagueModel.winPct({
+                    wins: record.allPlayWins, losses: record.allPlayLosses, ties: record.allPlayTies
+                }) * 100).toFixed(1)),
                 seasonsPlayed: record.seasons.size
             });
         });
@@ -541,13 +521,16 @@ class AdvancedAnalytics {
             const isCloseGame = m.margin <= closeThreshold;
             const isBlowout = m.margin > blowoutThreshold;
 
-            [m.winnerId, m.loserId].forEach(teamId => {
-                const key = year ? teamId : (this.getOwnerId(teamId, m.year) || `team-${teamId}`);
+            const keyFor = (teamId) => year ? teamId : (this.getOwnerId(teamId, m.year) || `team-${teamId}`);
+
+            [m.homeTeamId, m.awayTeamId].forEach(teamId => {
+                const key = keyFor(teamId);
 
                 if (!stats.has(key)) {
                     stats.set(key, {
                         closeWins: 0,
                         closeLosses: 0,
+                        closeTies: 0,
                         blowoutWins: 0,
                         blowoutLosses: 0,
                         totalCloseGames: 0,
@@ -559,8 +542,18 @@ class AdvancedAnalytics {
                 stats.get(key).years.add(m.year);
             });
 
-            const winnerKey = year ? m.winnerId : (this.getOwnerId(m.winnerId, m.year) || `team-${m.winnerId}`);
-            const loserKey = year ? m.loserId : (this.getOwnerId(m.loserId, m.year) || `team-${m.loserId}`);
+            // A tie is the closest game there is: it counts as close for both sides
+            if (m.isTie) {
+                [m.homeTeamId, m.awayTeamId].forEach(teamId => {
+                    const teamStats = stats.get(keyFor(teamId));
+                    teamStats.closeTies++;
+                    teamStats.totalCloseGames++;
+                });
+                return;
+            }
+
+            const winnerKey = keyFor(m.winnerId);
+            const loserKey = keyFor(m.loserId);
 
             const winnerStats = stats.get(winnerKey);
             const loserStats = stats.get(loserKey);
@@ -589,7 +582,7 @@ class AdvancedAnalytics {
             }
 
             const closeWinPct = data.totalCloseGames > 0 ?
-                (data.closeWins / data.totalCloseGames * 100) : 0;
+                (AnalyticsLeagueModel.winPct({ wins: data.closeWins, losses: data.closeLosses, ties: data.closeTies }) * 100) : 0;
 
             const avgWinMargin = data.avgMarginInWins.length > 0 ?
                 data.avgMarginInWins.reduce((a, b) => a + b, 0) / data.avgMarginInWins.length : 0;
@@ -598,9 +591,11 @@ class AdvancedAnalytics {
                 data.avgMarginInLosses.reduce((a, b) => a + b, 0) / data.avgMarginInLosses.length : 0;
 
             // Clutch factor: close game win % compared to overall win %
-            const totalWins = data.closeWins + data.blowoutWins;
-            const totalLosses = data.closeLosses + data.blowoutLosses;
-            const overallWinPct = (totalWins / (totalWins + totalLosses)) * 100;
+            const overallWinPct = AnalyticsLeagueModel.winPct({
+                wins: data.closeWins + data.blowoutWins,
+                losses: data.closeLosses + data.blowoutLosses,
+                ties: data.closeTies
+            }) * 100;
             const clutchFactor = closeWinPct - overallWinPct;
 
             // Determine display name
@@ -621,6 +616,7 @@ class AdvancedAnalytics {
                 displayName,
                 closeWins: data.closeWins,
                 closeLosses: data.closeLosses,
+                closeTies: data.closeTies,
                 closeGameWinPct: parseFloat(closeWinPct.toFixed(1)),
                 blowoutWins: data.blowoutWins,
                 blowoutLosses: data.blowoutLosses,
@@ -660,18 +656,19 @@ class AdvancedAnalytics {
         // Build team averages and records
         matchupsToUse.forEach(m => {
             [
-                { id: m.homeTeamId, score: m.homeScore, won: m.homeScore > m.awayScore, year: m.year },
-                { id: m.awayTeamId, score: m.awayScore, won: m.awayScore > m.homeScore, year: m.year }
-            ].forEach(({ id, score, won, year: matchYear }) => {
+                { id: m.homeTeamId, score: m.homeScore, year: m.year },
+                { id: m.awayTeamId, score: m.awayScore, year: m.year }
+            ].forEach(({ id, score, year: matchYear }) => {
                 const key = year ? id : (this.getOwnerId(id, matchYear) || `team-${id}`);
 
                 if (!teamAvgScores.has(key)) {
                     teamAvgScores.set(key, { scores: [], years: new Set() });
-                    teamRecords.set(key, { wins: 0, losses: 0 });
+                    teamRecords.set(key, { wins: 0, losses: 0, ties: 0 });
                 }
                 teamAvgScores.get(key).scores.push(score);
                 teamAvgScores.get(key).years.add(matchYear);
-                if (won) teamRecords.get(key).wins++;
+                if (m.isTie) teamRecords.get(key).ties++;
+                else if (m.winnerId === id) teamRecords.get(key).wins++;
                 else teamRecords.get(key).losses++;
             });
         });
@@ -716,7 +713,7 @@ class AdvancedAnalytics {
             // Calculate average opponent win percentage
             const oppWinPcts = data.opponentKeys.map(oppKey => {
                 const rec = teamRecords.get(oppKey);
-                return rec ? rec.wins / (rec.wins + rec.losses) : 0.5;
+                return rec ? AnalyticsLeagueModel.winPct(rec) : 0.5;
             });
             const avgOppWinPct = oppWinPcts.reduce((a, b) => a + b, 0) / oppWinPcts.length;
 
@@ -724,7 +721,7 @@ class AdvancedAnalytics {
             const sosIndex = (avgOppScore / leagueAvg) * 100;
 
             const myRecord = teamRecords.get(key);
-            const myWinPct = myRecord ? myRecord.wins / (myRecord.wins + myRecord.losses) : 0;
+            const myWinPct = myRecord ? AnalyticsLeagueModel.winPct(myRecord) : 0;
 
             // Determine display name
             let displayName;
@@ -763,9 +760,8 @@ class AdvancedAnalytics {
     // ========================================
 
     /**
-     * Find the highest single-game score with proper week filtering:
-     * - 2011-2017: Only weeks 1-12 count
-     * - 2018+: All regular season weeks count
+     * Find the highest single-game score in the regular season, counting only
+     * the weeks each season's rules count (countedWeeks).
      * Only includes current owners.
      */
     getHighestSingleGameScore() {
@@ -781,8 +777,9 @@ class AdvancedAnalytics {
                 // Skip non-regular season weeks
                 if (!regularWeeks.has(week)) return;
 
-                // For 2011-2017, only count weeks 1-12
-                if (year <= 2017 && week > 12) return;
+                // Some seasons only count their first weeks for records
+                const countedWeeks = this.league.seasons[year]?.rules?.countedWeeks;
+                if (countedWeeks && week > countedWeeks) return;
 
                 Object.entries(scores).forEach(([teamIdStr, score]) => {
                     const teamId = parseInt(teamIdStr);
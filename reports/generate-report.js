@@ -5,23 +5,31 @@
  * Loads league data, runs the AdvancedAnalytics module, and generates
  * a styled HTML report with visualizations.
  *
- * Usage: node reports/generate-report.js
- * Output: reports/advanced-analytics-report.html
+ * Usage: node reports/generate-report.js [slug]
+ * Output: reports/advanced-analytics-report.html (advanced-analytics-report-<slug>.html
+ *         when a league slug is given)
  */
 
 const fs = require('fs');
 const path = require('path');
 const AdvancedAnalytics = require('./advanced-analytics.js');
+const LeagueModel = require('../league-model.js');
+const { loadSeasons, readOwnerRegistry, readLeagueRules } = require('../static-data.js');
+const { loadLeagueConfig } = require('../league-config.js');
 
-// Load league data
-const dataPath = path.join(__dirname, '..', 'data', 'league-data.json');
+// Load league data (manifest.json + seasons/*.json in the configured data directory)
+const slug = process.argv[2] || null;
+const dataPath = loadLeagueConfig({}, slug).outDir;
 console.log('Loading league data from:', dataPath);
 
-const rawData = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
-console.log(`Loaded data: ${rawData.meta.successCount} seasons, generated ${rawData.meta.generatedAt}`);
+const { manifest, seasons } = loadSeasons(dataPath);
+// Co-owners and merged accounts come from the league's owners.json (see owner-registry.js),
+// each season's rules from its rules.json (see league-rules.js)
+const league = LeagueModel.normalizeLeague(seasons, manifest.meta, readOwnerRegistry(dataPath), readLeagueRules(dataPath));
+console.log(`Loaded data: ${Object.keys(league.seasons).length} seasons, generated ${league.meta.generatedAt}`);
 
 // Run analytics
-const analytics = new AdvancedAnalytics(rawData);
+const analytics = new AdvancedAnalytics(league);
 const report = analytics.generateFullReport(5, 30); // close game ≤5 pts, blowout >30 pts
 
 console.log(`\nAnalysis complete:`);
@@ -30,10 +38,10 @@ console.log(`  - Matchups analyzed: ${report.meta.totalMatchups}`);
 console.log(`  - Seasons: ${report.meta.seasonsAnalyzed}`);
 
 // Generate HTML Report
-const html = generateHTML(report, rawData.meta);
+const html = generateHTML(report, league.meta);
 
 // Write output
-const outputPath = path.join(__dirname, 'advanced-analytics-report.html');
+const outputPath = path.join(__dirname, slug ? `advanced-analytics-report-${slug}.html` : 'advanced-analytics-report.html');
 fs.writeFileSync(outputPath, html);
 console.log(`\n✓ Report generated: ${outputPath}`);
 
@@ -418,7 +426,7 @@ function generateHTML(report, dataMeta) {
             <h2><span class="icon">🎲</span> Luck Analysis</h2>
             <p class="description">
                 Luck is measured using the "All-Play" method: how many wins would you have each week if you played ALL teams?
-                Expected wins are calculated from this, and compared against actual wins. Positive = lucky, Negative = unlucky.
+                Expected wins are calculated from this, and compared against actual wins. A tie counts as half a win on both sides. Positive = lucky, Negative = unlucky.
             </p>
 
             <div class="highlight-box">
@@ -478,7 +486,7 @@ function generateHTML(report, dataMeta) {
                         <tr class="${i === 0 || i === report.luck.allTime.length - 1 ? 'highlight-row' : ''}">
                             <td class="rank">${i + 1}</td>
                             <td class="team-name">${team.displayName}</td>
-                            <td>${team.actualWins}</td>
+                            <td>${team.actualWins + team.actualTies / 2}</td>
                             <td>${team.expectedWins.toFixed(1)}</td>
                             <td class="${team.luckScore >= 0 ? 'positive' : 'negative'}">
                                 ${team.luckScore >= 0 ? '+' : ''}${team.luckScore.toFixed(1)}
@@ -616,6 +624,7 @@ function generateHTML(report, dataMeta) {
                         <th>Team</th>
                         <th>Close Wins</th>
                         <th>Close Losses</th>
+                        <th>Close Ties</th>
                         <th>Close Win %</th>
                         <th>Overall Win %</th>
                         <th>Clutch Factor</th>
@@ -629,6 +638,7 @@ function generateHTML(report, dataMeta) {
                             <td class="team-name">${team.displayName}</td>
                             <td>${team.closeWins}</td>
                             <td>${team.closeLosses}</td>
+                            <td>${team.closeTies}</td>
                             <td>${team.closeGameWinPct}%</td>
                             <td>${team.overallWinPct}%</td>
                             <td class="${team.clutchFactor >= 0 ? 'positive' : 'negative'}">
@@ -818,12 +828,13 @@ function generateHTML(report, dataMeta) {
                 return parseFloat(pctMatch[1]);
             }
 
-            // Handle W-L records like "10-5" - calculate win percentage
-            const recordMatch = cleaned.match(/^(\\d+)-(\\d+)$/);
+            // Handle records like "10-5" or "10-5-1" - calculate win percentage (a tie is half a win)
+            const recordMatch = cleaned.match(/^(\\d+)-(\\d+)(?:-(\\d+))?$/);
             if (recordMatch) {
                 const wins = parseInt(recordMatch[1]);
                 const losses = parseInt(recordMatch[2]);
-                return wins / (wins + losses) || 0;
+                const ties = parseInt(recordMatch[3] || 0);
+                return (wins + ties / 2) / (wins + losses + ties) || 0;
             }
 
             // Try parsing as float
@@ -0,0 +1,166 @@
+/**
+ * Browser season cache (IndexedDB)
+ * Keeps each league's raw seasons as one record per season, so a season can be
+ * updated on its own and a league's full history (rosters, player info) fits -
+ * localStorage runs out of quota long before that.
+ *
+ * Season record: { key: 'league:year', league, year, data, version, cacheVersion, savedAt }
+ * League record: { league, timestamp, cacheVersion }
+ *
+ * league is the storage namespace (league slug, '' for the default league) and
+ * version is the static file's fetch time, when the season came from prebuild.
+ * Records written with another cacheVersion are never returned and are deleted
+ * on the next read.
+ */
+
+class SeasonStore {
+    static DB_NAME = 'fantasy-league-cache';
+    static DB_VERSION = 1;
+
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether the browser can store seasons at all (private windows may not)
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database once, creating its stores on first use
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SeasonStore.DB_NAME, SeasonStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const seasons = db.createObjectStore('seasons', { keyPath: 'key' });
+                    seasons.createIndex('league', 'league');
+                    db.createObjectStore('leagues', { keyPath: 'league' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Season cache is open in an older version of the site'));
+            });
+            // Let a later call try again
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a transaction over the given stores, resolving once it commits
+     * work(stores) queues requests and may return a value to resolve with
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Season cache transaction aborted'));
+            Promise.resolve(work(stores)).then(value => { result = value; }, error => {
+                tx.abort();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Read a league's cached seasons
+     * Returns { seasons, versions, timestamp } for records written
+     * with cacheVersion, or null if nothing usable is cached
+     */
+    async load(league, cacheVersion) {
+        const { seasonRecords, leagueRecord } = await this.transaction(['seasons', 'leagues'], 'readonly', (stores) => {
+            const seasonsRequest = stores.seasons.index('league').getAll(league);
+            const leagueRequest = stores.leagues.get(league);
+            return new Promise(resolve => {
+                leagueRequest.onsuccess = () => resolve({
+                    seasonRecords: seasonsRequest.result,
+                    leagueRecord: leagueRequest.result
+                });
+            });
+        });
+
+        const stale = seasonRecords.filter(record => record.cacheVersion !== cacheVersion);
+        if (stale.length > 0 || (leagueRecord && leagueRecord.cacheVersion !== cacheVersion)) {
+            console.log('Season cache version mismatch, dropping old records...');
+            await this.deleteRecords(league, stale.map(record => record.key), leagueRecord?.cacheVersion !== cacheVersion);
+        }
+
+        const current = seasonRecords.filter(record => record.cacheVersion === cacheVersion);
+        if (current.length === 0) return null;
+
+        return {
+            seasons: Object.fromEntries(current.map(record => [record.year, record.data])),
+            versions: Object.fromEntries(current.filter(record => record.version != null)
+                .map(record => [record.year, record.version])),
+            timestamp: leagueRecord?.cacheVersion === cacheVersion ? leagueRecord.timestamp : null
+        };
+    }
+
+    /**
+     * Write a league's seasons
+     * options: { versions: year -> version, years: only write these seasons (default all), cacheVersion }
+     * Cached seasons missing from seasons are removed, so the cache matches what was loaded.
+     */
+    async save(league, seasons, options = {}) {
+        const { versions = {}, years = Object.keys(seasons), cacheVersion } = options;
+        const savedAt = Date.now();
+
+        await this.transaction(['seasons', 'leagues'], 'readwrite', (stores) => {
+            for (const year of years) {
+                if (!seasons[year]) continue;
+                stores.seasons.put({
+                    key: `${league}:${year}`,
+                    league,
+                    year: String(year),
+                    data: seasons[year],
+                    version: versions[year] ?? null,
+                    cacheVersion,
+                    savedAt
+                });
+            }
+            stores.leagues.put({ league, timestamp: savedAt, cacheVersion });
+
+            const keysRequest = stores.seasons.index('league').getAllKeys(league);
+            keysRequest.onsuccess = () => {
+                keysRequest.result
+                    .filter(key => !(key.slice(league.length + 1) in seasons))
+                    .forEach(key => stores.seasons.delete(key));
+            };
+        });
+    }
+
+    /**
+     * Delete season records (and optionally the league record) for a league
+     */
+    async deleteRecords(league, keys, includeLeague = false) {
+        await this.transaction(['seasons', 'leagues'], 'readwrite', (stores) => {
+            keys.forEach(key => stores.seasons.delete(key));
+            if (includeLeague) stores.leagues.delete(league);
+        });
+    }
+
+    /**
+     * Remove everything cached for a league
+     */
+    async clear(league) {
+        await this.transaction(['seasons', 'leagues'], 'readwrite', (stores) => {
+            const keysRequest = stores.seasons.index('league').getAllKeys(league);
+            keysRequest.onsuccess = () => keysRequest.result.forEach(key => stores.seasons.delete(key));
+            stores.leagues.delete(league);
+        });
+    }
+}
+
+// Expose as global for the browser
+if (typeof window !== 'undefined') {
+    window.SeasonStore = SeasonStore;
+}
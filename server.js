@@ -2,18 +2,100 @@
  * Simple proxy server for ESPN Fantasy Football API
  * Handles CORS and cookie authentication for private leagues
  *
+ * League endpoints (the server builds the ESPN URL - callers can't pick the target):
+ *   GET /api/league/:leagueId/season/:year?views=mTeam,mMatchup
+ *   GET /api/league/:leagueId/season/:year/week/:scoringPeriodId?views=mMatchupScore
+ * Only configured leagues are served, for seasons in their startYear..endYear
+ * and the views in their views, legacyViews and weeklyViews.
+ *   GET /api/config - the configured leagues (league.config.json, see league-config.js)
+ *   GET /api/data-version/:slug - the version of a league's static data, polled by open pages
+ *   GET /api/live?league=:slug - live scores for the current week as Server-Sent Events (see live-scores.js)
+ *
+ * Every configured league gets its own copy of the site at /league/:slug/, with
+ * /league/:slug/data/* served from that league's outDir. The default league is
+ * also served at / with its data at /data/*.
+ *
+ * If probe.js has written a league's capabilities.json, ESPN requests for a
+ * season go to the host/endpoint recorded there. Otherwise the endpoint comes
+ * from the league's rules.json (espnEndpoint, see league-rules.js).
+ *
  * Usage: node server.js
  * Server binds to PORT environment variable (required for Railway)
+ *
+ * ESPN cookies are read from the environment (see espn-client.js) and never sent to the browser:
+ *   ESPN_S2, ESPN_SWID                      - credentials used for every league
+ *   ESPN_S2_<leagueId>, ESPN_SWID_<leagueId> - per-league override
+ *
+ * ESPN responses are cached on disk (see espn-cache.js):
+ *   ESPN_CACHE_DIR - cache location (default .cache/espn)
+ *   ESPN_CACHE_TTL - seconds before the current season is refetched (default 300)
+ * Completed seasons never expire and are served as immutable; the current
+ * season is served with ETag/Last-Modified so browsers revalidate.
+ *
+ * During the NFL season each league's static data is rebuilt on a schedule
+ * (see refresh-scheduler.js), and open pages reload when its version changes:
+ *   AUTO_REFRESH=off       - turn the scheduler off
+ *   AUTO_REFRESH_INTERVAL  - minutes between refreshes during games (default 30)
+ *
+ * Live scores poll ESPN only while someone is watching:
+ *   LIVE_POLL_INTERVAL - seconds between polls during games (default 60, at least 30)
+ *
+ * Offline development (see espn-client.js):
+ *   ESPN_FIXTURES=record|replay - save ESPN responses as fixtures / serve only from them
+ *   ESPN_ORIGIN                 - fetch from a stand-in server such as mock-espn.js
  */
 
 const http = require('http');
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const zlib = require('zlib');
+const { fetchSeason, isSeasonComplete, getDefaultRoute } = require('./espn-client.js');
+const ESPNCache = require('./espn-cache.js');
+const { CONFIG_FILE, getConfigPath, loadLeagues, getPublicConfig } = require('./league-config.js');
+const { MANIFEST_FILE, CAPABILITIES_FILE, RULES_FILE, readCapabilities, readManifest, readLeagueRules } = require('./static-data.js');
+const RefreshScheduler = require('./refresh-scheduler.js');
+const LiveScores = require('./live-scores.js');
 
 const PORT = process.env.PORT || 3000;
 
+const { defaultLeague, leagues } = loadLeagues();
+
+// Files in the site root that must never be served
+const PRIVATE_FILES = new Set([getConfigPath(), path.join(__dirname, CONFIG_FILE)]);
+
+const espnCache = new ESPNCache({
+    dir: process.env.ESPN_CACHE_DIR || path.join(__dirname, '.cache', 'espn'),
+    ttl: (parseInt(process.env.ESPN_CACHE_TTL) || 300) * 1000
+});
+
+// "leagueId/year" of seasons known to be finished, learned from any response for that season
+const completedSeasons = new Set();
+
+// In-flight ESPN fetches, so simultaneous visitors share one request
+const pendingFetches = new Map();
+
+// A visitor is waiting on the response, so retry a transient ESPN failure once, quickly
+const SERVER_RETRY = { retries: 1, baseDelay: 500 };
+
+// probe.js results per data directory, reloaded when the file changes
+const capabilitiesCache = new Map();
+
+// Manifest meta per data directory, reloaded when the file changes
+const manifestMetaCache = new Map();
+
+// League rules (rules.json) per data directory, reloaded when the file changes
+const leagueRulesCache = new Map();
+
+// Open live score streams, across every league
+const MAX_LIVE_CLIENTS = 200;
+
+const scheduler = process.env.AUTO_REFRESH === 'off'
+    ? null
+    : new RefreshScheduler(Object.values(leagues), {
+        interval: (parseInt(process.env.AUTO_REFRESH_INTERVAL) || 30) * 60 * 1000
+    });
+
 // MIME types for serving static files
 const MIME_TYPES = {
     '.html': 'text/html',
@@ -29,73 +111,347 @@ const MIME_TYPES = {
     '.ico': 'image/x-icon'
 };
 
+// Types worth compressing; prebuilt data files also have .br/.gz copies on disk
+const COMPRESSIBLE_TYPES = new Set(['.html', '.css', '.js', '.json', '.svg']);
+const MIN_COMPRESS_SIZE = 1024;
+
+// Supported encodings, best first
+const ENCODINGS = [
+    { name: 'br', extension: '.br', createStream: () => zlib.createBrotliCompress({
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } // Fast enough to compress on the fly
+    }) },
+    { name: 'gzip', extension: '.gz', createStream: () => zlib.createGzip() }
+];
+
+// Images rarely change; everything else is revalidated (data files change with every build)
+const LONG_CACHE_TYPES = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif', '.ico']);
+
+// /api/league/:leagueId/season/:year[/week/:scoringPeriodId]
+const LEAGUE_ROUTE = /^\/api\/league\/(\d{1,12})\/season\/(\d{4})(?:\/week\/(\d{1,2}))?\/?$/;
+const MAX_VIEWS = 12;
+
+// /api/data-version/:slug
+const DATA_VERSION_ROUTE = /^\/api\/data-version\/([a-z0-9-]+)\/?$/;
+
+// /league/:slug[/...] - a configured league's copy of the site
+const LEAGUE_PAGE_ROUTE = /^\/league\/([a-z0-9-]+)(\/.*)?$/;
+
+/**
+ * Encodings the client accepts (Accept-Encoding), leaving out any it refuses with q=0
+ */
+function getAcceptedEncodings(req) {
+    const accepted = new Set();
+    for (const part of String(req.headers['accept-encoding'] || '').split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        if (name && (!q || parseFloat(q.slice(2)) > 0)) {
+            accepted.add(name);
+        }
+    }
+    if (accepted.has('*')) {
+        ENCODINGS.forEach(encoding => accepted.add(encoding.name));
+    }
+    return accepted;
+}
+
+/**
+ * Check the request's validators (If-None-Match, then If-Modified-Since) against a response
+ */
+function isNotModified(req, etag, lastModifiedMs) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = req.headers['if-modified-since'];
+    return ifNoneMatch
+        ? ifNoneMatch.split(',').map(t => t.trim()).includes(etag)
+        : !!ifModifiedSince && Math.floor(lastModifiedMs / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000);
+}
+
 /**
  * Serve static files from the current directory
+ * Text files are sent compressed when the client accepts it - from the .br/.gz
+ * copies prebuild writes next to data files, or compressed on the fly - with
+ * validators so unchanged files come back as 304s.
  */
 function serveStaticFile(req, res, filePath) {
     const ext = path.extname(filePath).toLowerCase();
     const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
 
-    fs.readFile(filePath, (err, content) => {
-        if (err) {
-            if (err.code === 'ENOENT') {
+    fs.stat(filePath, (err, stats) => {
+        if (err || !stats.isFile()) {
+            if (!err || err.code === 'ENOENT' || err.code === 'ENOTDIR') {
                 res.writeHead(404);
                 res.end('File not found');
             } else {
                 res.writeHead(500);
                 res.end('Server error: ' + err.code);
             }
-        } else {
-            res.writeHead(200, { 'Content-Type': mimeType });
-            res.end(content);
+            return;
+        }
+
+        // Weak: the same ETag covers every encoding of the file
+        const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+        const compressible = COMPRESSIBLE_TYPES.has(ext);
+        const headers = {
+            'Content-Type': mimeType,
+            'ETag': etag,
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Cache-Control': LONG_CACHE_TYPES.has(ext) ? 'public, max-age=86400' : 'no-cache'
+        };
+        if (compressible) {
+            headers['Vary'] = 'Accept-Encoding';
+        }
+
+        if (isNotModified(req, etag, stats.mtimeMs)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
         }
+
+        const accepted = getAcceptedEncodings(req);
+        const encoding = compressible && stats.size >= MIN_COMPRESS_SIZE
+            ? ENCODINGS.find(e => accepted.has(e.name))
+            : null;
+        if (!encoding) {
+            res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+            streamFile(res, filePath);
+            return;
+        }
+
+        // A precompressed copy older than its file is left over from an earlier build
+        const precompressed = ENCODINGS.filter(variant => accepted.has(variant.name)).find(variant => {
+            try {
+                return fs.statSync(filePath + variant.extension).mtimeMs >= stats.mtimeMs;
+            } catch (e) {
+                return false;
+            }
+        });
+        if (precompressed) {
+            const { size } = fs.statSync(filePath + precompressed.extension);
+            res.writeHead(200, { ...headers, 'Content-Encoding': precompressed.name, 'Content-Length': size });
+            streamFile(res, filePath + precompressed.extension);
+            return;
+        }
+
+        res.writeHead(200, { ...headers, 'Content-Encoding': encoding.name });
+        streamFile(res, filePath, encoding.createStream());
     });
 }
 
 /**
- * Proxy requests to ESPN API
+ * Pipe a file to the response, through transform (a compressor) if given
+ * The headers are already sent, so a read error can only drop the connection
+ */
+function streamFile(res, filePath, transform = null) {
+    const onError = (error) => {
+        console.error(`Error streaming ${filePath}:`, error.message);
+        res.destroy();
+    };
+    const source = fs.createReadStream(filePath).on('error', onError);
+    if (transform) {
+        source.pipe(transform.on('error', onError)).pipe(res);
+    } else {
+        source.pipe(res);
+    }
+}
+
+/**
+ * Send a JSON response with CORS headers
+ */
+function sendJSON(res, statusCode, body) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Configured league with an ESPN league ID, or null if no league uses it
  */
-function proxyESPNRequest(req, res, targetUrl, espnS2, swid) {
-    const parsedUrl = new URL(targetUrl);
-
-    const options = {
-        hostname: parsedUrl.hostname,
-        port: 443,
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: 'GET',
-        headers: {
-            'Accept': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+function findLeagueById(leagueId) {
+    return Object.values(leagues).find(l => l.leagueId === leagueId) || null;
+}
+
+/**
+ * Parse the comma-separated views query parameter
+ * Returns null unless every view is one the league is configured to fetch
+ */
+function parseViews(viewsParam, league) {
+    if (!viewsParam) return [];
+    const allowed = new Set([...league.views, ...league.legacyViews, ...league.weeklyViews]);
+    const views = String(viewsParam).split(',').map(v => v.trim()).filter(Boolean);
+    if (views.length > MAX_VIEWS || !views.every(v => allowed.has(v))) {
+        return null;
+    }
+    return views;
+}
+
+/**
+ * League rules timeline from a league's rules.json (null means the defaults)
+ */
+function getLeagueRules(league) {
+    const filePath = path.join(league.outDir, RULES_FILE);
+    let cached = leagueRulesCache.get(filePath);
+    try {
+        const { mtimeMs } = fs.statSync(filePath);
+        if (!cached || cached.mtimeMs !== mtimeMs) {
+            cached = { mtimeMs, rules: null };
+            leagueRulesCache.set(filePath, cached);
+            cached.rules = readLeagueRules(league.outDir);
         }
+    } catch (e) {
+        // Logged once per version of the file; a deleted file means the defaults again
+        if (e.code === 'ENOENT') {
+            leagueRulesCache.delete(filePath);
+        } else {
+            console.error(`League rules ignored - ${e.message}`);
+        }
+        return null;
+    }
+    return cached.rules;
+}
+
+/**
+ * ESPN host/endpoint for a season from the league's probe results,
+ * else the endpoint its rules give the year
+ * Returns null (use the year's default) for leagues that aren't configured
+ */
+function getSeasonRoute(leagueId, year) {
+    const league = findLeagueById(leagueId);
+    if (!league) return null;
+    const defaultRoute = getDefaultRoute(year, getLeagueRules(league));
+
+    const filePath = path.join(league.outDir, CAPABILITIES_FILE);
+    let cached = capabilitiesCache.get(filePath);
+    try {
+        const { mtimeMs } = fs.statSync(filePath);
+        if (!cached || cached.mtimeMs !== mtimeMs) {
+            cached = { mtimeMs, capabilities: readCapabilities(league.outDir) };
+            capabilitiesCache.set(filePath, cached);
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Failed to read ${filePath}:`, e.message);
+        }
+        return defaultRoute;
+    }
+
+    const season = cached.capabilities?.seasons?.[year];
+    return season?.host ? { host: season.host, endpoint: season.endpoint } : defaultRoute;
+}
+
+const liveScores = new LiveScores({
+    interval: (parseInt(process.env.LIVE_POLL_INTERVAL) || 60) * 1000,
+    getRoute: getSeasonRoute
+});
+
+/**
+ * Version and build time of a league's static data (null version before the first build)
+ */
+function getDataVersion(league) {
+    const filePath = path.join(league.outDir, MANIFEST_FILE);
+    let cached = manifestMetaCache.get(filePath);
+    try {
+        const { mtimeMs } = fs.statSync(filePath);
+        if (!cached || cached.mtimeMs !== mtimeMs) {
+            cached = { mtimeMs, meta: readManifest(league.outDir)?.meta || {} };
+            manifestMetaCache.set(filePath, cached);
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Failed to read ${filePath}:`, e.message);
+        }
+        cached = { meta: {} };
+    }
+
+    return {
+        slug: league.slug,
+        version: cached.meta.version || null,
+        generatedAt: cached.meta.generatedAt || null,
+        refreshing: !!scheduler?.running
     };
+}
+
+/**
+ * Get a season response from the disk cache, fetching from ESPN when missing or expired
+ * Falls back to a stale entry if ESPN is unreachable
+ */
+async function getSeasonEntry(leagueId, year, views, scoringPeriodId) {
+    const cached = await espnCache.get(leagueId, year, views, scoringPeriodId);
+    if (cached && espnCache.isFresh(cached)) {
+        return cached;
+    }
 
-    // Add cookies for private league access
-    if (espnS2 || swid) {
-        const cookies = [];
-        if (espnS2) cookies.push(`espn_s2=${espnS2}`);
-        if (swid) cookies.push(`SWID=${swid}`);
-        options.headers['Cookie'] = cookies.join('; ');
+    const key = espnCache.buildKey(leagueId, year, views, scoringPeriodId);
+    if (pendingFetches.has(key)) {
+        return pendingFetches.get(key);
     }
 
-    const proxyReq = https.request(options, (proxyRes) => {
-        // Set CORS headers
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-        res.setHeader('Content-Type', 'application/json');
+    const fetchPromise = (async () => {
+        try {
+            const data = await fetchSeason(leagueId, year, views, scoringPeriodId, {
+                ...SERVER_RETRY,
+                route: getSeasonRoute(leagueId, year)
+            });
+            const seasonKey = `${leagueId}/${year}`;
+            if (isSeasonComplete(year, data)) {
+                completedSeasons.add(seasonKey);
+            }
+            return espnCache.set(leagueId, year, views, scoringPeriodId, data, completedSeasons.has(seasonKey));
+        } catch (error) {
+            if (cached) {
+                console.warn(`Serving stale cache for ${key}: ${error.message}`);
+                return cached;
+            }
+            throw error;
+        } finally {
+            pendingFetches.delete(key);
+        }
+    })();
 
-        res.writeHead(proxyRes.statusCode);
+    pendingFetches.set(key, fetchPromise);
+    return fetchPromise;
+}
 
-        proxyRes.pipe(res);
-    });
+/**
+ * Send a cached ESPN response with validators
+ * Completed seasons are immutable; the current season must be revalidated
+ */
+function sendCachedJSON(req, res, entry) {
+    const lastModified = new Date(entry.fetchedAt).toUTCString();
 
-    proxyReq.on('error', (err) => {
-        console.error('Proxy request error:', err);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
-    });
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('ETag', entry.etag);
+    res.setHeader('Last-Modified', lastModified);
+    res.setHeader('Cache-Control', entry.complete
+        ? 'public, max-age=31536000, immutable'
+        : 'no-cache');
+
+    if (isNotModified(req, entry.etag, entry.fetchedAt)) {
+        res.writeHead(304);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(entry.data));
+}
 
-    proxyReq.end();
+/**
+ * Serve a league season (from cache or ESPN) to the browser
+ * Cookies are looked up server-side from the league ID
+ */
+async function handleLeagueRequest(req, res, leagueId, year, scoringPeriodId, views) {
+    try {
+        const entry = await getSeasonEntry(leagueId, year, views, scoringPeriodId);
+        sendCachedJSON(req, res, entry);
+    } catch (error) {
+        console.error(`ESPN request failed for league ${leagueId}, season ${year}:`, error.message);
+        const status = error.statusCode && error.statusCode >= 400 ? error.statusCode : 502;
+        if (error.retryAfterMs) {
+            res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000));
+        }
+        sendJSON(res, status, { error: error.message });
+    }
 }
 
 /**
@@ -108,36 +464,121 @@ const server = http.createServer((req, res) => {
     // Handle CORS preflight
     if (req.method === 'OPTIONS') {
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
         res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
         res.writeHead(204);
         res.end();
         return;
     }
 
-    // API proxy endpoint
-    if (pathname === '/api/espn') {
-        const targetUrl = parsedUrl.query.url;
-        const espnS2 = parsedUrl.query.espn_s2;
-        const swid = parsedUrl.query.swid;
+    // League data endpoints
+    const leagueMatch = pathname.match(LEAGUE_ROUTE);
+    if (leagueMatch) {
+        const [, leagueId, yearStr, weekStr] = leagueMatch;
+        const year = parseInt(yearStr);
+        const scoringPeriodId = weekStr ? parseInt(weekStr) : null;
+
+        if (req.method !== 'GET') {
+            sendJSON(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        // Only proxy the configured leagues and seasons - the server's ESPN cookies must not reach any other
+        const league = findLeagueById(leagueId);
+        if (!league || year < league.startYear || year > league.endYear) {
+            sendJSON(res, 404, { error: 'Unknown league or season' });
+            return;
+        }
+
+        const views = parseViews(parsedUrl.query.views, league);
+        if (!views) {
+            sendJSON(res, 400, { error: 'Invalid views parameter' });
+            return;
+        }
+
+        console.log(`ESPN request: league ${leagueId}, season ${year}${scoringPeriodId ? `, week ${scoringPeriodId}` : ''} [${views.join(',')}]`);
+        handleLeagueRequest(req, res, leagueId, year, scoringPeriodId, views);
+        return;
+    }
+
+    if (pathname === '/api/config') {
+        sendJSON(res, 200, {
+            defaultLeague,
+            leagues: Object.values(leagues).map(getPublicConfig)
+        });
+        return;
+    }
+
+    const versionMatch = pathname.match(DATA_VERSION_ROUTE);
+    if (versionMatch) {
+        const league = leagues[versionMatch[1]];
+        if (!league) {
+            sendJSON(res, 404, { error: 'Unknown league' });
+            return;
+        }
+        res.setHeader('Cache-Control', 'no-cache');
+        sendJSON(res, 200, getDataVersion(league));
+        return;
+    }
 
-        if (!targetUrl) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Missing url parameter' }));
+    if (pathname === '/api/live') {
+        const league = leagues[parsedUrl.query.league || defaultLeague];
+        if (!league) {
+            sendJSON(res, 404, { error: 'Unknown league' });
             return;
         }
+        // 204 tells EventSource not to reconnect - there is no season to follow
+        if (!liveScores.isLive(league)) {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (liveScores.getClientCount() >= MAX_LIVE_CLIENTS) {
+            sendJSON(res, 503, { error: 'Too many live connections' });
+            return;
+        }
+        liveScores.subscribe(league, req, res);
+        return;
+    }
 
-        console.log(`Proxying request to: ${targetUrl}`);
-        proxyESPNRequest(req, res, targetUrl, espnS2, swid);
+    if (pathname.startsWith('/api/')) {
+        sendJSON(res, 404, { error: 'Unknown API endpoint' });
         return;
     }
 
-    // Serve static files
-    let filePath = pathname === '/' ? '/index.html' : pathname;
-    filePath = path.join(__dirname, filePath);
+    // League pages share the site's files; only their data directory differs
+    let league = leagues[defaultLeague];
+    let sitePath = pathname;
+    const pageMatch = pathname.match(LEAGUE_PAGE_ROUTE);
+    if (pageMatch) {
+        const [, slug, rest] = pageMatch;
+        league = leagues[slug];
+        if (!league) {
+            res.writeHead(404);
+            res.end('Unknown league');
+            return;
+        }
+        if (!rest) {
+            res.writeHead(301, { 'Location': `/league/${slug}/` });
+            res.end();
+            return;
+        }
+        sitePath = rest;
+    }
+
+    // Serve static files - /data/ maps to the league's data directory
+    let rootDir = __dirname;
+    let filePath = sitePath === '/' ? '/index.html' : sitePath;
+    if (filePath.startsWith('/data/')) {
+        rootDir = league.outDir;
+        filePath = filePath.slice('/data'.length);
+    }
+    filePath = path.join(rootDir, filePath);
 
-    // Security: prevent directory traversal
-    if (!filePath.startsWith(__dirname)) {
+    // Security: prevent directory traversal, hide dotfiles (.cache, .env, .git) and the league config
+    if (!filePath.startsWith(rootDir) ||
+        pathname.split('/').some(part => part.startsWith('.')) ||
+        PRIVATE_FILES.has(filePath)) {
         res.writeHead(403);
         res.end('Forbidden');
         return;
@@ -160,4 +601,7 @@ server.listen(PORT, () => {
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
 `);
+    if (scheduler) {
+        scheduler.start();
+    }
 });
@@ -0,0 +1,307 @@
+/**
+ * Sleeper league adapter
+ * Reads a Sleeper season - league, users, rosters, weekly matchups and playoff
+ * brackets - and converts it into the same season shape ESPN returns, so
+ * imported seasons sit next to ESPN seasons in data/ and go through
+ * LeagueModel and StatsEngine unchanged.
+ *
+ * A season comes either from the Sleeper API (SLEEPER_ORIGIN overrides
+ * https://api.sleeper.app, e.g. for a local stand-in) or from a directory of
+ * saved responses:
+ *
+ *   league.json  users.json  rosters.json  winners_bracket.json  losers_bracket.json
+ *   matchups/1.json  matchups/2.json  ...
+ *
+ * Sleeper user IDs become owner IDs "sleeper:<user_id>" unless an owner map
+ * ({ "<user_id or display name>": "<owner id>" }) ties them to existing owners.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const SOURCE = 'sleeper';
+const DEFAULT_ORIGIN = 'https://api.sleeper.app';
+const REQUEST_TIMEOUT = 30000;
+const MAX_WEEKS = 18; // Longest NFL fantasy season
+
+/**
+ * GET a Sleeper API path as JSON
+ */
+function fetchJson(apiPath) {
+    const requestUrl = new URL(`/v1${apiPath}`, process.env.SLEEPER_ORIGIN || DEFAULT_ORIGIN);
+    const client = requestUrl.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+        const req = client.get(requestUrl, { headers: { 'Accept': 'application/json' } }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    const error = new Error(`HTTP ${res.statusCode} for ${apiPath}: ${data.substring(0, 200)}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (e) {
+                    reject(new Error(`Failed to parse ${apiPath}: ${e.message}`));
+                }
+            });
+        });
+
+        req.setTimeout(REQUEST_TIMEOUT, () => {
+            const error = new Error(`Request timed out: ${apiPath}`);
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Fetch one Sleeper league season from the API
+ * Weeks are fetched up to the last scored week (or the whole season once it is complete)
+ */
+async function fetchSleeperSeason(sleeperLeagueId) {
+    const base = `/league/${encodeURIComponent(sleeperLeagueId)}`;
+    const league = await fetchJson(base);
+    const [users, rosters, winnersBracket, losersBracket] = await Promise.all([
+        fetchJson(`${base}/users`),
+        fetchJson(`${base}/rosters`),
+        fetchJson(`${base}/winners_bracket`).catch(() => []),
+        fetchJson(`${base}/losers_bracket`).catch(() => [])
+    ]);
+
+    const lastWeek = league.status === 'complete'
+        ? MAX_WEEKS
+        : Math.min(MAX_WEEKS, league.settings?.last_scored_leg || MAX_WEEKS);
+    const matchups = {};
+    for (let week = 1; week <= lastWeek; week++) {
+        const entries = await fetchJson(`${base}/matchups/${week}`);
+        if (Array.isArray(entries) && entries.some(e => e.matchup_id)) {
+            matchups[week] = entries;
+        }
+    }
+
+    return { league, users, rosters, matchups, winnersBracket, losersBracket };
+}
+
+/**
+ * Read a season from a directory of saved Sleeper responses
+ */
+function readSleeperExport(dir) {
+    const readJson = (file, fallback) => {
+        const filePath = path.join(dir, file);
+        if (!fs.existsSync(filePath)) {
+            if (fallback !== undefined) return fallback;
+            throw new Error(`Missing ${file} in ${dir}`);
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    };
+
+    const matchups = {};
+    const matchupsDir = path.join(dir, 'matchups');
+    if (fs.existsSync(matchupsDir)) {
+        for (const file of fs.readdirSync(matchupsDir)) {
+            const week = parseInt(path.basename(file, '.json'));
+            if (!isNaN(week)) {
+                matchups[week] = readJson(path.join('matchups', file));
+            }
+        }
+    }
+
+    return {
+        league: readJson('league.json'),
+        users: readJson('users.json'),
+        rosters: readJson('rosters.json'),
+        matchups,
+        winnersBracket: readJson('winners_bracket.json', []),
+        losersBracket: readJson('losers_bracket.json', [])
+    };
+}
+
+/**
+ * Sleeper splits fantasy points into whole and hundredths fields
+ */
+function toPoints(whole, decimal) {
+    return (whole || 0) + (decimal || 0) / 100;
+}
+
+/**
+ * Final places from the winners bracket: the game with p = 1 decides 1st/2nd,
+ * p = 3 decides 3rd/4th, and so on
+ */
+function getFinalPlaces(winnersBracket) {
+    const places = {};
+    for (const game of winnersBracket || []) {
+        if (game.p && game.w && game.l) {
+            places[game.w] = game.p;
+            places[game.l] = game.p + 1;
+        }
+    }
+    return places;
+}
+
+/**
+ * Convert a Sleeper season into ESPN's season shape
+ * ownerMap: { "<sleeper user_id or display name>": "<owner id>" }
+ */
+function convertSleeperSeason(sleeper, ownerMap = {}) {
+    const { league, users = [], rosters = [], matchups = {}, winnersBracket = [], losersBracket = [] } = sleeper;
+    const year = parseInt(league.season);
+    const leagueSettings = league.settings || {};
+    const weeks = Object.keys(matchups).map(Number).sort((a, b) => a - b);
+    const lastWeek = weeks.length > 0 ? weeks[weeks.length - 1] : 0;
+    // playoff_week_start is 0 for leagues without playoffs
+    const playoffStart = leagueSettings.playoff_week_start || lastWeek + 1;
+    const regularSeasonWeeks = playoffStart - 1;
+    const lastScoredWeek = league.status === 'complete' ? lastWeek : (leagueSettings.last_scored_leg ?? lastWeek);
+
+    const usersById = new Map(users.map(u => [u.user_id, u]));
+    const getOwnerId = (userId) => {
+        const user = usersById.get(userId);
+        return ownerMap[userId] || (user && ownerMap[user.display_name]) || `${SOURCE}:${userId}`;
+    };
+
+    // Display names keep their own capitalization (screenName), unlike ESPN's first and last names
+    const members = users.map(user => {
+        const name = user.display_name || user.username || `User ${user.user_id}`;
+        return { id: getOwnerId(user.user_id), firstName: name, lastName: '', screenName: name };
+    });
+
+    // Seeds follow Sleeper's default playoff seeding: record, then points for
+    const byStandings = [...rosters].sort((a, b) => {
+        const sa = a.settings || {};
+        const sb = b.settings || {};
+        return (sb.wins - sa.wins) || (sa.losses - sb.losses) ||
+            (toPoints(sb.fpts, sb.fpts_decimal) - toPoints(sa.fpts, sa.fpts_decimal));
+    });
+    const seeds = new Map(byStandings.map((roster, i) => [roster.roster_id, i + 1]));
+    const finalPlaces = league.status === 'complete' ? getFinalPlaces(winnersBracket) : {};
+
+    const teams = rosters.map(roster => {
+        const user = usersById.get(roster.owner_id);
+        const stats = roster.settings || {};
+        const name = user?.metadata?.team_name || `Team ${user?.display_name || roster.roster_id}`;
+        // Co-owners mapped to the same owner count once
+        const ownerIds = [...new Set([roster.owner_id, ...(roster.co_owners || [])].filter(Boolean).map(getOwnerId))];
+
+        return {
+            // Roster ids run 1..N like ESPN team ids; StatsEngine scopes them to this season (getSlotId)
+            id: roster.roster_id,
+            name,
+            abbrev: name.replace(/[^A-Za-z0-9]/g, '').substring(0, 4).toUpperCase() || `T${roster.roster_id}`,
+            primaryOwner: ownerIds[0],
+            owners: ownerIds,
+            record: {
+                overall: {
+                    wins: stats.wins || 0,
+                    losses: stats.losses || 0,
+                    ties: stats.ties || 0,
+                    pointsFor: toPoints(stats.fpts, stats.fpts_decimal),
+                    pointsAgainst: toPoints(stats.fpts_against, stats.fpts_against_decimal)
+                }
+            },
+            playoffSeed: seeds.get(roster.roster_id),
+            rankCalculatedFinal: finalPlaces[roster.roster_id] || 0
+        };
+    });
+
+    const schedule = [];
+    const bracketGames = new Map(); // "tier-round-match" -> game (multi-week rounds add up)
+    const brackets = [['WINNERS_BRACKET', winnersBracket], ['LOSERS_CONSOLATION_LADDER', losersBracket]];
+
+    for (const week of weeks) {
+        // Entries sharing a matchup_id played each other; null matchup_id is a bye
+        const pairs = new Map();
+        for (const entry of matchups[week]) {
+            if (!entry.matchup_id) continue;
+            if (!pairs.has(entry.matchup_id)) pairs.set(entry.matchup_id, []);
+            pairs.get(entry.matchup_id).push(entry);
+        }
+
+        for (const [home, away] of pairs.values()) {
+            if (!home || !away) continue;
+            const decided = week <= lastScoredWeek;
+
+            if (week < playoffStart) {
+                schedule.push({
+                    id: schedule.length + 1,
+                    matchupPeriodId: week,
+                    home: { teamId: home.roster_id, totalPoints: home.points || 0 },
+                    away: { teamId: away.roster_id, totalPoints: away.points || 0 },
+                    winner: !decided ? 'UNDECIDED'
+                        : home.points > away.points ? 'HOME'
+                        : away.points > home.points ? 'AWAY' : 'TIE',
+                    playoffTierType: 'NONE'
+                });
+                continue;
+            }
+
+            // Playoff weeks only count games that are part of a bracket
+            for (const [tier, bracket] of brackets) {
+                const game = (bracket || []).find(g =>
+                    (g.t1 === home.roster_id && g.t2 === away.roster_id) ||
+                    (g.t1 === away.roster_id && g.t2 === home.roster_id));
+                if (!game) continue;
+
+                const key = `${tier}-${game.r}-${game.m}`;
+                if (!bracketGames.has(key)) {
+                    const matchup = {
+                        id: 0,
+                        matchupPeriodId: regularSeasonWeeks + game.r,
+                        home: { teamId: game.t1, totalPoints: 0 },
+                        away: { teamId: game.t2, totalPoints: 0 },
+                        winner: 'UNDECIDED',
+                        playoffTierType: tier
+                    };
+                    bracketGames.set(key, matchup);
+                    schedule.push(matchup);
+                }
+
+                const matchup = bracketGames.get(key);
+                for (const entry of [home, away]) {
+                    const side = entry.roster_id === matchup.home.teamId ? matchup.home : matchup.away;
+                    side.totalPoints += entry.points || 0;
+                }
+                if (decided && game.w) {
+                    matchup.winner = game.w === matchup.home.teamId ? 'HOME' : 'AWAY';
+                }
+                break;
+            }
+        }
+    }
+    schedule.forEach((matchup, i) => { matchup.id = i + 1; });
+
+    return {
+        source: SOURCE,
+        sourceLeagueId: league.league_id,
+        seasonId: year,
+        settings: {
+            name: league.name,
+            size: league.total_rosters || rosters.length,
+            scoringSettings: { scoringType: 'H2H_POINTS' },
+            scheduleSettings: {
+                matchupPeriodCount: regularSeasonWeeks,
+                playoffTeamCount: leagueSettings.playoff_teams
+            }
+        },
+        status: {
+            isActive: league.status !== 'complete',
+            finalScoringPeriod: lastWeek
+        },
+        members,
+        teams,
+        schedule
+    };
+}
+
+module.exports = {
+    SOURCE,
+    fetchSleeperSeason,
+    readSleeperExport,
+    convertSleeperSeason
+};
@@ -0,0 +1,347 @@
+/**
+ * Static league data layout shared by prebuild.js and the report generator
+ *
+ *   data/manifest.json      - build metadata plus one entry per season
+ *   data/seasons/2019.json  - raw ESPN data (or an import in ESPN's shape) for a single season
+ *   data/weeks/2019.json    - per-week lineups: { year, scoringPeriods: { 1: box scores, ... } }
+ *   data/capabilities.json  - what ESPN serves per season, written by probe.js
+ *   data/owners.json        - owner registry: aliases, co-owners, names (see owner-registry.js)
+ *   data/rules.json         - league rules by season: weeks, playoff teams, scoring (see league-rules.js)
+ *
+ * Manifest meta.version goes up whenever a build or import changes the data;
+ * browsers poll it (server.js /api/data-version) to know when to reload.
+ * Manifest season entry: { file, fetchedAt, complete, teams, matchups, weeksFile, weekCount }
+ * Imported seasons also carry source ("sleeper", "yahoo", "manual") and sourceLeagueId; their
+ * files are converted to ESPN's shape, so readers don't need to tell them apart.
+ * A season is "complete" once its championship is decided; prebuild never
+ * refetches complete seasons unless forced.
+ *
+ * Files the site downloads are written with precompressed .br and .gz copies
+ * next to them (see server.js serveStaticFile). Season files are slimmed first:
+ * ESPN's player pool, player stats and per-matchup rosters are dropped, since
+ * nothing reads them from season files (per-week lineups live in data/weeks).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const OwnerRegistry = require('./owner-registry.js');
+const LeagueRules = require('./league-rules.js');
+
+const MANIFEST_FILE = 'manifest.json';
+const SEASONS_DIR = 'seasons';
+const WEEKS_DIR = 'weeks';
+const CAPABILITIES_FILE = 'capabilities.json';
+const OWNERS_FILE = OwnerRegistry.FILE;
+const RULES_FILE = LeagueRules.FILE;
+
+// Precompressed copies written next to each published file
+const COMPRESSED_VARIANTS = [
+    { extension: '.br', compress: content => zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length }
+    }) },
+    { extension: '.gz', compress: content => zlib.gzipSync(content, { level: 9 }) }
+];
+
+// Team fields nothing reads from season files
+const UNUSED_TEAM_FIELDS = [
+    'valuesByStat', 'transactionCounter', 'draftDayProjectedRank', 'currentProjectedRank',
+    'pendingTransactions', 'tradeBlock', 'watchList', 'draftStrategy'
+];
+
+/**
+ * Relative path (from the data directory) of a season file
+ */
+function getSeasonFile(year) {
+    return `${SEASONS_DIR}/${year}.json`;
+}
+
+/**
+ * Relative path (from the data directory) of a season's per-week lineups
+ */
+function getWeeksFile(year) {
+    return `${WEEKS_DIR}/${year}.json`;
+}
+
+/**
+ * Write a file through a temp file + rename so readers never see a partial file
+ */
+function writeFileAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write the .br and .gz copies of a file's content
+ * They are written after the file itself, so a copy older than its file is stale
+ */
+function writeCompressedVariants(filePath, content) {
+    const buffer = Buffer.from(content);
+    for (const { extension, compress } of COMPRESSED_VARIANTS) {
+        writeFileAtomic(filePath + extension, compress(buffer));
+    }
+}
+
+/**
+ * Check whether a file has up-to-date compressed copies
+ */
+function hasCompressedVariants(filePath) {
+    try {
+        const { mtimeMs } = fs.statSync(filePath);
+        return COMPRESSED_VARIANTS.every(({ extension }) => fs.statSync(filePath + extension).mtimeMs >= mtimeMs);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Write JSON through a temp file + rename so readers never see a partial file
+ * options: { compressed: also write .br and .gz copies (for files the site downloads) }
+ */
+function writeJsonAtomic(filePath, data, options = {}) {
+    const content = JSON.stringify(data);
+    writeFileAtomic(filePath, content);
+    if (options.compressed) {
+        writeCompressedVariants(filePath, content);
+    }
+}
+
+/**
+ * Write JSON atomically unless the file already holds exactly this data
+ * Missing compressed copies are still written (options as writeJsonAtomic)
+ * Returns true if the file was written
+ */
+function writeJsonIfChanged(filePath, data, options = {}) {
+    const content = JSON.stringify(data);
+    try {
+        if (fs.readFileSync(filePath, 'utf-8') === content) {
+            if (options.compressed && !hasCompressedVariants(filePath)) {
+                writeCompressedVariants(filePath, content);
+            }
+            return false;
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    writeJsonAtomic(filePath, data, options);
+    return true;
+}
+
+/**
+ * Team without the fields nothing reads; roster players keep only their name and position
+ */
+function slimTeam(team) {
+    const slim = { ...team };
+    UNUSED_TEAM_FIELDS.forEach(field => delete slim[field]);
+
+    if (team.roster?.entries) {
+        slim.roster = {
+            entries: team.roster.entries.map(entry => {
+                const player = entry.playerPoolEntry?.player;
+                return {
+                    playerId: entry.playerId,
+                    lineupSlotId: entry.lineupSlotId,
+                    acquisitionType: entry.acquisitionType,
+                    playerPoolEntry: player
+                        ? { player: { fullName: player.fullName, defaultPositionId: player.defaultPositionId } }
+                        : undefined
+                };
+            })
+        };
+    }
+    return slim;
+}
+
+/**
+ * One side of a matchup without its lineup
+ */
+function slimMatchupSide(side) {
+    if (!side) return side;
+    const { rosterForCurrentScoringPeriod, rosterForMatchupPeriod, rosterForMatchupPeriodDelayed, ...slim } = side;
+    // Some seasons only have their score on the lineup
+    if (rosterForCurrentScoringPeriod?.appliedStatTotal !== undefined) {
+        slim.rosterForCurrentScoringPeriod = { appliedStatTotal: rosterForCurrentScoringPeriod.appliedStatTotal };
+    }
+    return slim;
+}
+
+/**
+ * Copy of a raw ESPN season with only the fields the site reads
+ * Rosters keep each player's name and position; matchups keep their scores
+ * but not the lineups behind them. Safe to run on an already slimmed season.
+ */
+function slimSeason(data) {
+    const { players, draftDetail, ...season } = data;
+
+    if (season.settings) {
+        const { name, size, isPublic, scoringSettings, scheduleSettings } = season.settings;
+        season.settings = {
+            name,
+            size,
+            isPublic,
+            scoringSettings: scoringSettings ? { scoringType: scoringSettings.scoringType } : undefined,
+            scheduleSettings
+        };
+    }
+
+    if (season.teams) {
+        season.teams = season.teams.map(slimTeam);
+    }
+    if (season.schedule) {
+        season.schedule = season.schedule.map(m => ({ ...m, home: slimMatchupSide(m.home), away: slimMatchupSide(m.away) }));
+    }
+
+    return season;
+}
+
+/**
+ * Read the manifest, or null if the data directory hasn't been built yet
+ */
+function readManifest(dataDir) {
+    const manifestPath = path.join(dataDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+/**
+ * Read a single season listed in the manifest
+ */
+function readSeason(dataDir, entry) {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, entry.file), 'utf-8'));
+}
+
+/**
+ * Read a season's per-week lineups, or null if it has none
+ */
+function readWeeks(dataDir, entry) {
+    if (!entry.weeksFile) return null;
+    return JSON.parse(fs.readFileSync(path.join(dataDir, entry.weeksFile), 'utf-8'));
+}
+
+/**
+ * Read the probe results, or null if probe.js hasn't been run
+ * Shape: { leagueId, generatedAt, seasons: { 2015: { host, endpoint, views: { mTeam: 'ok', ... } } } }
+ */
+function readCapabilities(dataDir) {
+    const capabilitiesPath = path.join(dataDir, CAPABILITIES_FILE);
+    if (!fs.existsSync(capabilitiesPath)) return null;
+    return JSON.parse(fs.readFileSync(capabilitiesPath, 'utf-8'));
+}
+
+/**
+ * Read the league's owner registry (an empty one if there is no owners.json)
+ * Throws if the file is invalid
+ */
+function readOwnerRegistry(dataDir) {
+    const ownersPath = path.join(dataDir, OWNERS_FILE);
+    if (!fs.existsSync(ownersPath)) return new OwnerRegistry();
+    try {
+        return new OwnerRegistry(JSON.parse(fs.readFileSync(ownersPath, 'utf-8')));
+    } catch (e) {
+        throw new Error(`${ownersPath}: ${e.message}`);
+    }
+}
+
+/**
+ * Read the league's rules timeline (only the defaults if there is no rules.json)
+ * Throws if the file is invalid
+ */
+function readLeagueRules(dataDir) {
+    const rulesPath = path.join(dataDir, RULES_FILE);
+    if (!fs.existsSync(rulesPath)) return new LeagueRules();
+    try {
+        return new LeagueRules(JSON.parse(fs.readFileSync(rulesPath, 'utf-8')));
+    } catch (e) {
+        throw new Error(`${rulesPath}: ${e.message}`);
+    }
+}
+
+/**
+ * Load the manifest and every season that has a data file
+ * Returns { manifest, seasons } where seasons is keyed by year
+ */
+function loadSeasons(dataDir) {
+    const manifest = readManifest(dataDir);
+    if (!manifest) {
+        throw new Error(`No ${MANIFEST_FILE} in ${dataDir} - run "node prebuild.js" first`);
+    }
+
+    const seasons = {};
+    for (const [year, entry] of Object.entries(manifest.seasons || {})) {
+        if (entry.file) {
+            seasons[year] = readSeason(dataDir, entry);
+        }
+    }
+
+    return { manifest, seasons };
+}
+
+/**
+ * Save an imported season (already converted to ESPN's shape) and list it in the manifest
+ * data carries seasonId, source and sourceLeagueId; options: { complete, force }
+ * Refuses to replace a season that came from somewhere else unless force is set
+ * Returns the path of the manifest written
+ */
+function writeImportedSeason(dataDir, config, data, options = {}) {
+    const year = data.seasonId;
+    const manifest = readManifest(dataDir) || {
+        meta: {
+            slug: config.slug,
+            name: config.name,
+            leagueId: config.leagueId,
+            startYear: config.startYear,
+            endYear: config.endYear
+        },
+        seasons: {}
+    };
+
+    const previous = manifest.seasons[year];
+    if (previous?.file && (previous.source || 'espn') !== data.source && !options.force) {
+        throw new Error(`${year} already has ${previous.source || 'ESPN'} data - use --force to replace it`);
+    }
+
+    const file = getSeasonFile(year);
+    writeJsonAtomic(path.join(dataDir, file), data, { compressed: true });
+
+    manifest.seasons[year] = {
+        file,
+        fetchedAt: new Date().toISOString(),
+        complete: !!options.complete,
+        teams: data.teams.length,
+        matchups: data.schedule.length,
+        source: data.source,
+        sourceLeagueId: data.sourceLeagueId
+    };
+    manifest.meta.version = (manifest.meta.version || 0) + 1;
+    manifest.meta.generatedAt = new Date().toISOString();
+    manifest.meta.seasonCount = Object.values(manifest.seasons).filter(s => s.file).length;
+
+    const manifestPath = path.join(dataDir, MANIFEST_FILE);
+    writeJsonAtomic(manifestPath, manifest, { compressed: true });
+    return manifestPath;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    SEASONS_DIR,
+    WEEKS_DIR,
+    CAPABILITIES_FILE,
+    OWNERS_FILE,
+    RULES_FILE,
+    getSeasonFile,
+    getWeeksFile,
+    writeJsonAtomic,
+    writeJsonIfChanged,
+    hasCompressedVariants,
+    slimSeason,
+    readManifest,
+    readSeason,
+    readWeeks,
+    readCapabilities,
+    readOwnerRegistry,
+    readLeagueRules,
+    loadSeasons,
+    writeImportedSeason
+};
@@ -4,13 +4,23 @@
  */
 
 class StatsEngine {
+    static TIE_STREAK_MODES = ['break', 'extend'];
+
     constructor() {
         this.allSeasonData = {};
+        this.league = null; // Normalized league model built from allSeasonData
+        this.ownerRegistry = null; // OwnerRegistry that merges owner ids (see owner-registry.js)
+        this.leagueRules = null; // LeagueRules timeline for the league (see league-rules.js)
+        this.diagnostics = null; // LeagueValidator results for the loaded league
         this.aggregatedStats = null;
         this.teamNameMap = new Map(); // Maps team IDs to owner names (display name)
         this.ownerNameMap = new Map(); // Maps owner IDs to their names
         this.ownerHistory = new Map(); // Maps owner IDs to their teams across seasons
         this.useOwnerNames = true; // Display owner names instead of team names
+        this.tieStreakMode = 'break'; // 'break': a tie ends a streak, 'extend': a streak carries on through ties
+        this.storageNamespace = null; // League slug that keys this league's cache (null = default league)
+        this.store = new SeasonStore(); // IndexedDB season cache (see season-store.js)
+        this.boxScores = {}; // year -> scoringPeriodId -> per-week lineups (memory only)
     }
 
     /**
@@ -24,77 +34,121 @@ class StatsEngine {
             .join(' ');
     }
 
-    /**
-     * Format owner name as "FirstName L." (first name + last initial)
-     */
-    formatOwnerName(firstName, lastName) {
-        const capitalize = (str) => {
-            if (!str) return '';
-            return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
-        };
-        const first = capitalize(firstName);
-        const lastInitial = lastName ? lastName.charAt(0).toUpperCase() + '.' : '';
-        return `${first} ${lastInitial}`.trim();
-    }
-
     /**
      * Load and process data for all seasons
      */
     async loadAllSeasons(rawData) {
         this.allSeasonData = rawData;
+        this.buildLeagueModel();
         this.buildTeamNameMap();
         this.aggregatedStats = this.aggregateAllStats();
         return this.aggregatedStats;
     }
 
     /**
-     * Build a map of team/owner names across all seasons
-     * Uses the most recent name for each team/owner
+     * Normalize the raw seasons into the shared league model (see league-model.js)
+     * and check it for data problems (see league-validator.js)
      */
-    buildTeamNameMap() {
-        const years = Object.keys(this.allSeasonData).sort((a, b) => b - a);
+    buildLeagueModel() {
+        this.league = LeagueModel.normalizeLeague(this.allSeasonData, {}, this.ownerRegistry, this.leagueRules);
+        this.diagnostics = LeagueValidator.validateLeague(this.league);
+
+        const { counts } = this.diagnostics;
+        if (counts.error + counts.warning > 0) {
+            console.warn(`Data check: ${counts.error} errors, ${counts.warning} warnings (see Settings > Data Diagnostics)`);
+            this.diagnostics.issues
+                .filter(issue => issue.level !== 'info')
+                .forEach(issue => console.warn(LeagueValidator.formatIssue(issue)));
+        }
+        return this.league;
+    }
 
-        for (const year of years) {
-            const data = this.allSeasonData[year];
-            if (data.error || !data.teams) continue;
+    /**
+     * Use an owner registry for owner ids and names
+     * Loaded data is processed again, so every stat picks up the change
+     */
+    async setOwnerRegistry(ownerRegistry) {
+        this.ownerRegistry = ownerRegistry;
+        await this.reloadSeasons();
+    }
 
-            const members = data.members || [];
+    /**
+     * Use a league's rules timeline (regular season length, playoff teams, counted weeks)
+     * Loaded data is processed again, so every stat picks up the change
+     */
+    async setLeagueRules(leagueRules) {
+        this.leagueRules = leagueRules;
+        await this.reloadSeasons();
+    }
 
-            for (const team of data.teams) {
-                const teamId = team.id;
-                const ownerId = team.primaryOwner || team.owners?.[0]?.id;
+    /**
+     * Process the loaded seasons again from scratch
+     */
+    async reloadSeasons() {
+        if (Object.keys(this.allSeasonData).length === 0) return;
 
-                // Get owner name from various sources
-                let ownerName = null;
+        this.teamNameMap.clear();
+        this.ownerNameMap.clear();
+        this.ownerHistory.clear();
+        await this.loadAllSeasons(this.allSeasonData);
+    }
 
-                // Try members array first
-                if (ownerId && members.length > 0) {
-                    const member = members.find(m => m.id === ownerId);
-                    if (member && (member.firstName || member.lastName)) {
-                        ownerName = this.formatOwnerName(member.firstName, member.lastName);
-                    }
-                }
+    /**
+     * Choose how ties affect win and loss streaks ('break' or 'extend') and recalculate
+     */
+    setTieStreakMode(mode) {
+        if (!StatsEngine.TIE_STREAK_MODES.includes(mode)) {
+            throw new Error(`Unknown tie streak mode: ${mode}`);
+        }
+        this.tieStreakMode = mode;
+        if (this.league) {
+            this.aggregatedStats = this.aggregateAllStats();
+        }
+    }
 
-                // Try team.owners array
-                if (!ownerName && team.owners && team.owners.length > 0) {
-                    const owner = team.owners[0];
-                    if (owner.firstName || owner.lastName) {
-                        ownerName = this.formatOwnerName(owner.firstName, owner.lastName);
-                    }
-                }
+    /**
+     * Get the normalized league model (also used by AdvancedAnalytics)
+     */
+    getLeagueModel() {
+        return this.league;
+    }
 
-                // Try team.members array
-                if (!ownerName && team.members && team.members.length > 0) {
-                    const member = team.members[0];
-                    if (member.firstName || member.lastName) {
-                        ownerName = this.formatOwnerName(member.firstName, member.lastName);
-                    }
-                }
+    /**
+     * Get the data check results for the loaded league
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
 
-                // Fallback to team name
-                if (!ownerName) {
-                    ownerName = team.name || `Team ${teamId}`;
-                }
+    /**
+     * Id of a team slot across seasons
+     * ESPN keeps a league's team ids from season to season. Imported seasons number
+     * their teams 1..N too, so their slots are scoped to the season to stay apart.
+     */
+    getSlotId(season, teamId) {
+        return !season.source || season.source === 'espn' ? teamId : `${season.source}:${season.year}:${teamId}`;
+    }
+
+    /**
+     * Key a team's career is tracked by: its owner, or its slot when it has none
+     */
+    getCareerKey(season, team) {
+        return team.ownerId || this.getSlotId(season, team.id);
+    }
+
+    /**
+     * Build a map of team/owner names across all seasons
+     * Uses the most recent name for each team slot/owner
+     */
+    buildTeamNameMap() {
+        const years = Object.keys(this.league.seasons).sort((a, b) => b - a);
+
+        for (const year of years) {
+            const season = this.league.seasons[year];
+            for (const team of season.teams) {
+                const teamId = this.getSlotId(season, team.id);
+                const ownerId = team.ownerId;
+                const ownerName = team.name; // Owner name, or the team name if the owner is unknown
 
                 // Store owner name by owner ID (most reliable across seasons)
                 if (ownerId && !this.ownerNameMap.has(ownerId)) {
@@ -105,8 +159,8 @@ class StatsEngine {
                 if (!this.teamNameMap.has(teamId)) {
                     this.teamNameMap.set(teamId, {
                         name: ownerName,
-                        teamName: team.name || `Team ${teamId}`,
-                        abbrev: team.abbrev || `T${teamId}`,
+                        teamName: team.teamName,
+                        abbrev: team.abbreviation,
                         ownerId: ownerId
                     });
                 }
@@ -118,8 +172,9 @@ class StatsEngine {
                 if (ownerId) {
                     this.ownerHistory.get(ownerId).push({
                         year: parseInt(year),
-                        teamId: teamId,
-                        teamName: team.name,
+                        teamId: team.id,
+                        teamName: team.teamName,
+                        abbrev: team.abbreviation,
                         ownerName: ownerName
                     });
                 }
@@ -147,6 +202,14 @@ class StatsEngine {
         return info.name;
     }
 
+    /**
+     * Get display name for an owner's career (falls back to the team slot for teams without an owner)
+     * A slot changes hands, so owner-keyed records must not be named from it
+     */
+    getOwnerName(ownerId, teamId = ownerId) {
+        return this.ownerNameMap.get(ownerId) || this.getTeamName(teamId);
+    }
+
     /**
      * Get the actual team name (not owner name)
      */
@@ -164,20 +227,18 @@ class StatsEngine {
             seasonSummaries: [], // Summary for each season
             champions: [], // Championship winners
             highScores: [], // All individual game scores
-            h2hRecords: new Map(), // Head-to-head records between teams
+            h2hRecords: new Map(), // Head-to-head records between owners
+            slotH2HRecords: new Map(), // Head-to-head records between team slots (see getSlotId)
             streaks: new Map(), // Win/loss streaks
             playoffAppearances: new Map(),
             regularSeasonRecords: new Map(),
             championshipAppearances: new Map() // Teams that made championship game
         };
 
-        const years = Object.keys(this.allSeasonData).sort();
+        const years = Object.keys(this.league.seasons).sort();
 
         for (const year of years) {
-            const data = this.allSeasonData[year];
-            if (data.error || !data.teams) continue;
-
-            const seasonStats = this.processSeasonData(parseInt(year), data);
+            const seasonStats = this.processSeasonData(this.league.seasons[year]);
 
             // Merge season stats into aggregate
             this.mergeSeasonStats(stats, seasonStats, parseInt(year));
@@ -186,111 +247,26 @@ class StatsEngine {
         // Calculate derived statistics
         stats.careerLeaders = this.calculateCareerLeaders(stats);
         stats.recordBook = this.calculateRecordBook(stats);
-        stats.h2hMatrix = this.calculateH2HMatrix(stats);
+        stats.h2hMatrix = this.calculateH2HMatrix(stats.h2hRecords, Array.from(stats.careerRecords.keys()));
+        stats.slotH2HMatrix = this.calculateH2HMatrix(stats.slotH2HRecords, this.getAllTeams().map(t => t.id));
 
         return stats;
     }
 
     /**
-     * Process a single season's data
+     * Process a single season of the league model
      */
-    processSeasonData(year, data) {
-        const teams = espnAPI.parseTeams(data);
-        const matchups = espnAPI.parseMatchups(data);
-        const settings = espnAPI.parseSettings(data);
-
-        // Determine regular season vs playoff matchups
-        // Use settings if available, otherwise default based on year
-        // ESPN changed regular season length over time: typically 13-14 weeks
-        let regularSeasonWeeks = settings.regularSeasonMatchupPeriods;
-        if (!regularSeasonWeeks) {
-            // Default regular season lengths by era
-            if (year <= 2020) {
-                regularSeasonWeeks = 13; // Most leagues had 13-week regular seasons
-            } else {
-                regularSeasonWeeks = 14; // NFL expanded to 17 games in 2021
-            }
-        }
-
-        // Playoff tier types that indicate actual playoff games
-        const PLAYOFF_TIERS = ['WINNERS_BRACKET', 'LOSERS_BRACKET', 'WINNERS_CONSOLATION_LADDER', 'LOSERS_CONSOLATION_LADDER'];
-
-        const regularMatchups = matchups.filter(m => {
-            // Check if it's a real playoff tier type (not NONE or undefined)
-            if (m.playoffTierType && PLAYOFF_TIERS.includes(m.playoffTierType)) {
-                return false; // It's a playoff game
-            }
-            // Otherwise use week number as fallback
-            return m.matchupPeriodId <= regularSeasonWeeks;
-        }).map(m => ({ ...m, isPlayoffGame: false }));
-
-        const playoffMatchups = matchups.filter(m => {
-            // Check if it's a real playoff tier type
-            if (m.playoffTierType && PLAYOFF_TIERS.includes(m.playoffTierType)) {
-                return true;
-            }
-            // Otherwise check week number
-            return m.matchupPeriodId > regularSeasonWeeks;
-        }).map(m => ({ ...m, isPlayoffGame: true }));
-
-        // Find champion and championship game participants
-        let champion = null;
-        let championshipParticipants = []; // Both teams in championship game
-
-        // Method 1: Look for team with rankCalculatedFinal === 1 (the champion)
-        const championTeam = teams.find(t => t.rankCalculatedFinal === 1);
-        if (championTeam) {
-            champion = championTeam.id;
-            console.log(`${year} Champion (by rank): ${championTeam.name} (Team ${championTeam.id})`);
-        }
+    processSeasonData(season) {
+        const { year, teams, settings, rules, source, sourceNote } = season;
 
-        // Method 2: Find the championship game winner (WINNERS_BRACKET final)
-        if (playoffMatchups.length > 0) {
-            // Look for the final championship matchup
-            const championshipGames = playoffMatchups.filter(m =>
-                m.playoffTierType === 'WINNERS_BRACKET'
-            );
-
-            if (championshipGames.length > 0) {
-                // Get the last championship bracket game (the final)
-                const lastWeek = Math.max(...championshipGames.map(m => m.matchupPeriodId));
-                const championship = championshipGames.find(m => m.matchupPeriodId === lastWeek);
-
-                if (championship) {
-                    // Track both participants in the championship game
-                    championshipParticipants = [championship.homeTeamId, championship.awayTeamId];
-
-                    if (!champion && championship.homeScore !== championship.awayScore) {
-                        champion = championship.homeScore > championship.awayScore
-                            ? championship.homeTeamId
-                            : championship.awayTeamId;
-                        console.log(`${year} Champion (by game): Team ${champion}`);
-                    }
-                }
-            }
-        }
+        // Unplayed games (the rest of the current season) don't count yet
+        const played = season.matchups.filter(m => m.isComplete);
+        const regularMatchups = played.filter(m => m.isRegularSeason);
+        const playoffMatchups = played.filter(m => m.isPlayoff);
 
-        // If we found a champion but no championship participants, add the champion and runner-up by rank
-        if (champion && championshipParticipants.length === 0) {
-            const runnerUp = teams.find(t => t.rankCalculatedFinal === 2);
-            if (runnerUp) {
-                championshipParticipants = [champion, runnerUp.id];
-            } else {
-                championshipParticipants = [champion];
-            }
-        }
-
-        // Method 3: Fallback to best playoff seed
-        if (!champion) {
-            const sortedTeams = [...teams].sort((a, b) => {
-                if (a.playoffSeed && b.playoffSeed) {
-                    return a.playoffSeed - b.playoffSeed;
-                }
-                return (b.record.wins - b.record.losses) - (a.record.wins - a.record.losses);
-            });
-            champion = sortedTeams[0]?.id;
-            console.log(`${year} Champion (fallback): Team ${champion}`);
-        }
+        const { champion, participants: championshipParticipants, method: championMethod } = LeagueModel.findChampion(season);
+        const championName = teams.find(t => t.id === champion)?.name;
+        console.log(`${year} Champion (by ${championMethod}): ${championName} (Team ${champion})`);
 
         return {
             year,
@@ -298,28 +274,156 @@ class StatsEngine {
             matchups: regularMatchups,
             playoffMatchups,
             settings,
+            rules,
+            source,
+            sourceNote,
             champion,
+            championMethod,
             championshipParticipants,
-            standings: teams.sort((a, b) => {
-                const aWinPct = a.record.wins / (a.record.wins + a.record.losses) || 0;
-                const bWinPct = b.record.wins / (b.record.wins + b.record.losses) || 0;
+            bracket: this.buildPlayoffBracket(season),
+            standings: [...teams].sort((a, b) => {
+                const aWinPct = LeagueModel.winPct(a.record);
+                const bWinPct = LeagueModel.winPct(b.record);
                 if (bWinPct !== aWinPct) return bWinPct - aWinPct;
                 return b.record.pointsFor - a.record.pointsFor;
             })
         };
     }
 
+    /**
+     * Rebuild a season's playoff bracket from its playoff games and seeds
+     * Returns { playoffTeamCount, seeds, seedsGuessed, brackets } where seeds lists the
+     * playoff teams ({ seed, teamId, name }) and each bracket is
+     * { type, label, rounds: [{ label, week, games, byes }] }:
+     *   WINNERS_BRACKET            - the championship bracket (byes: seeds sitting the round out)
+     *   WINNERS_CONSOLATION_LADDER - playoff teams playing for places after being knocked out
+     *   LOSERS_CONSOLATION_LADDER  - the toilet bowl, for teams that missed the playoffs
+     * Seasons without playoff tiers are sorted into the same brackets by following who is
+     * still alive; seeds missing from the data are taken from the standings (seedsGuessed).
+     * Returns null for seasons without playoff games.
+     */
+    buildPlayoffBracket(season) {
+        const games = season.matchups.filter(m => m.isPlayoff);
+        if (games.length === 0) return null;
+
+        const teamsById = new Map(season.teams.map(t => [t.id, t]));
+        const hasTiers = games.some(m => LeagueModel.PLAYOFF_TIERS.includes(m.playoffTierType));
+        const tieredWinners = new Set(games.filter(m => m.playoffTierType === 'WINNERS_BRACKET')
+            .flatMap(m => [m.homeTeamId, m.awayTeamId]));
+        const playoffTeamCount = season.rules.playoffTeams || tieredWinners.size || 6;
+
+        // Seeds: ESPN's playoffSeed, or the standings order (win %, then points) without it
+        const seedsGuessed = season.teams.some(t => !t.playoffSeed);
+        const seeded = seedsGuessed
+            ? [...season.teams].sort((a, b) =>
+                LeagueModel.winPct(b.record) - LeagueModel.winPct(a.record) || b.record.pointsFor - a.record.pointsFor)
+            : [...season.teams].sort((a, b) => a.playoffSeed - b.playoffSeed);
+        const seedOf = new Map(seeded.map((team, i) => [team.id, seedsGuessed ? i + 1 : team.playoffSeed]));
+        const playoffTeams = seeded.filter(team => seedOf.get(team.id) <= playoffTeamCount);
+
+        const weeks = [...new Set(games.map(m => m.matchupPeriodId))].sort((a, b) => a - b);
+        const brackets = {
+            WINNERS_BRACKET: { type: 'WINNERS_BRACKET', label: 'Championship', rounds: [] },
+            WINNERS_CONSOLATION_LADDER: { type: 'WINNERS_CONSOLATION_LADDER', label: 'Consolation', rounds: [] },
+            LOSERS_CONSOLATION_LADDER: { type: 'LOSERS_CONSOLATION_LADDER', label: 'Toilet Bowl', rounds: [] }
+        };
+        const alive = new Set(playoffTeams.map(t => t.id)); // Still in the winners bracket
+
+        const side = (teamId, score) => ({
+            teamId,
+            name: teamsById.get(teamId)?.name || this.getTeamName(teamId),
+            seed: seedOf.get(teamId) ?? null,
+            score
+        });
+
+        for (const week of weeks) {
+            const weekGames = games.filter(m => m.matchupPeriodId === week);
+            const byType = { WINNERS_BRACKET: [], WINNERS_CONSOLATION_LADDER: [], LOSERS_CONSOLATION_LADDER: [] };
+
+            for (const m of weekGames) {
+                let type;
+                if (hasTiers) {
+                    // ESPN's older LOSERS_BRACKET is the toilet bowl too
+                    type = m.playoffTierType === 'LOSERS_BRACKET' ? 'LOSERS_CONSOLATION_LADDER' : m.playoffTierType;
+                } else if (alive.has(m.homeTeamId) && alive.has(m.awayTeamId)) {
+                    type = 'WINNERS_BRACKET';
+                } else {
+                    const madePlayoffs = (id) => seedOf.get(id) <= playoffTeamCount;
+                    type = madePlayoffs(m.homeTeamId) || madePlayoffs(m.awayTeamId)
+                        ? 'WINNERS_CONSOLATION_LADDER'
+                        : 'LOSERS_CONSOLATION_LADDER';
+                }
+                if (!byType[type]) continue;
+
+                byType[type].push({
+                    home: side(m.homeTeamId, m.homeScore),
+                    away: side(m.awayTeamId, m.awayScore),
+                    winnerTeamId: m.winnerTeamId,
+                    isTie: m.isTie,
+                    isComplete: m.isComplete
+                });
+            }
+
+            for (const [type, roundGames] of Object.entries(byType)) {
+                if (roundGames.length === 0) continue;
+
+                let byes = [];
+                if (type === 'WINNERS_BRACKET') {
+                    const playing = new Set(roundGames.flatMap(g => [g.home.teamId, g.away.teamId]));
+                    byes = [...alive].filter(id => !playing.has(id)).map(id => side(id, null))
+                        .sort((a, b) => a.seed - b.seed);
+                    // Losers drop out; a tie with no winner keeps both teams in
+                    roundGames.forEach(g => {
+                        if (g.winnerTeamId) {
+                            alive.delete(g.winnerTeamId === g.home.teamId ? g.away.teamId : g.home.teamId);
+                        }
+                    });
+                }
+                brackets[type].rounds.push({ week, games: roundGames, byes });
+            }
+        }
+
+        // Winners bracket rounds are named back from the final
+        const winnersRounds = brackets.WINNERS_BRACKET.rounds;
+        const finalRoundNames = ['Final', 'Semifinals', 'Quarterfinals'];
+        winnersRounds.forEach((round, i) => {
+            round.label = finalRoundNames[winnersRounds.length - 1 - i] || `Round ${i + 1}`;
+        });
+        [brackets.WINNERS_CONSOLATION_LADDER, brackets.LOSERS_CONSOLATION_LADDER].forEach(bracket => {
+            bracket.rounds.forEach((round, i) => { round.label = `Round ${i + 1}`; });
+        });
+
+        return {
+            playoffTeamCount,
+            seeds: playoffTeams.map(team => side(team.id, null)),
+            seedsGuessed,
+            brackets: Object.values(brackets).filter(bracket => bracket.rounds.length > 0)
+        };
+    }
+
     /**
      * Merge season stats into aggregate stats
      */
     mergeSeasonStats(aggregate, seasonStats, year) {
+        // Names come from this season's teams - a team id can belong to someone else in other seasons
+        const teamsById = new Map(seasonStats.teams.map(team => [team.id, team]));
+        const nameOf = (teamId) => teamsById.get(teamId)?.name || `Team ${teamId}`;
+        const careerKeyOf = (teamId) => teamsById.has(teamId)
+            ? this.getCareerKey(seasonStats, teamsById.get(teamId))
+            : this.getSlotId(seasonStats, teamId);
+
         // Add season summary
         aggregate.seasonSummaries.push({
             year,
             champion: seasonStats.champion,
-            championName: this.getTeamName(seasonStats.champion),
+            championName: seasonStats.champion ? nameOf(seasonStats.champion) : undefined,
+            championMethod: seasonStats.championMethod,
+            source: seasonStats.source,
+            sourceNote: seasonStats.sourceNote,
             standings: seasonStats.standings,
-            settings: seasonStats.settings
+            settings: seasonStats.settings,
+            rules: seasonStats.rules,
+            bracket: seasonStats.bracket
         });
 
         // Add champion
@@ -327,7 +431,9 @@ class StatsEngine {
             aggregate.champions.push({
                 year,
                 teamId: seasonStats.champion,
-                teamName: this.getTeamName(seasonStats.champion)
+                slotId: this.getSlotId(seasonStats, seasonStats.champion),
+                ownerId: careerKeyOf(seasonStats.champion),
+                teamName: nameOf(seasonStats.champion)
             });
         }
 
@@ -335,13 +441,13 @@ class StatsEngine {
         for (const team of seasonStats.teams) {
             const teamId = team.id;
             // Use owner ID for career tracking (handles owners switching team slots)
-            const ownerId = team.ownerId || team.primaryOwner || teamId;
+            const ownerId = this.getCareerKey(seasonStats, team);
 
             // Career records - keyed by owner ID
             if (!aggregate.careerRecords.has(ownerId)) {
                 aggregate.careerRecords.set(ownerId, {
                     teamId: ownerId, // Keep as ownerId for consistency
-                    teamName: this.getTeamName(teamId), // Display name
+                    teamName: this.getOwnerName(ownerId, this.getSlotId(seasonStats, teamId)), // Display name
                     wins: 0,
                     losses: 0,
                     ties: 0,
@@ -356,8 +462,7 @@ class StatsEngine {
             }
 
             const career = aggregate.careerRecords.get(ownerId);
-            // Update display name to most recent
-            career.teamName = this.getTeamName(teamId);
+            career.teamName = this.getOwnerName(ownerId, this.getSlotId(seasonStats, teamId));
             career.wins += team.record.wins;
             career.losses += team.record.losses;
             career.ties += team.record.ties || 0;
@@ -374,7 +479,7 @@ class StatsEngine {
                 career.championshipAppearances++;
             }
 
-            if (team.playoffSeed && team.playoffSeed <= (seasonStats.settings.playoffTeamCount || 6)) {
+            if (team.playoffSeed && team.playoffSeed <= (seasonStats.rules.playoffTeams || 6)) {
                 career.playoffAppearances++;
             }
 
@@ -388,21 +493,26 @@ class StatsEngine {
         // Process matchups
         for (const matchup of [...seasonStats.matchups, ...seasonStats.playoffMatchups]) {
             // Add to all matchups
+            const homeKey = careerKeyOf(matchup.homeTeamId);
+            const awayKey = careerKeyOf(matchup.awayTeamId);
             aggregate.allMatchups.push({
                 ...matchup,
                 year,
-                homeTeamName: this.getTeamName(matchup.homeTeamId),
-                awayTeamName: this.getTeamName(matchup.awayTeamId)
+                homeKey,
+                awayKey,
+                homeTeamName: nameOf(matchup.homeTeamId),
+                awayTeamName: nameOf(matchup.awayTeamId)
             });
 
-            // Track high scores - use isPlayoffGame flag we set, or fall back to playoffTierType
-            const isPlayoff = matchup.isPlayoffGame !== undefined ? matchup.isPlayoffGame : !!matchup.playoffTierType;
+            const isPlayoff = matchup.isPlayoff;
+
+            // Track high scores
 
             aggregate.highScores.push({
                 teamId: matchup.homeTeamId,
-                teamName: this.getTeamName(matchup.homeTeamId),
+                teamName: nameOf(matchup.homeTeamId),
                 score: matchup.homeScore,
-                opponent: this.getTeamName(matchup.awayTeamId),
+                opponent: nameOf(matchup.awayTeamId),
                 opponentScore: matchup.awayScore,
                 year,
                 week: matchup.matchupPeriodId,
@@ -411,47 +521,66 @@ class StatsEngine {
 
             aggregate.highScores.push({
                 teamId: matchup.awayTeamId,
-                teamName: this.getTeamName(matchup.awayTeamId),
+                teamName: nameOf(matchup.awayTeamId),
                 score: matchup.awayScore,
-                opponent: this.getTeamName(matchup.homeTeamId),
+                opponent: nameOf(matchup.homeTeamId),
                 opponentScore: matchup.homeScore,
                 year,
                 week: matchup.matchupPeriodId,
                 isPlayoff
             });
 
-            // Update H2H records
-            const winner = matchup.homeScore > matchup.awayScore ? matchup.homeTeamId : matchup.awayTeamId;
-            const loser = matchup.homeScore > matchup.awayScore ? matchup.awayTeamId : matchup.homeTeamId;
-
-            const h2hKey = [matchup.homeTeamId, matchup.awayTeamId].sort().join('-');
-            if (!aggregate.h2hRecords.has(h2hKey)) {
-                aggregate.h2hRecords.set(h2hKey, {
-                    team1: Math.min(matchup.homeTeamId, matchup.awayTeamId),
-                    team2: Math.max(matchup.homeTeamId, matchup.awayTeamId),
-                    team1Wins: 0,
-                    team2Wins: 0,
-                    ties: 0,
-                    matchups: []
-                });
-            }
+            // Update H2H records - by owner (same key as careerRecords) and by team slot
+            this.addH2HResult(aggregate.h2hRecords, matchup, homeKey, awayKey, year);
+            this.addH2HResult(aggregate.slotH2HRecords, matchup,
+                this.getSlotId(seasonStats, matchup.homeTeamId), this.getSlotId(seasonStats, matchup.awayTeamId), year);
+        }
+    }
 
-            const h2h = aggregate.h2hRecords.get(h2hKey);
-            if (matchup.homeScore === matchup.awayScore) {
-                h2h.ties++;
-            } else if (winner === h2h.team1) {
-                h2h.team1Wins++;
-            } else {
-                h2h.team2Wins++;
-            }
-            h2h.matchups.push({
-                year,
-                week: matchup.matchupPeriodId,
-                team1Score: matchup.homeTeamId === h2h.team1 ? matchup.homeScore : matchup.awayScore,
-                team2Score: matchup.homeTeamId === h2h.team2 ? matchup.homeScore : matchup.awayScore,
-                isPlayoff
+    /**
+     * Key of the H2H record between two owners or team slots (same for either order)
+     */
+    getH2HKey(id1, id2) {
+        return [String(id1), String(id2)].sort().join('|');
+    }
+
+    /**
+     * Add one matchup to an H2H record map
+     * homeId/awayId are the sides' owner ids, or their team ids for the per-slot records
+     */
+    addH2HResult(records, matchup, homeId, awayId, year) {
+        const key = this.getH2HKey(homeId, awayId);
+        if (!records.has(key)) {
+            const homeFirst = String(homeId) <= String(awayId);
+            records.set(key, {
+                team1: homeFirst ? homeId : awayId,
+                team2: homeFirst ? awayId : homeId,
+                team1Wins: 0,
+                team2Wins: 0,
+                ties: 0,
+                matchups: []
             });
         }
+
+        const h2h = records.get(key);
+        const homeIsTeam1 = homeId === h2h.team1;
+        if (matchup.isTie) {
+            h2h.ties++;
+        } else if ((matchup.winnerTeamId === matchup.homeTeamId) === homeIsTeam1) {
+            h2h.team1Wins++;
+        } else {
+            h2h.team2Wins++;
+        }
+        h2h.matchups.push({
+            year,
+            week: matchup.matchupPeriodId,
+            team1Score: homeIsTeam1 ? matchup.homeScore : matchup.awayScore,
+            team2Score: homeIsTeam1 ? matchup.awayScore : matchup.homeScore,
+            // The team slots each side played from that week
+            team1TeamId: homeIsTeam1 ? matchup.homeTeamId : matchup.awayTeamId,
+            team2TeamId: homeIsTeam1 ? matchup.awayTeamId : matchup.homeTeamId,
+            isPlayoff: matchup.isPlayoff
+        });
     }
 
     /**
@@ -465,7 +594,7 @@ class StatsEngine {
             mostWins: [...records]
                 .map(r => ({
                     ...r,
-                    winPct: r.wins / (r.wins + r.losses + r.ties) || 0
+                    winPct: LeagueModel.winPct(r)
                 }))
                 .sort((a, b) => b.wins - a.wins)
                 .slice(0, 12),
@@ -488,7 +617,7 @@ class StatsEngine {
                 .slice(0, 12),
             mostPointsFor: [...records].sort((a, b) => b.pointsFor - a.pointsFor).slice(0, 10),
             avgPointsPerGame: [...records]
-                .filter(r => r.wins + r.losses >= 10)
+                .filter(r => r.wins + r.losses + r.ties >= 10)
                 .map(r => ({
                     ...r,
                     avgPPG: r.pointsFor / (r.wins + r.losses + r.ties)
@@ -502,28 +631,29 @@ class StatsEngine {
      * Calculate record book entries
      */
     calculateRecordBook(stats) {
-        // Filter high scores: 2017 and earlier = weeks 1-12 only, 2018+ = all weeks
+        // Only the weeks each season's rules count for single-game records (countedWeeks)
         const filteredHighScores = stats.highScores.filter(s => {
-            if (s.year <= 2017) {
-                return s.week <= 12;
-            }
-            return true; // Include all games from 2018 onwards
+            const countedWeeks = this.league.seasons[s.year]?.rules.countedWeeks;
+            return !countedWeeks || s.week <= countedWeeks;
         });
 
         const sortedScores = [...filteredHighScores].sort((a, b) => b.score - a.score);
         const sortedLowScores = [...filteredHighScores].sort((a, b) => a.score - b.score);
 
-        // Calculate margins
-        const margins = stats.allMatchups.map(m => ({
-            ...m,
-            margin: Math.abs(m.homeScore - m.awayScore),
-            winner: m.homeScore > m.awayScore ? m.homeTeamId : m.awayTeamId,
-            winnerName: m.homeScore > m.awayScore ? m.homeTeamName : m.awayTeamName,
-            loser: m.homeScore > m.awayScore ? m.awayTeamId : m.homeTeamId,
-            loserName: m.homeScore > m.awayScore ? m.awayTeamName : m.homeTeamName,
-            winnerScore: Math.max(m.homeScore, m.awayScore),
-            loserScore: Math.min(m.homeScore, m.awayScore)
-        }));
+        // Calculate margins (ties have no winner or loser)
+        const margins = stats.allMatchups.map(m => {
+            const homeWon = m.winnerTeamId === m.homeTeamId;
+            return {
+                ...m,
+                margin: Math.abs(m.homeScore - m.awayScore),
+                winner: m.winnerTeamId,
+                winnerName: m.isTie ? null : homeWon ? m.homeTeamName : m.awayTeamName,
+                loser: m.loserTeamId,
+                loserName: m.isTie ? null : homeWon ? m.awayTeamName : m.homeTeamName,
+                winnerScore: m.isTie ? m.homeScore : homeWon ? m.homeScore : m.awayScore,
+                loserScore: m.isTie ? m.awayScore : homeWon ? m.awayScore : m.homeScore
+            };
+        });
 
         const blowouts = [...margins].sort((a, b) => b.margin - a.margin);
         const closeGames = [...margins].sort((a, b) => a.margin - b.margin);
@@ -550,24 +680,26 @@ class StatsEngine {
 
     /**
      * Calculate win/loss streaks
+     * Streaks follow owners (the careerRecords keys), so they never join two teams that shared an id
+     * Ties end a streak or are carried along in it, as tieStreakMode says
      */
     calculateStreaks(stats) {
         const teamMatchups = new Map();
 
-        // Group matchups by team and sort chronologically
+        // Group matchups by owner and sort chronologically
         for (const matchup of stats.allMatchups) {
-            for (const teamId of [matchup.homeTeamId, matchup.awayTeamId]) {
-                if (!teamMatchups.has(teamId)) {
-                    teamMatchups.set(teamId, []);
+            for (const [key, teamId] of [[matchup.homeKey, matchup.homeTeamId], [matchup.awayKey, matchup.awayTeamId]]) {
+                if (!teamMatchups.has(key)) {
+                    teamMatchups.set(key, []);
                 }
                 const isHome = teamId === matchup.homeTeamId;
                 const myScore = isHome ? matchup.homeScore : matchup.awayScore;
                 const theirScore = isHome ? matchup.awayScore : matchup.homeScore;
 
-                teamMatchups.get(teamId).push({
+                teamMatchups.get(key).push({
                     year: matchup.year,
                     week: matchup.matchupPeriodId,
-                    won: myScore > theirScore,
+                    result: LeagueModel.getResult(matchup, teamId),
                     score: myScore,
                     opponentScore: theirScore
                 });
@@ -577,62 +709,56 @@ class StatsEngine {
         const winStreaks = [];
         const lossStreaks = [];
 
-        for (const [teamId, matches] of teamMatchups) {
+        for (const [ownerId, matches] of teamMatchups) {
             // Sort by year then week
             matches.sort((a, b) => a.year - b.year || a.week - b.week);
 
-            let currentWinStreak = 0;
-            let currentLossStreak = 0;
-            let maxWinStreak = { length: 0, start: null, end: null };
-            let maxLossStreak = { length: 0, start: null, end: null };
-            let streakStart = null;
-
-            for (let i = 0; i < matches.length; i++) {
-                const match = matches[i];
+            // A streak of one result; ties end it, or are carried along in 'extend' mode
+            let current = { result: null, length: 0, ties: 0, start: null };
+            const longest = {
+                W: { length: 0, ties: 0, start: null, end: null },
+                L: { length: 0, ties: 0, start: null, end: null }
+            };
 
-                if (match.won) {
-                    if (currentWinStreak === 0) {
-                        streakStart = { year: match.year, week: match.week };
-                    }
-                    currentWinStreak++;
-                    currentLossStreak = 0;
-
-                    if (currentWinStreak > maxWinStreak.length) {
-                        maxWinStreak = {
-                            length: currentWinStreak,
-                            start: { ...streakStart },
-                            end: { year: match.year, week: match.week }
-                        };
-                    }
-                } else {
-                    if (currentLossStreak === 0) {
-                        streakStart = { year: match.year, week: match.week };
-                    }
-                    currentLossStreak++;
-                    currentWinStreak = 0;
-
-                    if (currentLossStreak > maxLossStreak.length) {
-                        maxLossStreak = {
-                            length: currentLossStreak,
-                            start: { ...streakStart },
-                            end: { year: match.year, week: match.week }
-                        };
+            for (const match of matches) {
+                if (match.result === 'T') {
+                    if (this.tieStreakMode === 'extend' && current.length > 0) {
+                        current.ties++;
+                    } else {
+                        current = { result: null, length: 0, ties: 0, start: null };
                     }
+                    continue;
+                }
+
+                if (match.result !== current.result) {
+                    current = { result: match.result, length: 0, ties: 0, start: { year: match.year, week: match.week } };
+                }
+                current.length++;
+
+                if (current.length > longest[match.result].length) {
+                    longest[match.result] = {
+                        length: current.length,
+                        ties: current.ties,
+                        start: { ...current.start },
+                        end: { year: match.year, week: match.week }
+                    };
                 }
             }
+            const maxWinStreak = longest.W;
+            const maxLossStreak = longest.L;
 
             if (maxWinStreak.length > 0) {
                 winStreaks.push({
-                    teamId,
-                    teamName: this.getTeamName(teamId),
+                    teamId: ownerId,
+                    teamName: this.getOwnerName(ownerId),
                     ...maxWinStreak
                 });
             }
 
             if (maxLossStreak.length > 0) {
                 lossStreaks.push({
-                    teamId,
-                    teamName: this.getTeamName(teamId),
+                    teamId: ownerId,
+                    teamName: this.getOwnerName(ownerId),
                     ...maxLossStreak
                 });
             }
@@ -646,21 +772,20 @@ class StatsEngine {
 
     /**
      * Calculate head-to-head matrix
+     * records is h2hRecords (ids are owner ids) or slotH2HRecords (ids are team ids)
      */
-    calculateH2HMatrix(stats) {
-        const teams = Array.from(stats.careerRecords.keys());
+    calculateH2HMatrix(records, ids) {
         const matrix = {};
 
-        for (const team1 of teams) {
+        for (const team1 of ids) {
             matrix[team1] = {};
-            for (const team2 of teams) {
+            for (const team2 of ids) {
                 if (team1 === team2) {
                     matrix[team1][team2] = null;
                     continue;
                 }
 
-                const key = [team1, team2].sort().join('-');
-                const record = stats.h2hRecords.get(key);
+                const record = records.get(this.getH2HKey(team1, team2));
 
                 if (record) {
                     const wins = team1 === record.team1 ? record.team1Wins : record.team2Wins;
@@ -681,13 +806,14 @@ class StatsEngine {
     }
 
     /**
-     * Get head-to-head details between two teams
+     * Get head-to-head details between two owners
+     * With bySlot, the ids are team slots (see getSlotId) and only games between those slots count
      */
-    getH2HDetails(team1Id, team2Id) {
+    getH2HDetails(team1Id, team2Id, bySlot = false) {
         if (!this.aggregatedStats) return null;
 
-        const key = [team1Id, team2Id].sort().join('-');
-        const record = this.aggregatedStats.h2hRecords.get(key);
+        const records = bySlot ? this.aggregatedStats.slotH2HRecords : this.aggregatedStats.h2hRecords;
+        const record = records.get(this.getH2HKey(team1Id, team2Id));
 
         if (!record) {
             return {
@@ -717,6 +843,8 @@ class StatsEngine {
                 week: m.week,
                 team1Score: isTeam1First ? m.team1Score : m.team2Score,
                 team2Score: isTeam1First ? m.team2Score : m.team1Score,
+                team1TeamId: isTeam1First ? m.team1TeamId : m.team2TeamId,
+                team2TeamId: isTeam1First ? m.team2TeamId : m.team1TeamId,
                 isPlayoff: m.isPlayoff
             }))
         };
@@ -771,6 +899,24 @@ class StatsEngine {
         }));
     }
 
+    /**
+     * Get list of all owners (the ids careerRecords and the H2H records use)
+     * abbrev is the owner's most recent team abbreviation
+     */
+    getAllOwners() {
+        if (!this.aggregatedStats) return [];
+        return Array.from(this.aggregatedStats.careerRecords.values())
+            .map(record => {
+                const latestTeam = this.ownerHistory.get(record.teamId)?.[0];
+                return {
+                    id: record.teamId,
+                    name: this.getOwnerName(record.teamId),
+                    abbrev: latestTeam?.abbrev
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
     /**
      * Get list of all seasons
      */
@@ -781,6 +927,23 @@ class StatsEngine {
             .sort((a, b) => b - a);
     }
 
+    /**
+     * Where a season's data came from: 'espn', 'sleeper', 'yahoo' or 'manual'
+     */
+    getSeasonSource(year) {
+        return this.league?.seasons[year]?.source || 'espn';
+    }
+
+    /**
+     * Each loaded season's rules, oldest first (see league-rules.js)
+     */
+    getRulesTimeline() {
+        if (!this.league) return [];
+        return Object.values(this.league.seasons)
+            .map(season => ({ year: season.year, ...season.rules }))
+            .sort((a, b) => a.year - b.year);
+    }
+
     /**
      * Get raw season data for analytics module
      */
@@ -788,71 +951,155 @@ class StatsEngine {
         return this.allSeasonData[year] || null;
     }
 
+    /**
+     * Store a season's per-week lineups ({ [scoringPeriodId]: box scores })
+     * Kept in memory only - a season of lineups is too large for localStorage
+     */
+    setBoxScores(year, scoringPeriods) {
+        this.boxScores[year] = { ...this.boxScores[year], ...scoringPeriods };
+    }
+
+    /**
+     * Check if a season's lineups have been loaded
+     */
+    hasBoxScores(year) {
+        return !!this.boxScores[year];
+    }
+
+    /**
+     * Scoring periods (NFL weeks) that make up a matchup period
+     * Multi-week playoff rounds span several scoring periods
+     */
+    getMatchupScoringPeriods(year, matchupPeriodId) {
+        const periods = this.league?.seasons[year]?.settings.matchupPeriods[matchupPeriodId];
+        return periods && periods.length > 0 ? periods : [matchupPeriodId];
+    }
+
+    /**
+     * Get the box scores for one team's matchup - one per scoring period of the matchup
+     * Returns [{ scoringPeriodId, home, away }] with lineups, or [] if none are loaded
+     */
+    getMatchupBoxScores(year, matchupPeriodId, teamId) {
+        const weeks = this.boxScores[year] || {};
+
+        return this.getMatchupScoringPeriods(year, matchupPeriodId)
+            .map(scoringPeriodId => {
+                const week = weeks[scoringPeriodId];
+                const matchup = week?.matchups?.find(m =>
+                    m.matchupPeriodId === matchupPeriodId &&
+                    (m.home?.teamId === teamId || m.away?.teamId === teamId));
+                return matchup ? { scoringPeriodId, home: matchup.home, away: matchup.away } : null;
+            })
+            .filter(Boolean);
+    }
+
     // Cache version - increment this when data structure changes to invalidate old cache
     static CACHE_VERSION = 4;
 
     /**
-     * Save aggregated stats to localStorage
+     * Keep this league's cache separate from other leagues hosted on the site
      */
-    saveToStorage() {
-        if (typeof localStorage !== 'undefined') {
-            try {
-                // Convert Maps to objects for JSON serialization
-                const serializable = {
-                    allSeasonData: this.allSeasonData,
-                    teamNameMap: Object.fromEntries(this.teamNameMap),
-                    timestamp: Date.now(),
-                    cacheVersion: StatsEngine.CACHE_VERSION
-                };
-                localStorage.setItem('fantasy_league_data', JSON.stringify(serializable));
-                return true;
-            } catch (e) {
-                console.error('Failed to save to localStorage:', e);
-                return false;
+    setStorageNamespace(slug) {
+        this.storageNamespace = slug || null;
+    }
+
+    /**
+     * localStorage key for the current league
+     */
+    storageKey(key) {
+        return this.storageNamespace ? `${this.storageNamespace}:${key}` : key;
+    }
+
+    /**
+     * Save the loaded seasons to the browser's season cache (IndexedDB)
+     * seasonVersions maps year -> static file fetch time, so unchanged seasons can be reused
+     * changedYears limits the write to those seasons (default: every season)
+     * Seasons that failed to load are never written, so the next load tries them again
+     */
+    async saveToStorage(seasonVersions = {}, changedYears = null) {
+        if (!this.store.isAvailable()) return false;
+
+        const years = (changedYears || Object.keys(this.allSeasonData))
+            .filter(year => this.allSeasonData[year] && !this.allSeasonData[year].error);
+
+        try {
+            await this.store.save(this.storageNamespace || '', this.allSeasonData, {
+                versions: seasonVersions,
+                years,
+                cacheVersion: StatsEngine.CACHE_VERSION
+            });
+            // Caches from before IndexedDB kept everything in one localStorage entry
+            if (typeof localStorage !== 'undefined') {
+                localStorage.removeItem(this.storageKey('fantasy_league_data'));
             }
+            return true;
+        } catch (e) {
+            console.error('Failed to save to the season cache:', e);
+            return false;
         }
-        return false;
     }
 
     /**
-     * Load from localStorage
+     * Load and process the seasons in the browser's season cache
+     * Returns false if nothing was cached with the current CACHE_VERSION
      */
-    loadFromStorage() {
-        if (typeof localStorage !== 'undefined') {
-            try {
-                const saved = localStorage.getItem('fantasy_league_data');
-                if (saved) {
-                    const data = JSON.parse(saved);
-                    // Check cache version - if outdated, return false to trigger fresh fetch
-                    if (data.cacheVersion !== StatsEngine.CACHE_VERSION) {
-                        console.log('Cache version mismatch, fetching fresh data...');
-                        this.clearStorage();
-                        return false;
-                    }
-                    this.allSeasonData = data.allSeasonData;
-                    this.teamNameMap = new Map(Object.entries(data.teamNameMap));
-                    this.aggregatedStats = this.aggregateAllStats();
-                    return true;
-                }
-            } catch (e) {
-                console.error('Failed to load from localStorage:', e);
-            }
+    async loadFromStorage() {
+        const cached = await this.readCache();
+        if (!cached) return false;
+
+        // Names are rebuilt rather than cached, so owner registry changes show up
+        await this.loadAllSeasons(cached.seasons);
+        return true;
+    }
+
+    /**
+     * Get the raw seasons in the season cache without processing them
+     * Returns { seasons, versions } - both empty if there is no usable cache
+     */
+    async getCachedSeasons() {
+        const cached = await this.readCache();
+        return cached
+            ? { seasons: cached.seasons, versions: cached.versions }
+            : { seasons: {}, versions: {} };
+    }
+
+    /**
+     * Read this league's records from the season cache (null if there are none)
+     */
+    async readCache() {
+        if (!this.store.isAvailable()) return null;
+
+        try {
+            return await this.store.load(this.storageNamespace || '', StatsEngine.CACHE_VERSION);
+        } catch (e) {
+            console.error('Failed to read the season cache:', e);
+            return null;
         }
-        return false;
     }
 
     /**
      * Clear stored data
      */
-    clearStorage() {
+    async clearStorage() {
         if (typeof localStorage !== 'undefined') {
-            localStorage.removeItem('fantasy_league_data');
-            localStorage.removeItem('espn_last_fetch');
+            localStorage.removeItem(this.storageKey('fantasy_league_data'));
+            localStorage.removeItem(this.storageKey('espn_last_fetch'));
+        }
+        if (this.store.isAvailable()) {
+            try {
+                await this.store.clear(this.storageNamespace || '');
+            } catch (e) {
+                console.error('Failed to clear the season cache:', e);
+            }
         }
         this.allSeasonData = {};
+        this.league = null;
+        this.diagnostics = null;
         this.aggregatedStats = null;
         this.teamNameMap.clear();
+        this.ownerNameMap.clear();
         this.ownerHistory.clear();
+        this.boxScores = {};
     }
 }
 
@@ -0,0 +1,324 @@
+/**
+ * Yahoo Fantasy adapter
+ * Converts saved Yahoo Fantasy API responses for one season - league (with
+ * settings), standings and the scoreboard for each week - into the same season
+ * shape ESPN returns, so the league's Yahoo-era seasons go through LeagueModel
+ * and StatsEngine like any other.
+ *
+ * Yahoo's API needs OAuth, so seasons are imported from a directory of saved
+ * responses, as XML (the API default) or JSON (?format=json):
+ *
+ *   league.xml       /league/{league_key};out=settings
+ *   standings.xml    /league/{league_key}/standings
+ *   scoreboard/1.xml /league/{league_key}/scoreboard;week=1   (one file per week)
+ *
+ * Managers are matched to existing owners through an owner map
+ * ({ "<manager guid or nickname>": "<ESPN owner id>" }); unmapped managers
+ * get owner IDs "yahoo:<guid>".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = 'yahoo';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode XML character and entity references
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Add a child to a parsed element, turning repeated children into an array
+ */
+function addChild(parent, name, value) {
+    const existing = parent[name];
+    if (existing === undefined) {
+        parent[name] = value;
+    } else if (Array.isArray(existing)) {
+        existing.push(value);
+    } else {
+        parent[name] = [existing, value];
+    }
+}
+
+/**
+ * Parse Yahoo's XML into plain objects: an element with children becomes an
+ * object keyed by child name (repeated children become arrays), a leaf becomes
+ * its text. Attributes are dropped - Yahoo keeps its data in elements.
+ */
+function parseXml(xml) {
+    const root = { children: {}, text: '', hasChildren: false };
+    const stack = [root];
+    const TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([A-Za-z_][\w:.-]*)[^>]*?(\/?)>|([^<]+)/g;
+
+    let match;
+    while ((match = TOKEN.exec(xml)) !== null) {
+        const [, cdata, closing, name, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        } else if (name && selfClosing) {
+            current.hasChildren = true;
+            addChild(current.children, name, '');
+        } else if (name && !closing) {
+            stack.push({ name, children: {}, text: '', hasChildren: false });
+        } else if (name && closing) {
+            if (stack.length < 2 || current.name !== name) {
+                throw new Error(`Malformed XML: unexpected </${name}>`);
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            parent.hasChildren = true;
+            addChild(parent.children, name, current.hasChildren ? current.children : current.text.trim());
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+    }
+    return root.children;
+}
+
+/**
+ * Flatten Yahoo's JSON format into the same shape parseXml produces
+ * Yahoo JSON splits one element across an array of single-key objects and
+ * lists repeated elements under "0", "1", ... keys next to a "count"
+ */
+function simplifyYahooJson(node) {
+    if (node === null || node === undefined) return '';
+    if (typeof node !== 'object') return String(node);
+
+    const result = {};
+    if (Array.isArray(node)) {
+        for (const item of node) {
+            const simplified = simplifyYahooJson(item);
+            if (typeof simplified === 'object') {
+                Object.entries(simplified).forEach(([key, value]) => addChild(result, key, value));
+            }
+        }
+        return result;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (/^\d+$/.test(key) && value && typeof value === 'object') {
+            // "0": { team: [...] } - a repeated child element
+            Object.entries(simplifyYahooJson(value)).forEach(([childKey, childValue]) => addChild(result, childKey, childValue));
+        } else if (key !== 'count') {
+            addChild(result, key, simplifyYahooJson(value));
+        }
+    }
+    return result;
+}
+
+/**
+ * Read one saved response (.xml or .json) and return its league element
+ */
+function readLeagueFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const parsed = filePath.endsWith('.json')
+        ? simplifyYahooJson(JSON.parse(content))
+        : parseXml(content);
+
+    const league = parsed.fantasy_content?.league;
+    if (!league || typeof league !== 'object') {
+        throw new Error(`${filePath} has no fantasy_content/league`);
+    }
+    return league;
+}
+
+/**
+ * Path of a saved response, in either format (null if there is none)
+ */
+function findResponseFile(dir, name) {
+    for (const ext of ['.xml', '.json']) {
+        const filePath = path.join(dir, name + ext);
+        if (fs.existsSync(filePath)) return filePath;
+    }
+    return null;
+}
+
+/**
+ * Read a season from a directory of saved Yahoo responses
+ * Returns { league, standings, scoreboards: { [week]: league } }
+ */
+function readYahooExport(dir) {
+    const required = (name) => {
+        const filePath = findResponseFile(dir, name);
+        if (!filePath) throw new Error(`Missing ${name}.xml (or .json) in ${dir}`);
+        return readLeagueFile(filePath);
+    };
+
+    const scoreboards = {};
+    const scoreboardDir = path.join(dir, 'scoreboard');
+    if (fs.existsSync(scoreboardDir)) {
+        for (const file of fs.readdirSync(scoreboardDir)) {
+            const week = parseInt(path.basename(file, path.extname(file)));
+            if (!isNaN(week) && /\.(xml|json)$/.test(file)) {
+                scoreboards[week] = readLeagueFile(path.join(scoreboardDir, file));
+            }
+        }
+    }
+
+    return {
+        league: required('league'),
+        standings: required('standings'),
+        scoreboards
+    };
+}
+
+/**
+ * Wrap a single element in an array (Yahoo lists with one entry aren't arrays)
+ */
+function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Numeric field from a Yahoo element (text like "123.45")
+ */
+function toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? 0 : number;
+}
+
+/**
+ * Convert a Yahoo season into ESPN's season shape
+ * ownerMap: { "<manager guid or nickname>": "<owner id>" }
+ */
+function convertYahooSeason(yahoo, ownerMap = {}) {
+    const { league, standings, scoreboards = {} } = yahoo;
+    const year = parseInt(league.season);
+    const settings = league.settings || {};
+    const isFinished = String(league.is_finished) === '1';
+
+    const weeks = Object.keys(scoreboards).map(Number).sort((a, b) => a - b);
+    const matchupsByWeek = Object.fromEntries(weeks.map(week =>
+        [week, asArray(scoreboards[week].scoreboard?.matchups?.matchup)]));
+
+    // Regular season ends the week before the playoffs start
+    const firstPlayoffWeek = weeks.find(week => matchupsByWeek[week].some(m => String(m.is_playoffs) === '1'));
+    const playoffStart = parseInt(settings.playoff_start_week) || firstPlayoffWeek ||
+        (parseInt(league.end_week) || weeks[weeks.length - 1] || 0) + 1;
+
+    const members = new Map();
+    const getOwnerId = (manager) => {
+        const guid = manager.guid || manager.manager_id;
+        const ownerId = ownerMap[guid] || ownerMap[manager.nickname] || `${SOURCE}:${guid}`;
+        if (!members.has(ownerId)) {
+            members.set(ownerId, {
+                id: ownerId,
+                firstName: manager.nickname && manager.nickname !== '--hidden--' ? manager.nickname : `Manager ${manager.manager_id}`,
+                lastName: ''
+            });
+        }
+        return ownerId;
+    };
+
+    const teams = asArray(standings.standings?.teams?.team).map(team => {
+        const teamStandings = team.team_standings || {};
+        const totals = teamStandings.outcome_totals || {};
+        // Co-managers mapped to the same owner count once
+        const ownerIds = [...new Set(asArray(team.managers?.manager).map(getOwnerId))];
+        const name = team.name || `Team ${team.team_id}`;
+
+        return {
+            // Team ids run 1..N like ESPN's; StatsEngine scopes them to this season (getSlotId)
+            id: parseInt(team.team_id),
+            name,
+            abbrev: name.replace(/[^A-Za-z0-9]/g, '').substring(0, 4).toUpperCase() || `T${team.team_id}`,
+            primaryOwner: ownerIds[0],
+            owners: ownerIds,
+            record: {
+                overall: {
+                    wins: parseInt(totals.wins) || 0,
+                    losses: parseInt(totals.losses) || 0,
+                    ties: parseInt(totals.ties) || 0,
+                    pointsFor: toNumber(teamStandings.points_for ?? team.team_points?.total),
+                    pointsAgainst: toNumber(teamStandings.points_against)
+                }
+            },
+            playoffSeed: parseInt(teamStandings.playoff_seed) || undefined,
+            // Yahoo's rank is the final place once the season is finished
+            rankCalculatedFinal: isFinished ? parseInt(teamStandings.rank) || 0 : 0
+        };
+    });
+
+    const schedule = [];
+    for (const week of weeks) {
+        for (const matchup of matchupsByWeek[week]) {
+            const [home, away] = asArray(matchup.teams?.team);
+            if (!home || !away) continue;
+
+            const isPlayoffs = String(matchup.is_playoffs) === '1';
+            const isConsolation = String(matchup.is_consolation) === '1';
+            const homeScore = toNumber(home.team_points?.total);
+            const awayScore = toNumber(away.team_points?.total);
+
+            let winner = 'UNDECIDED';
+            if (matchup.status === 'postevent') {
+                if (String(matchup.is_tied) === '1') {
+                    winner = 'TIE';
+                } else if (matchup.winner_team_key) {
+                    winner = matchup.winner_team_key === home.team_key ? 'HOME' : 'AWAY';
+                } else {
+                    winner = homeScore > awayScore ? 'HOME' : awayScore > homeScore ? 'AWAY' : 'TIE';
+                }
+            }
+
+            schedule.push({
+                id: schedule.length + 1,
+                matchupPeriodId: week,
+                home: { teamId: parseInt(home.team_id), totalPoints: homeScore },
+                away: { teamId: parseInt(away.team_id), totalPoints: awayScore },
+                winner,
+                playoffTierType: !isPlayoffs ? 'NONE'
+                    : isConsolation ? 'LOSERS_CONSOLATION_LADDER'
+                    : 'WINNERS_BRACKET'
+            });
+        }
+    }
+
+    return {
+        source: SOURCE,
+        sourceLeagueId: league.league_key || league.league_id,
+        seasonId: year,
+        settings: {
+            name: league.name,
+            size: parseInt(league.num_teams) || teams.length,
+            scoringSettings: { scoringType: league.scoring_type },
+            scheduleSettings: {
+                matchupPeriodCount: playoffStart - 1,
+                playoffTeamCount: parseInt(settings.num_playoff_teams) || undefined
+            }
+        },
+        status: {
+            isActive: !isFinished,
+            finalScoringPeriod: parseInt(league.end_week) || weeks[weeks.length - 1] || 0
+        },
+        members: Array.from(members.values()),
+        teams,
+        schedule
+    };
+}
+
+module.exports = {
+    SOURCE,
+    parseXml,
+    simplifyYahooJson,
+    readYahooExport,
+    convertYahooSeason
+};